@@ -0,0 +1,28 @@
+/**
+ * Lookup table of the CRC-32C (Castagnoli) polynomial (reversed 0x82F63B78).
+ * @type {Uint32Array}
+ */
+const table = new Uint32Array(256).map((_, index) => {
+  let crc = index;
+  for(let i = 0; i < 8; ++i) {
+    crc = (crc & 1) ? (crc >>> 1) ^ 0x82F63B78 : crc >>> 1;
+  }
+  return crc;
+});
+
+/**
+ * Calculates the CRC-32C checksum of bytes. A checksum can be continued
+ * with more bytes, ex. crc32c(body, crc32c(header)) is the checksum of
+ * the header followed by the body.
+ * 
+ * @param {Uint8Array} bytes - The bytes
+ * @param {number} [crc=0] - The checksum of the previous bytes
+ * @returns {number} The unsigned 32-bit checksum
+ */
+export default function crc32c(bytes, crc = 0) {
+  let value = ~crc;
+  for(let i = 0, length = bytes.length; i < length; ++i) {
+    value = table[(value ^ bytes[i]) & 0xff] ^ (value >>> 8);
+  }
+  return ~value >>> 0;
+}
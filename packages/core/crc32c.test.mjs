@@ -0,0 +1,15 @@
+import getPackageName from './getPackageName.mjs';
+import { strictEqual } from 'node:assert';
+import crc32c from './crc32c.mjs';
+
+describe(getPackageName(import.meta.url), function() {
+
+  it('should calculate the CRC-32C checksum', function() {
+    const bytes = new TextEncoder().encode('123456789');
+    strictEqual(crc32c(new Uint8Array(0)), 0);
+    strictEqual(crc32c(bytes), 0xE3069283);
+    strictEqual(crc32c(new Uint8Array(32)), 0x8A9136AA);
+    strictEqual(crc32c(bytes.subarray(4), crc32c(bytes.subarray(0, 4))), 0xE3069283);
+  });
+
+});
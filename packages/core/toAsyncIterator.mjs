@@ -0,0 +1,27 @@
+import isThenable from './isThenable.mjs';
+
+/**
+ * Converts an iterable that yields a promise whenever it has to wait (ex. a
+ * cursor at the end of a stream) into an async iterator. The promises are
+ * awaited and only the other values are yielded.
+ *
+ * The iterator of the iterable is closed (and its finally blocks are run)
+ * when the async iterator is, ex. on a break in a for await loop.
+ *
+ * @param {Iterable} iterable - An iterable yielding values and promises
+ * @returns {AsyncGenerator} An async generator that yields the values
+ *
+ * @example
+ * for await (const [position, record] of toAsyncIterator(stream.createCursor())) {
+ *   console.log(position, record);
+ * }
+ */
+export default async function* toAsyncIterator(iterable) {
+  for(const value of iterable) {
+    if(isThenable(value)) {
+      await value;
+      continue;
+    }
+    yield value;
+  }
+};
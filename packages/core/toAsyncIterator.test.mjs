@@ -0,0 +1,31 @@
+import sleep from './sleep.mjs';
+import { strictEqual } from 'assert';
+import getPackageName from './getPackageName.mjs';
+import toAsyncIterator from './toAsyncIterator.mjs';
+
+describe(getPackageName(import.meta.url), function () {
+
+  it('should await the promises and yield the values', async function () {
+    let closed = false;
+    function* generator() {
+      try {
+        yield '1';
+        yield sleep(1);
+        yield '2';
+        yield '3';
+      } finally {
+        closed = true;
+      }
+    }
+    const history = [];
+    for await (const value of toAsyncIterator(generator())) {
+      history.push(value);
+      if(value === '2') {
+        break;
+      }
+    }
+    strictEqual(history.join(), '1,2');
+    strictEqual(closed, true);
+  });
+
+});
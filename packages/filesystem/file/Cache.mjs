@@ -71,6 +71,19 @@ export default class Cache {
     return bytesRead;
   }
 
+  truncateSync(byteLength = 0) {
+    this.handle.truncateSync(byteLength);
+    // The cached bytes after the end are gone
+    this.end = Math.max(this.begin, Math.min(this.end, byteLength));
+  }
+
+  replaceSync(file) {
+    this.handle.replaceSync(file.handle ?? file);
+    // Nothing in the cache belongs to the new file
+    this.begin = 0;
+    this.end = 0;
+  }
+
   readSync(buffer, opt) {
     this.updateCache(opt?.position);
     const { bytesRead, ...options} = this.readFromCache(buffer, opt);
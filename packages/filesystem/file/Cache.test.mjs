@@ -75,4 +75,26 @@ describe('Cache file', function() {
     // check if the cache works
 
   });
+
+  it('should not read truncated data from the cache', async function() {
+    const memory = new Memory();
+    const cache = new Cache(memory);
+    cache.writeSync(Uint8Array.from([1, 2, 3, 4]));
+    strictEqual(cache.peek(4, 0).subarray(0, 4).join(), '1,2,3,4');
+    cache.truncateSync(2);
+    strictEqual(cache.peek(4, 0).byteLength, 2);
+    strictEqual(cache.peek(2, 2).byteLength, 0);
+    cache.writeSync(Uint8Array.from([5]));
+    strictEqual(cache.peek(3, 0).subarray(0, 3).join(), '1,2,5');
+  });
+
+  it('should not read replaced data from the cache', async function() {
+    const cache = new Cache(new Memory());
+    const other = new Cache(new Memory());
+    cache.writeSync(Uint8Array.from([1, 2, 3, 4]));
+    other.writeSync(Uint8Array.from([5, 6]));
+    strictEqual(cache.peek(4, 0).subarray(0, 4).join(), '1,2,3,4');
+    cache.replaceSync(other);
+    strictEqual(cache.peek(4, 0).join(), '5,6');
+  });
 });
\ No newline at end of file
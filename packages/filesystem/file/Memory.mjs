@@ -22,6 +22,26 @@ export default class Memory {
     this.buffer = new Uint8Array(0);
   }
 
+  truncateSync(byteLength = 0) {
+    if(this.closed) {
+      throw new Error('Memory file is closed');
+    }
+    const buffer = new Uint8Array(byteLength);
+    buffer.set(this.buffer.subarray(0, byteLength));
+    this.buffer = buffer;
+    this.rpos = Math.min(this.rpos, byteLength);
+  }
+
+  replaceSync(file) {
+    if(this.closed) {
+      throw new Error('Memory file is closed');
+    }
+    this.buffer = file.buffer;
+    this.rpos = 0;
+    file.truncate();
+    setImmediate(() => this.subscribers.forEach(cb => cb()));
+  }
+
   writeSync(data, opt) {
     if(this.closed) {
       throw new Error('Memory file is closed');
@@ -64,4 +64,24 @@ describe('Memory file', function() {
     strictEqual(stat.isDirectory(), false);
   });
 
+  it('should truncate the file', async function() {
+    const file = new Memory();
+    file.writeSync(Buffer.from('hello world'));
+    file.truncateSync(5);
+    strictEqual(file.statSync().size, 5);
+    file.writeSync(Buffer.from('!'));
+    strictEqual(Buffer.from(file.buffer).toString(), 'hello!');
+  });
+
+  it('should replace the file', async function() {
+    const file = new Memory();
+    const other = new Memory();
+    file.writeSync(Buffer.from('hello world'));
+    other.writeSync(Buffer.from('hello'));
+    file.replaceSync(other);
+    file.writeSync(Buffer.from('!'));
+    strictEqual(Buffer.from(file.buffer).toString(), 'hello!');
+    strictEqual(other.statSync().size, 0);
+  });
+
 });
\ No newline at end of file
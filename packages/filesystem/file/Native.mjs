@@ -7,23 +7,57 @@ import DefaultMap from '@staabler/core/DefaultMap.mjs';
 const pool = new Map();
 const watchers = new DefaultMap(filename => {
   const subscribers = [];
-  const watcher = fs.watch(filename, ev => subscribers.forEach(cb => cb(ev)));
-  return [watcher, subscribers];
-}); // filename => watcher
+  return [watch(filename, subscribers), subscribers];
+}); // filename => [watcher, subscribers]
 
+function watch(filename, subscribers) {
+  return fs.watch(filename, ev => subscribers.forEach(cb => cb(ev)));
+}
+
+function closeDescriptors(filename) {
+  Array
+    .from(pool.entries())
+    .filter(([identity]) => identity.startsWith(`${filename}${seperator}`))
+    .forEach(([identity, fd]) => {
+      fs.closeSync(fd);
+      pool.delete(identity);
+    });
+}
+
+function closeWatcher(filename) {
+  if(!watchers.has(filename)) {
+    return;
+  }
+  const [watcher] = watchers.get(filename);
+  watcher.close();
+  watchers.delete(filename);
+}
+
+function rewatch(filename) {
+  // A watcher follows the inode, not the name (ex. after a rename)
+  if(!watchers.has(filename)) {
+    return;
+  }
+  const entry = watchers.get(filename);
+  const [watcher, subscribers] = entry;
+  watcher.close();
+  entry[0] = watch(filename, subscribers);
+  setImmediate(() => subscribers.forEach(cb => cb('rename')));
+}
 
 function addWatcher(filename, cb) {
-  const [watcher, subscribers] = watchers.get(filename);
+  const entry = watchers.get(filename);
+  const [, subscribers] = entry;
   subscribers.push(cb);
   return () => {
     const index = subscribers.indexOf(cb);
     if(index !== -1) {
       subscribers.splice(index, 1);
-      if(subscribers.length !== 0) {
+      // The watcher may be closed already (ex. the file is closed)
+      if(subscribers.length !== 0 || !watchers.has(filename) || watchers.get(filename) !== entry) {
         return;
       }
-      watcher.close();
-      watchers.delete(filename);
+      closeWatcher(filename);
     }
   }
 }
@@ -36,20 +70,8 @@ const seperator = '::|';
 export default class Native {
 
   static close(filename = '') {
-    Array
-      .from(pool.entries())
-      .filter(([identity]) => identity.startsWith(`${filename}${seperator}`))
-      .forEach(([identity, fd]) => {
-        fs.closeSync(fd);
-        pool.delete(identity);
-      });
-    
-    if(!watchers.has(filename)) {
-      return;
-    }
-    const [watcher] = watchers.get(filename);
-    watcher.close();
-    watchers.delete(filename);
+    closeDescriptors(filename);
+    closeWatcher(filename);
   }
 
   static closeAll() {
@@ -115,6 +137,20 @@ export default class Native {
   fdatasyncSync() {
     return this.use(fd => fs.fdatasyncSync(fd));
   }
+
+  truncateSync(byteLength = 0) {
+    return this.use(fd => fs.ftruncateSync(fd, byteLength));
+  }
+  
+  replaceSync(file) {
+    // A rename is atomic, the pooled descriptors still point to the old file
+    // and the watchers to the old inode
+    closeDescriptors(file.filename);
+    closeWatcher(file.filename);
+    fs.renameSync(file.filename, this.filename);
+    closeDescriptors(this.filename);
+    rewatch(this.filename);
+  }
   
   closeSync() {
     Native.close(this.filename);
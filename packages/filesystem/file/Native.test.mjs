@@ -1,7 +1,7 @@
 import File from '../File.mjs';
 import Native from './Native.mjs';
 import { strictEqual } from 'node:assert';
-import { readFileSync } from 'node:fs'; // FOr debugging
+import { readFileSync, existsSync } from 'node:fs'; // FOr debugging
 
 describe('Native file', function() {
   
@@ -79,4 +79,58 @@ describe('Native file', function() {
     });
   });
 
+  it('should truncate the file', function() {
+    return File.withTmpFile(async src => {
+      const file = new Native(src, 'a+');
+      file.writeSync(Buffer.from('hello world'));
+      file.truncateSync(5);
+      strictEqual(file.statSync().size, 5);
+      file.writeSync(Buffer.from('!'));
+      strictEqual(readFileSync(src).toString(), 'hello!');
+    });
+  });
+
+  it('should replace the file', function() {
+    return File.withTmpFile(src => File.withTmpFile(async tmp => {
+      const file = new Native(src, 'a+');
+      const other = new Native(tmp, 'a+');
+      file.writeSync(Buffer.from('hello world'));
+      other.writeSync(Buffer.from('hello'));
+      file.replaceSync(other);
+      strictEqual(file.statSync().size, 5);
+      file.writeSync(Buffer.from('!'));
+      strictEqual(readFileSync(src).toString(), 'hello!');
+      strictEqual(existsSync(tmp), false);
+    }));
+  });
+
+  it('should watch the replaced file', function() {
+    return File.withTmpFile(src => File.withTmpFile(async tmp => {
+      const file = new Native(src, 'a+');
+      const other = new Native(tmp, 'a+');
+      file.writeSync(Buffer.from('hello'));
+      other.writeSync(Buffer.from('world'));
+      const events = [];
+      const unwatch = file.watch(ev => events.push(ev));
+      file.replaceSync(other);
+      await new Promise(resolve => setImmediate(resolve));
+      strictEqual(events.length, 1);
+
+      // The watcher follows the new file
+      const { promise, resolve } = Promise.withResolvers();
+      const unwatchNext = file.watch(resolve);
+      file.writeSync(Buffer.from('!'));
+      await promise;
+      unwatch();
+      unwatchNext();
+      file.closeSync();
+
+      // A closed watcher is not watched again
+      const unwatchClosed = file.watch(() => {});
+      file.closeSync();
+      File.unlinkSync(src);
+      unwatchClosed();
+    }));
+  });
+
 });
\ No newline at end of file
@@ -1,3 +1,4 @@
+import inspectCustom, { kInspectCustom } from './inspectCustom.mjs';
 import LRUMap from '@staabler/core/LRUMap.mjs';
 import withCache from '@staabler/core/withCache.mjs';
 import Allocator from '@staabler/core/Allocator.mjs';
@@ -44,7 +45,8 @@ class FlatList  {
       throw new Error(`FlatList<constructor>: buffer length (${byteLength}) must be a multiple of ${BYTES_PER_ELEMENT}`);
     }
     this.length = byteLength/BYTES_PER_ELEMENT;
-    this._handle = new Type();
+    // Writing to a handle would bypass set() (see handle)
+    this._handle = typeof Type.readOnly === 'function' ? Type.readOnly() : new Type();
     this._handleByteOffset = -1;
     this._objects = new LRUMap(2**4);
     //this._at = withCache(this._objects, this._at.bind(this));
@@ -102,7 +104,9 @@ class FlatList  {
   }
   
   /**
-   * Gets a handle to an item at the specified position.
+   * Gets a handle to an item at the specified position. The handle is reused
+   * by the next call and it is read-only for a Record type (its setters throw,
+   * use set() to change an item).
    * 
    * @param {number} [pos=0] - Position of the item (negative values count from end)
    * @returns {Object|undefined} Item handle or undefined if position is out of bounds
@@ -134,6 +138,18 @@ class FlatList  {
   toJS() {
     return Array.from({ length: this.length }, (_1, index) => this.at(index).toJS());
   }
+
+  /**
+   * Formats the list for util.inspect, ex. "FlatList<Point>(2) [ ... ]".
+   * 
+   * @param {number} depth - The remaining depth
+   * @param {Object} options - The util.inspect options
+   * @param {Function} inspect - The util.inspect function
+   * @returns {string} The formatted list
+   */
+  [kInspectCustom](depth, options, inspect) {
+    return inspectCustom(`FlatList<${this.Type.name}>(${this.length})`, this, depth, options, inspect);
+  }
   
 
   /**
@@ -559,6 +575,12 @@ export default withCache(new WeakMap(), Record => {
 
   return class List extends FlatList {
 
+    /**
+     * The Record type of the items.
+     * @type {Function}
+     */
+    static Type = Record;
+
     static BYTES_PER_ELEMENT = Record.BYTES_PER_ELEMENT;
 
     /**
@@ -1,5 +1,6 @@
 import FlatList from './FlatList.mjs';
 import withCache from '@staabler/core/withCache.mjs';
+import inspectCustom, { kInspectCustom } from './inspectCustom.mjs';
 
 /**
  * Default comparison function for sorting FlatSet items.
@@ -59,7 +60,8 @@ class FlatSet  {
   }
   
   /**
-   * Gets a handle to an item at the specified position.
+   * Gets a read-only handle to an item at the specified position (writing
+   * to an item would break the order of the set).
    * 
    * @param {number} [pos=0] - Position of the item (negative values count from end)
    * @returns {Object|undefined} Item handle or undefined if position is out of bounds
@@ -76,6 +78,18 @@ class FlatSet  {
   toJS() {
     return this.items.toJS();
   }
+
+  /**
+   * Formats the set for util.inspect, ex. "FlatSet<Point>(2) [ ... ]".
+   * 
+   * @param {number} depth - The remaining depth
+   * @param {Object} options - The util.inspect options
+   * @param {Function} inspect - The util.inspect function
+   * @returns {string} The formatted set
+   */
+  [kInspectCustom](depth, options, inspect) {
+    return inspectCustom(`FlatSet<${this.items.Type.name}>(${this.size})`, this, depth, options, inspect);
+  }
   
   /**
    * Gets an item at the specified position.
@@ -346,6 +360,12 @@ export default withCache(new WeakMap(), Record => {
   const List = FlatList(Record);
   return class Set extends FlatSet {
 
+    /**
+     * The Record type of the items.
+     * @type {Function}
+     */
+    static Type = Record;
+
     static BYTES_PER_ELEMENT = Record.BYTES_PER_ELEMENT;
 
     /**
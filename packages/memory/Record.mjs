@@ -1,3 +1,46 @@
+/**
+ * Record layout
+ * 
+ * A record is a single Uint8Array split in two regions:
+ * 
+ *  [fixed region][dynamic region]
+ * 
+ * The fixed region is MIN_BYTES_PER_ELEMENT bytes long and contains every
+ * fixed-size member at its (aligned) byteOffset. Dynamic members (Utf8, Bytes,
+ * variadic) are sorted last and only store a Uint32 offset header in the fixed
+ * region, one per element. All offset headers are therefore stored back-to-back
+ * at the end of the fixed region:
+ * 
+ *  [name][labels[0]][labels[1]]...[labels[N-1]][avatar]
+ * 
+ * Each header contains the absolute byte offset of the data in the dynamic
+ * region. The byte length of an element is derived from the next header (or
+ * the end of the buffer for the last one), so no length is stored. An array
+ * of dynamic values (ex. ['labels', 'Utf8', 8]) is simply N consecutive headers.
+ * 
+ * A nested Record is stored inline (aligned to 8 bytes) if it has a fixed size,
+ * otherwise as any other dynamic value. In the schema JSON a nested Record is
+ * represented by its own schema: [name, schema].
+ * 
+ * Optional members (declared with a "?" suffix, ex. { "age?": "Uint8" }) have a
+ * bit in a presence bitmap stored first in the fixed region, one bit per
+ * optional member (in member order). A cleared bit means the value is absent
+ * (null); its bytes are zeroed and dynamic values are empty.
+ * 
+ * Values are stored in little-endian byte order unless the record is
+ * created with { endian: 'big' }. The byte order only applies to the
+ * values, offset headers and the presence bitmap are always little-endian.
+ * 
+ * Bounded types (ex. "Utf8(32)", "Bytes(16)") are stored inline with a
+ * length prefix, so they keep a record fixed-size. Larger values throw or
+ * are truncated (at a character boundary) depending on the overflow option.
+ * 
+ * Timestamp, UUID and Decimal(precision, scale) are fixed-size; Varint and
+ * ZigZag (LEB128) are dynamic, small values use fewer bytes.
+ * 
+ * Enum(a, b) stores the index of a value and Flags(a, b) packs booleans in
+ * one integer; both are declared by their values, ex. "Enum(open, closed)".
+ */
 import Int8 from './types/Int8.mjs';
 import Int16 from './types/Int16.mjs';
 import Int32 from './types/Int32.mjs';
@@ -12,8 +55,23 @@ import Float32 from './types/Float32.mjs';
 import Float64 from './types/Float64.mjs';
 
 import Utf8 from './types/Utf8.mjs';
-import Bytes from './types/Bytes.mjs';
+import Bytes, { isJSONBytes } from './types/Bytes.mjs';
 import Boolean from './types/Boolean.mjs';
+import Nested from './types/Nested.mjs';
+import Variadic from './types/Variadic.mjs';
+import Enum from './types/Enum.mjs';
+import UUID from './types/UUID.mjs';
+import Flags from './types/Flags.mjs';
+import Varint, { setVarint, readVarint, getVarintByteLength } from './types/Varint.mjs';
+import ZigZag from './types/ZigZag.mjs';
+import Decimal from './types/Decimal.mjs';
+import Bounded from './types/Bounded.mjs';
+import Timestamp from './types/Timestamp.mjs';
+import BigEndian from './types/BigEndian.mjs';
+import RecordValueError from './RecordValueError.mjs';
+import inspectCustom, { kInspectCustom } from './inspectCustom.mjs';
+import getBit from './getBit.mjs';
+import setBit from './setBit.mjs';
 import { isLittleEndian } from './endianness.mjs';
 import isNullish from '@staabler/core/isNullish.mjs';
 import withCache from '@staabler/core/withCache.mjs';
@@ -29,9 +87,58 @@ const types = {
   BigInt64, BigUint64,
   Float8, Float16, Float32, Float64,
 
-  Utf8, Bytes, Boolean
+  Utf8, Bytes, Boolean,
+
+  Timestamp, UUID, Varint, ZigZag
+};
+
+/**
+ * Factories of the parameterized types (ex. "Utf8(32)").
+ * Each factory receives the arguments (strings) and the record options.
+ * @type {Object}
+ */
+const parameterizedTypes = {
+  Utf8: ([capacity], { overflow }) => Bounded(Utf8, Number(capacity), overflow),
+  Bytes: ([capacity], { overflow }) => Bounded(Bytes, Number(capacity), overflow),
+  Decimal: ([precision, scale = 0]) => Decimal(Number(precision), Number(scale)),
+  Enum: values => Enum(...values),
+  Flags: names => Flags(...names)
 };
 
+/**
+ * Names of the types stored as numbers (affected by the byte order).
+ * @type {string[]}
+ */
+const byteOrderedTypes = [
+  'Int16', 'Int32',
+  'Uint16', 'Uint32',
+  'BigInt64', 'BigUint64',
+  'Float16', 'Float32', 'Float64',
+  'Timestamp', 'Decimal',
+  'Enum', 'Flags'
+];
+
+/**
+ * Parses a parameterized type notation (ex. "Utf8(32)" or "Decimal(10, 2)").
+ * 
+ * @param {*} identifier - Schema identifier
+ * @returns {Array|null} [name, args] or null if not parameterized
+ */
+function parseParameterizedType(identifier) {
+  const match = typeof identifier === 'string' ? identifier.match(/^(\w+)\((.*)\)$/) : null;
+  return match ? [match[1], match[2].split(',').map(arg => arg.trim())] : null;
+}
+
+/**
+ * Gets the base type name of a schema identifier (ex. "Utf8" for "Utf8(32)").
+ * 
+ * @param {*} schema - Schema identifier
+ * @returns {string} The type name (empty if not a type name)
+ */
+function getTypeName(schema) {
+  return parseParameterizedType(schema)?.[0] ?? (typeof schema === 'string' ? schema : '');
+}
+
 /**
  * Array of typed array type names that can be used directly.
  * @type {string[]}
@@ -49,6 +156,21 @@ const typedArrayTypes = [
  */
 const kDynamicTypeByteLength = 4;
 
+/**
+ * Alignment for fixed-size nested records. It is the largest alignment any
+ * member may require, so the members of the nested record stay aligned.
+ * @type {number}
+ */
+const kRecordAlignment = 8;
+
+/**
+ * Gets the byte length of the presence bitmap.
+ * 
+ * @param {number} [count=0] - Number of optional members
+ * @returns {number} The byte length of the bitmap
+ */
+const getPresenceByteLength = (count = 0) => Math.ceil(count/8);
+
 /**
  * Rounds a number up to the closest divisor.
  * 
@@ -97,52 +219,78 @@ const toMembers = (() => {
     return /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key);
   }
 
+  /**
+   * Resolves a schema identifier to its schema (as stored in JSON) and type.
+   * 
+   * @param {string|Array|Function} identifier - Type name, Record class or Record schema
+   * @param {Object} options - Record options
+   * @returns {Array} [schema, Type]
+   */
+  const resolve = (identifier, options) => {
+    if(typeof identifier === 'function' && identifier.schema) {
+      return [identifier.schema, Nested(identifier)];
+    }
+    if(Array.isArray(identifier) && 1 < identifier.length) {
+      return [identifier, Nested(Record(...identifier))];
+    }
+    const parameterized = parseParameterizedType(identifier);
+    if(parameterized) {
+      const [name, args] = parameterized;
+      return [identifier, Object.hasOwn(parameterizedTypes, name) ? parameterizedTypes[name](args, options) : undefined];
+    }
+    return [identifier, types[identifier]];
+  };
+
   /**
    * Maps schema entries to member definitions.
    * 
    * @param {Array} entry - Schema entry [name, identifier, length]
+   * @param {Object} options - Record options
    * @returns {Object} Member definition object
    * @throws {Error} If the schema entry is invalid
    */
-  const mapper = ([name, identifier, length = 1]) => {
+  const mapper = ([key, identifier, length = 1], options) => {
+    const optional = typeof key === 'string' && key.endsWith('?');
+    const name = optional ? key.slice(0, -1) : key;
     if(!(name !== 'buffer' && isValidDotNotationKey(name))) {
-      throw new Error(`Invalid record name: "${name}"`);
+      throw new Error(`Invalid record name: "${key}"`);
     }
 
     if(!(1 <= length)) {
       throw new Error(`Invalid length value (got=${length})`);
     }
     
-    const variadic = Array.isArray(identifier);
-    const schema = variadic ? identifier[0] : identifier;
-    const Type = types[schema];
-    if(!Type) {
+    const variadic = Array.isArray(identifier) && identifier.length === 1;
+    const [schema, ResolvedType] = resolve(variadic ? identifier[0] : identifier, options);
+    if(!ResolvedType) {
       throw new Error(`Unknown type: "${schema}"`);
     }
 
-    if(variadic) {
-      // The issue is a variadic type of say Uint32 must be properly padd(ed),
-      // and if the elements before is dynamic, is it a lot more complex.
-      throw new Error('Variadic schema(s) is unsupported');
-    }
+    // A nested record has its own byte order (and strings, UUIDs etc. have none)
+    const nested = !!ResolvedType.Record;
+    const isByteOrdered = byteOrderedTypes.includes(getTypeName(schema));
+    const ElementType = (options.endian === 'big' && isByteOrdered) ? BigEndian(ResolvedType) : ResolvedType;
 
+    // A variadic field is stored as any other dynamic value: an offset header
+    // and the elements at the end of the record. So no padding is required.
+    const Type = variadic ? Variadic(ElementType) : ElementType;
     const { BYTES_PER_ELEMENT } = Type;
-    const dynamic = variadic || !BYTES_PER_ELEMENT;
-    const minByteLength = variadic ? kDynamicTypeByteLength : (BYTES_PER_ELEMENT ?? kDynamicTypeByteLength) * length;
+    const dynamic = !BYTES_PER_ELEMENT;
+    const minByteLength = (BYTES_PER_ELEMENT ?? kDynamicTypeByteLength) * length;
+    const alignment = dynamic ? kDynamicTypeByteLength :
+                      (nested && !variadic) ? kRecordAlignment :
+                      (Type.ALIGNMENT ?? BYTES_PER_ELEMENT);
 
-    if(dynamic && 1 < length) {
-      // The issue is allow fast access and the poential overhead. An array of
-      // 10 000 strings would require 10 000 length headers (4 byte) + iteration
-      // to properly get its offset.
-      throw new Error(`Array type for dynamic values (${schema}) is currenly unsupported`);
-    }
     return {
       Type,
       name,
       length,
       schema,
+      nested,
       dynamic,
+      optional,
       variadic,
+      alignment,
       minByteLength,
       BYTES_PER_ELEMENT
     };
@@ -157,26 +305,41 @@ const toMembers = (() => {
    */
   const addByteOffset = (members, member) => {
     const prev = members.at(-1);
-    const { BYTES_PER_ELEMENT } = member;
-    const suggestion =  prev ? (prev.byteOffset + prev.minByteLength) : 0;
-    const byteOffset =  roundToClosestDivisor(suggestion, BYTES_PER_ELEMENT ?? kDynamicTypeByteLength);
+    const suggestion =  prev ? (prev.byteOffset + prev.minByteLength) : getPresenceByteLength(members.presence);
+    const byteOffset =  roundToClosestDivisor(suggestion, member.alignment);
     members.push({ ...member, byteOffset });
     return members;
   }
 
+  /**
+   * Adds the presence bit to optional member definitions.
+   * 
+   * @param {Array} members - Array of member definitions
+   * @param {Object} member - Member definition to add
+   * @returns {Array} Updated members array
+   */
+  const addPresenceBit = (members, member) => {
+    const bit = member.optional ? members.presence++ : -1;
+    members.push({ ...member, bit });
+    return members;
+  }
+
   /**
    * Converts a schema object or array to member definitions.
    * 
    * @param {Object|Array} obj - Schema object or array
+   * @param {Object} [options={}] - Record options
    * @returns {Array} Array of member definitions
    */
-  return (obj = []) => {
+  return (obj = [], options = {}) => {
     const entries = Array.isArray(obj) ? obj : Object.entries(obj);
     
-    return entries
-      .map(mapper)
+    const members = entries
+      .map(entry => mapper(entry, options))
       .sort(compare)
-      .reduce(addByteOffset, []);
+      .reduce(addPresenceBit, Object.assign([], { presence: 0 }));
+    
+    return members.reduce(addByteOffset, Object.assign([], { presence: members.presence }));
   }
 })();
 
@@ -233,17 +396,50 @@ function builder(space = '') {
 function toSchema(members = []) {
   let lengthy = false;
   const entries = members.map(obj => {
-    const { name, schema, length } = obj;
+    const { schema, length, optional, variadic } = obj;
+    const name = optional ? `${obj.name}?` : obj.name;
+    const identifier = variadic ? [schema] : schema;
     if(1 < length) {
       lengthy = true;
-      return [name, schema, length];
+      return [name, identifier, length];
     }
-    return [name, schema];
+    return [name, identifier];
   });
 
   return lengthy ? entries : Object.fromEntries(entries);
 }
 
+/**
+ * Converts member definitions to the layout of a record (Type.layout), the
+ * byte ranges of its fixed region in member order:
+ *  - byteOffset/byteLength: the range of the member (the offset headers of a
+ *    dynamic member, one per element)
+ *  - bit: the bit of an optional member in the presence bitmap (or -1)
+ * 
+ * The gaps between the ranges are padding (see roundToClosestDivisor).
+ * 
+ * @param {Array} members - Array of member definitions
+ * @returns {Array} Frozen array of layout entries
+ */
+function createLayout(members = []) {
+  return Object.freeze(members.map(({ name, schema, length, optional, variadic, dynamic, bit, byteOffset, minByteLength }) => Object.freeze({
+    name,
+    schema: variadic ? [schema] : schema,
+    length,
+    optional,
+    dynamic,
+    bit,
+    byteOffset,
+    byteLength: minByteLength
+  })));
+}
+
+/**
+ * An empty buffer (the value of absent/empty dynamic members).
+ * @type {Uint8Array}
+ */
+const emptyBuffer = new Uint8Array(0);
+
 /**
  * Shared cache for Record classes to avoid duplicate class creation.
  * @type {Map}
@@ -254,14 +450,19 @@ const shared = new Map();
  * Creates a static proxy handler for array-like access to typed array fields.
  * 
  * @param {Object} member - Member definition
+ * @param {Function} [assertElement=null] - Validates (value, index) before writing (strict records)
  * @returns {Object} Proxy handler object
  */
-function createStaticProxyHandler(member) {
-  const { Type, length, byteOffset } = member;
+function createStaticProxyHandler(member, assertElement = null) {
+  const { Type, length, nested, byteOffset } = member;
   const { getValue, setValue, BYTES_PER_ELEMENT } = Type;
 
   let keys;
   const toArray = buffer => Array.from({ length }, (_, index) => getValue(buffer, byteOffset + index * BYTES_PER_ELEMENT));
+  const createView = (instance, index) => {
+    const begin = byteOffset + index * BYTES_PER_ELEMENT;
+    return Type.view(() => instance.buffer.subarray(begin, begin + BYTES_PER_ELEMENT), buffer => instance.buffer.set(buffer, begin));
+  };
   const ownKeys = () => {
     if(!keys) {
       keys = Array
@@ -270,11 +471,12 @@ function createStaticProxyHandler(member) {
     }
     return keys;
   };
+  const toIndex = key => typeof key === 'string' ? parseInt(key, 10) : -1;
   const has = (_, key) => ownKeys().includes(key);
   const get = (target, key) => {
-    const index = parseInt(key, 10);
+    const index = toIndex(key);
     if(0 <= index && index < length) {
-      return getValue(target[0].buffer, byteOffset + index * BYTES_PER_ELEMENT);
+      return nested ? toCopyOnWriteValue(target[0], createView(target[0], index)) : getValue(target[0].buffer, byteOffset + index * BYTES_PER_ELEMENT);
     }
 
     
@@ -290,9 +492,11 @@ function createStaticProxyHandler(member) {
   };
 
   const set = (target, key, value) => {
-    const index = parseInt(key, 10);
+    const index = toIndex(key);
     if(0 <= index && index < length) {
       const [instance] = target;
+      assertElement?.(value, index);
+      detach(instance);
       setValue(instance.buffer, byteOffset + index * BYTES_PER_ELEMENT, value);
       return true;
     }
@@ -307,6 +511,270 @@ function createStaticProxyHandler(member) {
   };
 }
 
+/**
+ * Gets the data range of a dynamic value from its offset header.
+ * 
+ * @param {Uint8Array} buffer - The record buffer
+ * @param {number} headerByteOffset - Byte offset of the offset header
+ * @param {number} minByteLength - Byte length of the fixed region (end of all headers)
+ * @returns {Array} [byteOffset, byteLength] of the data
+ */
+function getDynamicRange(buffer, headerByteOffset, minByteLength) {
+  const offset = Uint32.getValue(buffer, headerByteOffset);
+  const next = headerByteOffset + kDynamicTypeByteLength;
+  const end = next < minByteLength ? Uint32.getValue(buffer, next) : buffer.byteLength;
+  return [offset, end - offset];
+}
+
+/**
+ * Sets a dynamic value and resizes the record buffer if required.
+ * All offset headers after the current one are adjusted accordingly.
+ * 
+ * @param {Object} instance - The record instance
+ * @param {Function} Type - The dynamic type (Utf8, Bytes etc)
+ * @param {number} headerByteOffset - Byte offset of the offset header
+ * @param {number} minByteLength - Byte length of the fixed region (end of all headers)
+ * @param {*} value - The value to set
+ */
+function setDynamicValue(instance, Type, headerByteOffset, minByteLength, value) {
+  const buffer = instance.buffer;
+  const [offset, currentLength] = getDynamicRange(buffer, headerByteOffset, minByteLength);
+  const nextLength = Type.getByteLengthOf(value);
+  const diffLength = nextLength - currentLength;
+  if(diffLength === 0) {
+    return Type.setValue(buffer, offset, value, nextLength);
+  }
+
+  // Only the data after the current value is moved, so the value itself is
+  // kept intact (a nested record view may write a value that alias it).
+  const end = offset + currentLength;
+  const nextByteLength = buffer.byteLength + diffLength;
+  if(0 < diffLength) {
+    const newBuffer = new Uint8Array(nextByteLength);
+    newBuffer.set(buffer.subarray(0, end));
+    newBuffer.set(buffer.subarray(end), end + diffLength);
+    instance.buffer = newBuffer;
+  } else {
+    buffer.copyWithin(end + diffLength, end);
+    instance.buffer = buffer.subarray(0, nextByteLength);
+  }
+
+  const target = instance.buffer;
+  for(let byteOffset = headerByteOffset + kDynamicTypeByteLength; byteOffset < minByteLength; byteOffset += kDynamicTypeByteLength) {
+    Uint32.setValue(target, byteOffset, Uint32.getValue(buffer, byteOffset) + diffLength);
+  }
+  Type.setValue(target, offset, value, nextLength);
+}
+
+/**
+ * Creates a live view of a dynamic nested record.
+ * 
+ * @param {Object} instance - The parent record instance
+ * @param {Function} Type - The Nested type
+ * @param {number} headerByteOffset - Byte offset of the offset header
+ * @param {number} minByteLength - Byte length of the fixed region (end of all headers)
+ * @returns {Object} A nested record instance
+ */
+function createDynamicView(instance, Type, headerByteOffset, minByteLength) {
+  const getBuffer = () => {
+    const buffer = instance.buffer;
+    const [offset, byteLength] = getDynamicRange(buffer, headerByteOffset, minByteLength);
+    return buffer.subarray(offset, offset + byteLength);
+  };
+  const setBuffer = buffer => setDynamicValue(instance, Type, headerByteOffset, minByteLength, buffer);
+  return Type.view(getBuffer, setBuffer);
+}
+
+/**
+ * Creates a dynamic proxy handler for array-like access to an array of
+ * dynamic values (ex. Utf8[8]). Each element has its own offset header.
+ * 
+ * @param {Object} member - Member definition
+ * @param {number} minByteLength - Byte length of the fixed region
+ * @param {Function} [assertElement=null] - Validates (value, index) before writing (strict records)
+ * @returns {Object} Proxy handler object
+ */
+function createDynamicProxyHandler(member, minByteLength, assertElement = null) {
+  const { Type, length, nested, byteOffset } = member;
+
+  let keys;
+  const getHeaderByteOffset = index => byteOffset + index * kDynamicTypeByteLength;
+  const getElement = (buffer, index) => Type.getValue(buffer, ...getDynamicRange(buffer, getHeaderByteOffset(index), minByteLength));
+  const createView = (instance, index) => createDynamicView(instance, Type, getHeaderByteOffset(index), minByteLength);
+  const toArray = buffer => Array.from({ length }, (_, index) => getElement(buffer, index));
+  const toIndex = key => typeof key === 'string' ? parseInt(key, 10) : -1;
+  const ownKeys = () => {
+    if(!keys) {
+      keys = Array
+        .from({ length }, (_, index) => index.toString())
+        .concat(['array', 'buffer', 'length']);
+    }
+    return keys;
+  };
+  const has = (_, key) => ownKeys().includes(key);
+  const get = (target, key) => {
+    const buffer = target[0].buffer;
+    const index = toIndex(key);
+    if(0 <= index && index < length) {
+      return nested ? toCopyOnWriteValue(target[0], createView(target[0], index)) : getElement(buffer, index);
+    }
+
+    switch(key) {
+      case 'length': return length;
+      case 'buffer': return buffer;
+      case 'array': return toArray(buffer);
+      case Symbol.iterator: return () => toArray(buffer)[Symbol.iterator]();
+    }
+  };
+
+  const set = (target, key, value) => {
+    const index = toIndex(key);
+    if(0 <= index && index < length) {
+      const [instance] = target;
+      assertElement?.(value, index);
+      detach(instance);
+      setDynamicValue(instance, Type, getHeaderByteOffset(index), minByteLength, value);
+      return true;
+    }
+  };
+
+  return {
+    get,
+    set,
+    has,
+    ownKeys
+  };
+}
+
+/**
+ * Copy-on-write records that still share their buffer, with their owner
+ * (the copy-on-write record of a nested view, null otherwise).
+ * @type {WeakMap}
+ */
+const sharedRecords = new WeakMap();
+
+/**
+ * Copy-on-write variants of the nested views of the copy-on-write records.
+ * @type {WeakMap}
+ */
+const copyOnWriteViews = new WeakMap();
+
+/**
+ * Gives a copy-on-write record its own buffer (once), before its first write.
+ * 
+ * @param {Object} instance - The record instance
+ */
+function detach(instance) {
+  if(!sharedRecords.has(instance)) {
+    return;
+  }
+  const owner = sharedRecords.get(instance);
+  sharedRecords.delete(instance);
+  if(owner) {
+    // A nested view writes to the buffer of its owner
+    detach(owner);
+  } else {
+    instance.buffer = instance.buffer.slice();
+  }
+}
+
+/**
+ * Checks if a copy-on-write record (or the owner of a nested view) still
+ * shares its buffer.
+ * 
+ * @param {Object} instance - The record instance
+ * @returns {boolean} True if the buffer is shared
+ */
+function isShared(instance) {
+  if(!sharedRecords.has(instance)) {
+    return false;
+  }
+  const owner = sharedRecords.get(instance);
+  return owner === null || isShared(owner);
+}
+
+/**
+ * Converts a live member value of a copy-on-write record so reading it does
+ * not copy the buffer: a nested record is copy-on-write (its first write
+ * copies the buffer of the owner), typed arrays and bytes are copies while
+ * the buffer is shared.
+ * 
+ * @param {Object} owner - The copy-on-write record
+ * @param {*} value - The member value (a live view)
+ * @returns {*} The copy-on-write value
+ */
+function toCopyOnWriteValue(owner, value) {
+  if(!isShared(owner)) {
+    return value;
+  }
+  if(ArrayBuffer.isView(value)) {
+    return value.slice();
+  }
+  if(!(value?.buffer?.constructor === Uint8Array && typeof value.constructor?.copyOnWrite === 'function')) {
+    return value;
+  }
+  let instance = copyOnWriteViews.get(value);
+  if(!instance) {
+    // The view asks its owner for the current buffer
+    instance = value.constructor.copyOnWrite(value.buffer);
+    Object.defineProperty(instance, 'buffer', {
+      get: () => value.buffer,
+      set: buffer => { value.buffer = buffer; },
+      enumerable: true
+    });
+    copyOnWriteViews.set(value, instance);
+  }
+  if(sharedRecords.has(instance)) {
+    sharedRecords.set(instance, owner);
+  }
+  return instance;
+}
+
+/**
+ * Throws when a read-only record (or one of its arrays) is written.
+ * 
+ * @param {string} name - The record name
+ * @param {string} key - The member name (or index)
+ * @throws {TypeError} Always
+ */
+function throwReadOnly(name, key) {
+  throw new TypeError(`Cannot assign to read only member "${key}" of ${name}`);
+}
+
+/**
+ * Converts a member value of a read-only record so it cannot write to the
+ * buffer: typed arrays and bytes are copied, nested records are read-only.
+ * 
+ * @param {*} value - The member value
+ * @returns {*} The read-only value
+ */
+function toReadOnlyValue(value) {
+  return  ArrayBuffer.isView(value) ? value.slice() :
+          (value?.buffer?.constructor === Uint8Array && typeof value.constructor?.readOnly === 'function') ? value.constructor.readOnly(value.buffer) :
+          value;
+}
+
+/**
+ * Creates a read-only array-like of a read-only record member.
+ * 
+ * @param {string} name - The record name
+ * @param {string} key - The member name
+ * @param {Object} arrayLike - The array-like (or typed array) of the member
+ * @returns {Object} The read-only array-like
+ */
+function toReadOnlyArrayLike(name, key, arrayLike) {
+  if(isNullish(arrayLike) || ArrayBuffer.isView(arrayLike)) {
+    return toReadOnlyValue(arrayLike);
+  }
+  const set = (_, index) => throwReadOnly(name, `${key}[${String(index)}]`);
+  return new Proxy(arrayLike, {
+    get: (target, key) => toReadOnlyValue(target[key]),
+    set,
+    defineProperty: set,
+    deleteProperty: set
+  });
+}
+
 /**
  * Creates a factory function for getting dynamic byte offsets.
  * 
@@ -344,6 +812,135 @@ function getDynamicByteOffsetFactory(members, minByteLength) {
   };
 }
 
+/**
+ * Encodes a non-negative integer as a varint.
+ * 
+ * @param {number} value - The integer
+ * @returns {Uint8Array} The varint bytes
+ */
+function toVarint(value) {
+  const bytes = new Uint8Array(getVarintByteLength(value));
+  setVarint(bytes, 0, value);
+  return bytes;
+}
+
+/**
+ * Concatenates byte arrays.
+ * 
+ * @param {Uint8Array[]} chunks - The byte arrays
+ * @returns {Uint8Array} The concatenated bytes
+ */
+function concatBytes(chunks) {
+  const result = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0));
+  let byteOffset = 0;
+  for(const chunk of chunks) {
+    result.set(chunk, byteOffset);
+    byteOffset += chunk.byteLength;
+  }
+  return result;
+}
+
+/**
+ * Creates the diff function of a Record class.
+ * 
+ * The delta lists the changed members in member order: the member index
+ * (varint), the presence (a byte, optional members only) and the raw bytes
+ * of a present value. Each dynamic element (one per offset header) is
+ * prefixed by its byte length (varint).
+ * 
+ * @param {Array} members - Array of member definitions
+ * @param {number} minByteLength - Byte length of the fixed region
+ * @returns {Function} Returns the delta (Uint8Array) between two records
+ */
+function createDiff(members, minByteLength) {
+  const isPresent = (buffer, { optional, bit }) => !optional || getBit(buffer[bit >> 3], bit & 7) === 1;
+  const getElements = (buffer, member) => {
+    const { dynamic, length, byteOffset } = member;
+    if(!dynamic) {
+      return [buffer.subarray(byteOffset, byteOffset + member.minByteLength)];
+    }
+    return Array.from({ length }, (_, i) => {
+      const [offset, byteLength] = getDynamicRange(buffer, byteOffset + i * kDynamicTypeByteLength, minByteLength);
+      return buffer.subarray(offset, offset + byteLength);
+    });
+  };
+  const isEqualElements = (a, b) => a.every((element, i) => isEqualBuffer(element, b[i]));
+
+  return (from, to) => {
+    const chunks = [];
+    members.forEach((member, index) => {
+      const present = isPresent(to.buffer, member);
+      const elements = present ? getElements(to.buffer, member) : [];
+      if(present === isPresent(from.buffer, member) && (!present || isEqualElements(getElements(from.buffer, member), elements))) {
+        return;
+      }
+      chunks.push(toVarint(index));
+      if(member.optional) {
+        chunks.push(Uint8Array.of(present ? 1 : 0));
+      }
+      for(const element of elements) {
+        if(member.dynamic) {
+          chunks.push(toVarint(element.byteLength));
+        }
+        chunks.push(element);
+      }
+    });
+    return concatBytes(chunks);
+  };
+}
+
+/**
+ * Creates the patch function of a Record class (applies a delta of diff).
+ * 
+ * @param {Array} members - Array of member definitions
+ * @param {number} minByteLength - Byte length of the fixed region
+ * @returns {Function} Applies a delta (Uint8Array) to a record and returns the record
+ */
+function createPatch(members, minByteLength) {
+  return (record, delta) => {
+    const take = (pos, byteLength) => {
+      if(delta.byteLength < pos + byteLength) {
+        throw new Error(`Truncated record delta (byteOffset=${pos})`);
+      }
+      return delta.subarray(pos, pos + byteLength);
+    };
+
+    let pos = 0;
+    while(pos < delta.byteLength) {
+      const [index, indexByteLength] = readVarint(delta, pos);
+      const member = members[index];
+      if(!member) {
+        throw new Error(`Invalid record delta (member=${index})`);
+      }
+      pos += indexByteLength;
+
+      const { name, bit, optional, dynamic, length, byteOffset } = member;
+      if(optional) {
+        const present = take(pos++, 1)[0] === 1;
+        if(!present) {
+          // The setter clears the value
+          record[name] = null;
+          continue;
+        }
+        record.buffer[bit >> 3] = setBit(record.buffer[bit >> 3], bit & 7, 1);
+      }
+
+      if(!dynamic) {
+        record.buffer.set(take(pos, member.minByteLength), byteOffset);
+        pos += member.minByteLength;
+        continue;
+      }
+      for(let i = 0; i < length; ++i) {
+        const [byteLength, prefixByteLength] = readVarint(delta, pos);
+        pos += prefixByteLength;
+        setDynamicValue(record, Bytes, byteOffset + i * kDynamicTypeByteLength, minByteLength, take(pos, byteLength));
+        pos += byteLength;
+      }
+    }
+    return record;
+  };
+}
+
 /**
  * Creates a buffer template for the Record type.
  * 
@@ -352,51 +949,674 @@ function getDynamicByteOffsetFactory(members, minByteLength) {
  * @returns {Uint8Array} Template buffer
  */
 function createBufferTemplate(members, minByteLength) {
-  const buffer = new Uint8Array(minByteLength);
+  // Every dynamic value is empty, except nested records (they need at least
+  // their own fixed region)
+  const values = [];
+  let byteLength = minByteLength;
   members.forEach(member => {
-    if(member.length === 1 && !member.BYTES_PER_ELEMENT) {
-      Uint32.setValue(buffer, member.byteOffset, minByteLength);
+    if(!member.dynamic) {
+      return;
     }
+    const { Type, nested, optional, variadic } = member;
+    const value = (nested && !variadic && !optional) ? new Type.Record().buffer : emptyBuffer;
+    for(let i = 0; i < member.length; ++i) {
+      values.push([member.byteOffset + i * kDynamicTypeByteLength, byteLength, value]);
+      byteLength += value.byteLength;
+    }
+  });
+
+  const buffer = new Uint8Array(byteLength);
+  values.forEach(([headerByteOffset, byteOffset, value]) => {
+    Uint32.setValue(buffer, headerByteOffset, byteOffset);
+    buffer.set(value, byteOffset);
   });
   return buffer;
 }
 
 /**
- * Empty Record class for schemas with no fields.
+ * Gets the code for reading and writing the presence bit of an optional member.
+ * 
+ * @param {Object} member - Member definition
+ * @param {number} minByteLength - Byte length of the fixed region
+ * @param {string} [assert=''] - Code validating a (non null) value, it runs before the presence bit is set
+ * @returns {Object} Code snippets { has, getGuard, setGuard } (empty if not optional)
  */
-class EmptyRecord {
-  static schema = {};
-  static MIN_BYTES_PER_ELEMENT = 0;
-  static BYTES_PER_ELEMENT = 0;
-
-  /**
-   * Creates a new EmptyRecord instance.
-   * 
-   * @param {ArrayBuffer|SharedArrayBuffer} buffer - The underlying buffer
-   */
-  constructor(buffer) {
-    this.buffer = buffer;
+function getPresenceCode(member, minByteLength, assert = '') {
+  const { bit, dynamic, length, optional, byteOffset } = member;
+  if(!optional) {
+    return { has: 'true', getGuard: '', setGuard: assert };
   }
+
+  const index = bit >> 3;
+  const pos = bit & 7;
+  const has = `getBit(this.buffer[${index}], ${pos})`;
+  const clear = dynamic ?
+    Array.from({ length }, (_, i) => `setDynamicValue(this, Bytes, ${byteOffset + i * kDynamicTypeByteLength}, ${minByteLength}, emptyBuffer);`).join('\n') :
+    `this.buffer.fill(0, ${byteOffset}, ${byteOffset + member.minByteLength});`;
+  
+  return {
+    has,
+    getGuard: `
+      if(!${has}) {
+        return null;
+      }
+    `,
+    setGuard: `
+      if(isNullish(value)) {
+        this.buffer[${index}] = setBit(this.buffer[${index}], ${pos}, 0);
+        ${clear}
+        return;
+      }
+      ${assert}
+      this.buffer[${index}] = setBit(this.buffer[${index}], ${pos}, 1);
+    `
+  };
 }
 
 /**
- * Creates a Record class with the specified schema.
- * Generates optimized code for memory-efficient record access.
+ * Gets the code converting a member to a plain JavaScript value (used by toJS).
  * 
- * @param {...*} args - Arguments including schema definition
- * @returns {Function} Record class constructor
+ * @param {Object} member - Member definition
+ * @returns {string} Code expression
+ */
+function toJSCode(member) {
+  const { name, nested, dynamic, optional, variadic, length } = member;
+  const isArray = 1 < length;
+  if(optional) {
+    const { has } = getPresenceCode(member);
+    return `(${has} ? ${toJSCode({ ...member, optional: false })} : null)`;
+  }
+  return  (nested && variadic) ? `this.${name}${isArray ? '.array.map(arr => arr.map(obj => obj.toJS()))' : '.map(obj => obj.toJS())'}` :
+          (nested && isArray) ? `this.${name}.array.map(obj => obj.toJS())` :
+          nested ? `this.${name}.toJS()` :
+          (dynamic && isArray) ? `this.${name}.array` :
+          `this.${name}`;
+}
+
+/**
+ * Collator used for ordering strings.
+ * @type {Intl.Collator}
+ */
+const collator = new Intl.Collator();
+
+/**
+ * Compares two primitive values (number, bigint or boolean).
+ * 
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Comparison result (-1, 0, or 1)
+ */
+const compareValues = (a, b) => a < b ? -1 : b < a ? 1 : 0;
+
+/**
+ * Creates a comparator for array-like values (compared element by element, then by length).
+ * 
+ * @param {Function} compare - Element comparator
+ * @returns {Function} Array-like comparator
+ */
+const compareArraysBy = compare => (a, b) => {
+  const length = Math.min(a.length, b.length);
+  for(let i = 0; i < length; ++i) {
+    const result = compare(a[i], b[i]);
+    if(result) {
+      return result;
+    }
+  }
+  return compareValues(a.length, b.length);
+};
+
+/**
+ * Creates a comparator ordering nullish values (absent optional members) first.
+ * 
+ * @param {Function} compare - Value comparator
+ * @returns {Function} Comparator accepting nullish values
+ */
+const compareNullishFirst = compare => (a, b) => isNullish(a) ? (isNullish(b) ? 0 : -1) : isNullish(b) ? 1 : compare(a, b);
+
+/**
+ * Gets the comparator for the values of a member.
+ * 
+ * @param {Object} member - Member definition
+ * @returns {Function} Value comparator
+ */
+function getValueComparator(member) {
+  const { Type, schema, nested, variadic, length } = member;
+  const typeName = getTypeName(schema);
+  const ElementType = variadic ? Type.Type : Type;
+  const compare = nested ? ElementType.Record.compareBy() :
+                  ElementType.compare ? ElementType.compare :
+                  typeName === 'Utf8' ? collator.compare :
+                  typeName === 'Bytes' ? Buffer.compare :
+                  compareValues;
+  return (variadic || 1 < length) ? compareArraysBy(compare) : compare;
+}
+
+/**
+ * Creates a record comparator ordering by the specified members. A name
+ * can be prefixed with "-" for descending order and use dot notation
+ * for members of nested records (ex. "-address.zip").
+ * 
+ * @param {Array} members - Array of member definitions
+ * @param {string[]} names - Member names to order by (all members if empty)
+ * @returns {Function} Record comparator
+ * @throws {Error} If a name is not a member
+ */
+function createComparator(members, names) {
+  const keys = names.length ? names : members.map(obj => obj.name);
+  const comparators = keys.map(key => {
+    const descending = key.startsWith('-');
+    const [name, ...path] = (descending ? key.slice(1) : key).split('.');
+    const member = members.find(obj => obj.name === name);
+    if(!member) {
+      throw new Error(`Unknown record member: "${key}"`);
+    }
+    if(path.length && !(member.nested && !member.variadic && member.length === 1)) {
+      throw new Error(`Not a nested record member: "${key}"`);
+    }
+    const compareMember = path.length ? member.Type.Record.compareBy(path.join('.')) : getValueComparator(member);
+    const compare = member.optional ? compareNullishFirst(compareMember) : compareMember;
+    return descending ? (a, b) => compare(b[name], a[name]) : (a, b) => compare(a[name], b[name]);
+  });
+
+  return (a, b) => {
+    for(const compare of comparators) {
+      const result = compare(a, b);
+      if(result) {
+        return result;
+      }
+    }
+    return 0;
+  };
+}
+
+/**
+ * Checks if two buffers have the same content.
+ * 
+ * @param {Uint8Array} a - First buffer
+ * @param {Uint8Array} b - Second buffer
+ * @returns {boolean} True if both have the same bytes
+ */
+function isEqualBuffer(a, b) {
+  const byteLength = a.byteLength;
+  if(byteLength !== b.byteLength) {
+    return false;
+  }
+  for(let i = 0; i < byteLength; ++i) {
+    if(a[i] !== b[i]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Hashes the content of a buffer (32-bit FNV-1a).
+ * 
+ * @param {Uint8Array} buffer - The buffer to hash
+ * @returns {number} 32-bit hash value
+ */
+function hashBuffer(buffer) {
+  let hash = 0x811c9dc5;
+  for(let i = 0, byteLength = buffer.byteLength; i < byteLength; ++i) {
+    hash = Math.imul(hash ^ buffer[i], 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Range of the integer types.
+ * @type {Object}
+ */
+export const integerRanges = {
+  Int8: [-(2**7), 2**7 - 1],
+  Int16: [-(2**15), 2**15 - 1],
+  Int32: [-(2**31), 2**31 - 1],
+  Uint8: [0, 2**8 - 1],
+  Uint16: [0, 2**16 - 1],
+  Uint32: [0, 2**32 - 1],
+  BigInt64: [-(2n**63n), 2n**63n - 1n],
+  BigUint64: [0n, 2n**64n - 1n]
+};
+
+/**
+ * Gets the check of a single value (element) of a member.
+ * 
+ * @param {Object} member - Member definition
+ * @returns {Function} Returns why a value is invalid (empty string if valid)
+ */
+function getElementCheck(member) {
+  const { Type, schema, nested, variadic } = member;
+  if(nested) {
+    const { Record } = variadic ? Type.Type : Type;
+    return value => (value instanceof Record || value?.constructor === Uint8Array) ? '' :
+                    isObjectLiteral(value) ? (Record.validate(value), '') :
+                    `expected a ${Record.name} record`;
+  }
+
+  // ex. bounded types
+  const ElementType = variadic ? Type.Type : Type;
+  if(typeof ElementType.check === 'function') {
+    return value => ElementType.check(value);
+  }
+
+  const range = integerRanges[schema];
+  if(range) {
+    const [min, max] = range;
+    const isBigInt = typeof min === 'bigint';
+    // A bigint may be given in its JSON form (a decimal string)
+    const isInteger = isBigInt ? (value => typeof value === 'bigint' || Number.isInteger(value) || (typeof value === 'string' && /^-?\d+$/.test(value))) : Number.isInteger;
+    const expected = `expected ${isBigInt ? 'a bigint' : 'an integer'} between ${min} and ${max}`;
+    return value => (isInteger(value) && min <= value && value <= max) ? '' : expected;
+  }
+
+  switch(schema) {
+    case 'Utf8': return value => typeof value === 'string' ? '' : 'expected a string';
+    case 'Bytes': return value => (value?.constructor === Uint8Array || isJSONBytes(value)) ? '' : 'expected a Uint8Array or a base64 string';
+    case 'Boolean': return value => typeof value === 'boolean' ? '' : 'expected a boolean';
+    default: return value => typeof value === 'number' ? '' : 'expected a number';
+  }
+}
+
+/**
+ * Gets the check of a member value (arrays are checked element by element).
+ * 
+ * @param {Object} member - Member definition
+ * @returns {Function} Returns why a value is invalid (empty string if valid)
+ */
+function getMemberCheck(member) {
+  const { length, variadic } = member;
+  const check = getElementCheck(member);
+  if(!(variadic || 1 < length)) {
+    return check;
+  }
+  return value => {
+    if(!(Array.isArray(value) || ArrayBuffer.isView(value))) {
+      return 'expected an array';
+    }
+    if(!variadic && length < value.length) {
+      return `expected at most ${length} elements`;
+    }
+    for(let i = 0; i < value.length; ++i) {
+      const reason = check(value[i]);
+      if(reason) {
+        return `${reason} (index=${i})`;
+      }
+    }
+    return '';
+  };
+}
+
+/**
+ * Creates a function throwing a RecordValueError for invalid values.
+ * 
+ * @param {string} name - The record name
+ * @param {string} memberName - The member name
+ * @param {Function} check - Returns why a value is invalid (empty string if valid)
+ * @returns {Function} Asserts a value
+ */
+function createAssert(name, memberName, check) {
+  return value => {
+    const reason = check(value);
+    if(reason) {
+      throw new RecordValueError(name, memberName, value, reason);
+    }
+  };
+}
+
+/**
+ * Creates a function throwing a RecordValueError for invalid array elements.
+ * 
+ * @param {string} name - The record name
+ * @param {Object} member - Member definition
+ * @returns {Function} Asserts a (value, index)
+ */
+function createAssertElement(name, member) {
+  const check = getElementCheck(member);
+  return (value, index) => {
+    const reason = check(value);
+    if(reason) {
+      throw new RecordValueError(name, `${member.name}[${index}]`, value, reason);
+    }
+  };
+}
+
+/**
+ * Creates the validate function of a Record class. It checks a plain
+ * object against the layout without constructing a record.
+ * 
+ * @param {string} name - The record name
+ * @param {Array} members - Array of member definitions
+ * @returns {Function} Returns the object if valid
+ */
+function createValidate(name, members) {
+  const asserts = new Map(members.map(member => [member.name, createAssert(name, member.name, getMemberCheck(member))]));
+  return obj => {
+    if(!isObjectLiteral(obj)) {
+      throw new RecordValueError(name, '', obj, 'expected an object');
+    }
+    for(const key in obj) {
+      const assert = asserts.get(key);
+      if(!assert) {
+        throw new RecordValueError(name, key, obj[key], 'unknown member');
+      }
+      // Missing values have a default (or are absent if optional)
+      const value = obj[key];
+      if(!isNullish(value)) {
+        assert(value);
+      }
+    }
+    return obj;
+  };
+}
+
+/**
+ * Gets the JSON Schema of a single value (element) of a member.
+ * 
+ * @param {Object} member - Member definition
+ * @returns {Object} JSON Schema
+ */
+function getElementJSONSchema(member) {
+  const { Type, schema, nested, variadic } = member;
+  const ElementType = variadic ? Type.Type : Type;
+  if(nested) {
+    return ElementType.Record.toJSONSchema();
+  }
+
+  // ex. bounded types, Timestamp
+  if(typeof ElementType.toJSONSchema === 'function') {
+    return ElementType.toJSONSchema();
+  }
+
+  const range = integerRanges[schema];
+  if(range) {
+    const [minimum, maximum] = range.map(Number);
+    return { type: 'integer', minimum, maximum };
+  }
+
+  switch(schema) {
+    case 'Utf8': return { type: 'string' };
+    case 'Bytes': return { type: 'string', contentEncoding: 'base64' };
+    case 'Boolean': return { type: 'boolean' };
+    default: return { type: 'number' };
+  }
+}
+
+/**
+ * Gets the JSON Schema of a member (arrays, optional members).
+ * 
+ * @param {Object} member - Member definition
+ * @returns {Object} JSON Schema
+ */
+function getMemberJSONSchema(member) {
+  const { length, variadic, optional } = member;
+  const items = getElementJSONSchema(member);
+  const jsonSchema = variadic ? { type: 'array', items } :
+                     (1 < length) ? { type: 'array', items, maxItems: length } :
+                     items;
+  return optional ? { anyOf: [jsonSchema, { type: 'null' }] } : jsonSchema;
+}
+
+/**
+ * Creates the JSON Schema of a Record class. It describes the JSON form of
+ * a record (record.toJSON()): bigints are decimal strings, bytes are base64
+ * strings and timestamps are ISO strings.
+ * 
+ * @param {string} name - The record name
+ * @param {Array} members - Array of member definitions
+ * @returns {Object} JSON Schema
+ */
+function createJSONSchema(name, members) {
+  const required = members.filter(member => !member.optional).map(member => member.name);
+  return {
+    type: 'object',
+    title: name,
+    properties: Object.fromEntries(members.map(member => [member.name, getMemberJSONSchema(member)])),
+    ...(required.length ? { required } : {}),
+    additionalProperties: false
+  };
+}
+
+/**
+ * Converts a single value (element) to its JSON form.
+ * 
+ * @param {*} value - The value
+ * @returns {*} The JSON form of the value
+ */
+function toJSONValue(value) {
+  // A JSON number is only exact up to 2^53, a bigint is a decimal string
+  // ex. Date, Temporal.Instant, nested records
+  return typeof value === 'bigint' ? value.toString() :
+         typeof value?.toJSON === 'function' ? value.toJSON() :
+         value;
+}
+
+/**
+ * Converts bytes to their JSON form.
+ * 
+ * @param {Uint8Array} value - The bytes
+ * @returns {string} Base64 string
+ */
+function toJSONBytes(value) {
+  return Buffer.from(value.buffer, value.byteOffset, value.byteLength).toString('base64');
+}
+
+/**
+ * Creates the toJSON function of a Record class.
+ * 
+ * @param {Array} members - Array of member definitions
+ * @returns {Function} Converts a record to its JSON form
+ */
+function createToJSON(members) {
+  const converters = members.map(member => {
+    const { name, schema, length, variadic } = member;
+    const convert = getTypeName(schema) === 'Bytes' ? toJSONBytes : toJSONValue;
+    const isArray = variadic || 1 < length;
+    return [name, value => isNullish(value) ? null : isArray ? Array.from(value, convert) : convert(value)];
+  });
+  return record => {
+    const obj = {};
+    for(const [name, convert] of converters) {
+      obj[name] = convert(record[name]);
+    }
+    return obj;
+  };
+}
+
+/**
+ * Empty Record class for schemas with no fields.
+ */
+class EmptyRecord {
+  static schema = {};
+  static layout = Object.freeze([]);
+  static MIN_BYTES_PER_ELEMENT = 0;
+  static BYTES_PER_ELEMENT = 0;
+
+  /**
+   * Creates a new EmptyRecord instance.
+   * 
+   * @param {ArrayBuffer|SharedArrayBuffer} buffer - The underlying buffer
+   */
+  constructor(buffer) {
+    this.buffer = buffer;
+  }
+
+  /**
+   * Creates a record comparator (all empty records are equal).
+   * 
+   * @returns {Function} Record comparator
+   */
+  static compareBy() {
+    return () => 0;
+  }
+
+  /**
+   * Validates a plain object (an empty record has no members).
+   * 
+   * @param {Object} obj - The object to validate
+   * @returns {Object} The object
+   */
+  static validate(obj) {
+    return obj;
+  }
+
+  /**
+   * Gets the JSON Schema of an empty record.
+   * 
+   * @returns {Object} JSON Schema
+   */
+  static toJSONSchema() {
+    return { type: 'object', title: 'Record', properties: {}, additionalProperties: false };
+  }
+
+  /**
+   * Gets the delta between two empty records.
+   * 
+   * @returns {Uint8Array} An empty delta
+   */
+  static diff() {
+    return emptyBuffer;
+  }
+
+  /**
+   * Applies a delta to an empty record (nothing to change).
+   * 
+   * @param {EmptyRecord} record - The record
+   * @returns {EmptyRecord} The record
+   */
+  static patch(record) {
+    return record;
+  }
+
+  /**
+   * Creates a read-only empty record.
+   * 
+   * @param {Uint8Array} [buffer] - The record buffer
+   * @returns {EmptyRecord} An empty record
+   */
+  static readOnly(buffer = emptyBuffer) {
+    return new EmptyRecord(buffer);
+  }
+
+  /**
+   * Creates a copy-on-write empty record.
+   * 
+   * @param {Uint8Array} [buffer] - The record buffer
+   * @returns {EmptyRecord} An empty record
+   */
+  static copyOnWrite(buffer = emptyBuffer) {
+    return new EmptyRecord(buffer);
+  }
+
+  /**
+   * Gets the JSON form of the record.
+   * 
+   * @returns {Object} An empty object
+   */
+  toJSON() {
+    return {};
+  }
+
+  /**
+   * Converts the record to a plain object.
+   * 
+   * @returns {Object} An empty object
+   */
+  toJS() {
+    return {};
+  }
+
+  /**
+   * Formats the record for util.inspect.
+   * 
+   * @param {number} depth - The remaining depth
+   * @param {Object} options - The util.inspect options
+   * @param {Function} inspect - The util.inspect function
+   * @returns {string} The formatted record
+   */
+  [kInspectCustom](depth, options, inspect) {
+    return inspectCustom('Record', this, depth, options, inspect);
+  }
+
+  /**
+   * Checks if another object is an empty record.
+   * 
+   * @param {Object} other - The object to compare with
+   * @returns {boolean} True if other is an EmptyRecord
+   */
+  equals(other) {
+    return other?.constructor === EmptyRecord;
+  }
+
+  /**
+   * Gets the hash code of the record.
+   * 
+   * @returns {number} 32-bit hash value
+   */
+  hashCode() {
+    return hashBuffer(emptyBuffer);
+  }
+}
+
+/**
+ * Creates a Record class with the specified schema.
+ * Generates optimized code for memory-efficient record access.
+ * 
+ * Records are equal (equals/hashCode) if they have the same type and bytes,
+ * and can be ordered with a generated comparator (ex. Type.compareBy('lastName', '-age')).
+ * 
+ * A strict record ({ strict: true }) checks the range, integer-ness and
+ * type of every value it is assigned and throws a RecordValueError. It has
+ * the same layout (and schema) as a non-strict record. Type.validate(obj)
+ * is available in both cases.
+ * 
+ * Type.diff(from, to) returns the changed members as bytes and
+ * Type.patch(record, delta) applies them (see record/diff for a
+ * serializable delta).
+ * 
+ * Type.readOnly(bufferOrArg) creates a record whose setters throw (a
+ * TypeError); its typed arrays and bytes are copies and its nested records
+ * and arrays are read-only too. Type.copyOnWrite(bufferOrArg) creates a
+ * record that shares the buffer until the first write (to the record, one
+ * of its nested records or arrays); while it is shared, its typed arrays
+ * and bytes are copies (assign them to write). Both have the same
+ * constructor as a record, and the same toJS(), toJSON() and structuredClone
+ * ({ buffer }) results. Writing to record.buffer directly is not guarded.
+ * 
+ * Records print their values with util.inspect (console.log) and
+ * Type.layout describes their fixed region (see record/inspectLayout for
+ * an annotated hexdump).
+ * 
+ * Type.toJSONSchema() describes the JSON form of a record (record.toJSON()),
+ * so the same definition can validate request bodies (see fromJSONSchema
+ * for the reverse).
+ * 
+ * @param {...*} args - Arguments [name], schema and [options] ({ endian: 'little'|'big', strict: boolean, overflow: 'throw'|'truncate' })
+ * @returns {Function} Record class constructor
+ * @throws {Error} If the schema or the options are invalid
  */
 export default function Record(...args) {
-  const template = args.pop();
-  const name = args.pop() || 'Record';
-  const members = toMembers(template);
+  const named = typeof args[0] === 'string';
+  const [maybeName, template, options = {}] = named ? args : [null, ...args];
+  const name = maybeName || 'Record';
+  const { endian = 'little', strict = false, overflow = 'throw' } = options;
+  if(!(endian === 'little' || endian === 'big')) {
+    throw new Error(`Invalid endian option (got=${endian})`);
+  }
+  if(!(overflow === 'throw' || overflow === 'truncate')) {
+    throw new Error(`Invalid overflow option (got=${overflow})`);
+  }
+
+  const members = toMembers(template, { endian, overflow });
   if(members.length === 0) {
     return EmptyRecord;
   }
 
+  // Only non-default options are stored, so existing schemas keep their type
   const schema = toSchema(members);
-  const schemaAsJson = JSON.stringify([name, schema]);
-  const cached = shared.get(schemaAsJson);
+  const schemaAsJson = JSON.stringify(endian === 'big' ? [name, schema, { endian }] : [name, schema]);
+  // The options that are not stored still generate different classes
+  const cacheKey = `${strict ? 'strict:' : ''}${overflow}:${schemaAsJson}`;
+  const cached = shared.get(cacheKey);
   if(cached) {
     return cached;
   }
@@ -411,14 +1631,45 @@ export default function Record(...args) {
   // throw new Error('getDynamicByteOffset cannot be used');
 
   const getDynamicByteOffset = getDynamicByteOffsetFactory(members, minByteLength);
+  const getComparator = withCache(new Map(), key => createComparator(members, key ? key.split(',') : []));
+  const compareBy = names => getComparator(names.join(','));
 
-  const imports = { ...types, defaultBuffer, isNullish, isObjectLiteral, getDynamicByteOffset };
+  const imports = { ...types, defaultBuffer, emptyBuffer, isNullish, isObjectLiteral, getBit, setBit, getDynamicByteOffset, setDynamicValue, createDynamicView, compareBy, isEqualBuffer, hashBuffer, kInspectCustom, inspectCustom, sharedRecords, detach, toCopyOnWriteValue, throwReadOnly, toReadOnlyValue, toReadOnlyArrayLike, layout: createLayout(members), toJSON: createToJSON(members), diff: createDiff(members, minByteLength), patch: createPatch(members, minByteLength), validate: createValidate(name, members), toJSONSchema: () => createJSONSchema(name, members) };
   
   members.forEach((member, index) => {
-    const {  length, BYTES_PER_ELEMENT } = member;
+    const {  Type, length, nested, variadic, byteOffset, BYTES_PER_ELEMENT } = member;
     const isArray = 1 < length;
+    const assertElement = (strict && isArray) ? createAssertElement(name, member) : null;
+    if(variadic) {
+      imports[`Variadic${index}`] = Type;
+    }
+
+    if(nested && !variadic) {
+      imports[`Nested${index}`] = Type;
+    }
+
+    if(strict) {
+      imports[`assert${index}`] = createAssert(name, member.name, getMemberCheck(member));
+    }
+
+    if(!nested && !variadic && Type !== types[member.schema]) {
+      // ex. a big-endian variant of a builtin type
+      imports[`Type${index}`] = Type;
+    }
+
+    if(nested && !variadic && !isArray) {
+      imports[`createView${index}`] = withCache(new WeakMap(), instance => BYTES_PER_ELEMENT ?
+        Type.view(() => instance.buffer.subarray(byteOffset, byteOffset + BYTES_PER_ELEMENT), buffer => instance.buffer.set(buffer, byteOffset)) :
+        createDynamicView(instance, Type, byteOffset, minByteLength)
+      );
+    }
+
     if(BYTES_PER_ELEMENT && isArray) {
-      imports[`createArrayLike${index}`] = withCache(new WeakMap(), instance => new Proxy([instance], createStaticProxyHandler(member)));
+      imports[`createArrayLike${index}`] = withCache(new WeakMap(), instance => new Proxy([instance], createStaticProxyHandler(member, assertElement)));
+    }
+
+    if(!BYTES_PER_ELEMENT && isArray) {
+      imports[`createArrayLike${index}`] = withCache(new WeakMap(), instance => new Proxy([instance], createDynamicProxyHandler(member, minByteLength, assertElement)));
     }
 
     if(!BYTES_PER_ELEMENT && !isArray) {
@@ -433,12 +1684,54 @@ export default function Record(...args) {
   `);
     
   push(`
-    return class ${name} {
+    class ${name} {
       static schema = ${schemaAsJson};
 
+      static layout = layout;
+
       static MIN_BYTES_PER_ELEMENT = ${minByteLength};
       ${dynamic ? '' : `static BYTES_PER_ELEMENT = ${minByteLength}`}
 
+      static compareBy(...names) {
+        return compareBy(names);
+      }
+
+      static validate(obj) {
+        return validate(obj);
+      }
+
+      static toJSONSchema() {
+        return toJSONSchema();
+      }
+
+      static diff(from, to) {
+        if(!(from instanceof this && to instanceof this)) {
+          throw new Error('Expected two ${name} records');
+        }
+        return diff(from, to);
+      }
+
+      static patch(record, delta) {
+        if(!(record instanceof this)) {
+          throw new Error('Expected a ${name} record');
+        }
+        if(record instanceof ReadOnly${name}) {
+          throw new TypeError('Cannot patch a read only ${name} record');
+        }
+        detach(record);
+        return patch(record, delta);
+      }
+
+      static readOnly(bufferOrArg) {
+        return new ReadOnly${name}(toRecordBuffer(bufferOrArg));
+      }
+
+      static copyOnWrite(bufferOrArg) {
+        const instance = new CopyOnWrite${name}(toRecordBuffer(bufferOrArg));
+        sharedRecords.set(instance, null);
+        return instance;
+      }
+
       constructor(bufferOrArg) {
         const buffer = (bufferOrArg?.constructor === Uint8Array) ? bufferOrArg : structuredClone(defaultBuffer); //new Uint8Array(${minByteLength});
         if(buffer.byteLength < ${minByteLength}) {
@@ -449,7 +1742,12 @@ export default function Record(...args) {
   `);
   
   members.forEach((member, index) => {
-    const { name } = member;
+    const { name, optional } = member;
+    if(optional) {
+      // The setter clears the presence bit for nullish values
+      push(`this.${name} = bufferOrArg.${name};`);
+      return;
+    }
     push(`
       const value${index} = bufferOrArg.${name};
       if(!isNullish(value${index})) {
@@ -460,10 +1758,28 @@ export default function Record(...args) {
   push('}'); // END if
   push('}'); // END constructor
 
+  push(`
+    equals(other) {
+      return other?.constructor === this.constructor && isEqualBuffer(this.buffer, other.buffer);
+    }
+
+    hashCode() {
+      return hashBuffer(this.buffer);
+    }
+
+    toJSON() {
+      return toJSON(this);
+    }
+
+    [kInspectCustom](depth, options, inspect) {
+      return inspectCustom('${name}', this, depth, options, inspect);
+    }
+  `);
+
   push(`
     toJS() {
       return {
-        ${members.map(({ name }) => `${name}: this.${name}`).join(', ')}
+        ${members.map(member => `${member.name}: ${toJSCode(member)}`).join(', ')}
       };
     }
   `);
@@ -471,15 +1787,37 @@ export default function Record(...args) {
   
   const lastIndex = members.length - 1;
   members.forEach((member, index) => {
-    const { name, Type, length, schema, byteOffset } = member;
+    const { name, Type, length, nested, variadic, byteOffset } = member;
     const { BYTES_PER_ELEMENT } = Type;
+    const schema =  variadic ? `Variadic${index}` :
+                    nested ? `Nested${index}` :
+                    (Type !== types[member.schema]) ? `Type${index}` :
+                    member.schema;
     const isArray = 1 < length;
+    const { getGuard, setGuard } = getPresenceCode(member, minByteLength, strict ? `assert${index}(value);` : '');
+    if(nested && !variadic && !isArray) {
+      // A live view over our own buffer
+      push(`
+        get ${name}() {
+          ${getGuard}
+          return createView${index}(this);
+        }
+        set ${name}(value) {
+          ${setGuard}
+          ${BYTES_PER_ELEMENT ? `${schema}.setValue(this.buffer, ${byteOffset}, value);` : `setDynamicValue(this, ${schema}, ${byteOffset}, ${minByteLength}, value);`}
+        }
+      `);
+      return;
+    }
+
     if(BYTES_PER_ELEMENT && !isArray) {
       push(`
         get ${name}() {
+          ${getGuard}
           return ${schema}.getValue(this.buffer, ${byteOffset});
         }
         set ${name}(value) {
+          ${setGuard}
           ${schema}.setValue(this.buffer, ${byteOffset}, value);
         }
       `);
@@ -490,6 +1828,7 @@ export default function Record(...args) {
       // Store only offsets: we save 4 bytes per dynamic field if we derive length by subtracting the next offset with the current one
       push(`
         get ${name}() {
+          ${getGuard}
           const buffer = this.buffer;
           const offset = Uint32.getValue(buffer, ${byteOffset});
           const length = ${lastIndex === index ? 'buffer.byteLength' : `Uint32.getValue(buffer, ${members[index+1].byteOffset})`} - offset;
@@ -497,6 +1836,7 @@ export default function Record(...args) {
         }
       
         set ${name}(value) {
+          ${setGuard}
           const buffer = this.buffer;
           const offset = Uint32.getValue(buffer, ${byteOffset});
           const nextLength = ${schema}.getByteLengthOf(value);
@@ -519,8 +1859,11 @@ export default function Record(...args) {
           }   
       `);
       if(index !== lastIndex) {
-        members.slice(index + 1).forEach(({ byteOffset, length, BYTES_PER_ELEMENT }) => {
-          push(`Uint32.setValue(this.buffer, ${byteOffset}, Uint32.getValue(buffer, ${byteOffset}) + diffLength);`);
+        members.slice(index + 1).forEach(({ byteOffset, length }) => {
+          for(let i = 0; i < length; ++i) {
+            const headerByteOffset = byteOffset + i * kDynamicTypeByteLength;
+            push(`Uint32.setValue(this.buffer, ${headerByteOffset}, Uint32.getValue(buffer, ${headerByteOffset}) + diffLength);`);
+          }
         });
       }
       push(`
@@ -531,14 +1874,55 @@ export default function Record(...args) {
     }
 
     const isTypedArrayType = typedArrayTypes.includes(schema);
-    if(BYTES_PER_ELEMENT && isArray && isTypedArrayType && (isLittleEndian || BYTES_PER_ELEMENT === 1)) {
-      // We can construct the data directly because we do not need to wory about endianess        
+    if(BYTES_PER_ELEMENT && isArray && isTypedArrayType && (isLittleEndian || BYTES_PER_ELEMENT === 1) && !strict) {
+      // We can construct the data directly because we do not need to wory about endianess
+      // (a strict record needs to check the values of the elements)        
+      // A record stored at an unaligned offset (ex. nested in the dynamic
+      // region of its parent) cannot be viewed by a typed array, we use the
+      // array-like instead.
+      push(`
+        get ${name}() {
+          ${getGuard}
+          const buffer = this.buffer;
+          const byteOffset = buffer.byteOffset + ${byteOffset};
+          return byteOffset % ${BYTES_PER_ELEMENT} === 0 ?
+            new ${schema}Array(buffer.buffer, byteOffset, ${length}) :
+            createArrayLike${index}(this);
+        }
+        set ${name}(value) {
+          ${setGuard}
+          const target = this.${name};
+          if(ArrayBuffer.isView(target)) {
+            return target.set(value);
+          }
+          if(${length} < value.length) {
+            throw new RangeError('offset is out of bounds');
+          }
+          let index = -1;
+          for(const val of value) {
+            ${schema}.setValue(this.buffer, ${byteOffset} + (++index)*${BYTES_PER_ELEMENT}, val);
+          }
+        }
+      `);
+      return;
+    }
+
+    if(!BYTES_PER_ELEMENT) {
+      // Utf8[N], Bytes[N] etc. Each element has its own offset header.
       push(`
         get ${name}() {
-          return new ${schema}Array(this.buffer.buffer, ${byteOffset}, ${length});
+          ${getGuard}
+          return createArrayLike${index}(this);
         }
         set ${name}(value) {
-          this.${name}.set(value);
+          ${setGuard}
+          let index = -1;
+          for(const val of value) {
+            if(++index === ${length}) {
+              break;
+            }
+            setDynamicValue(this, ${schema}, ${byteOffset} + index*${kDynamicTypeByteLength}, ${minByteLength}, val);
+          }
         }
       `);
       return;
@@ -548,9 +1932,11 @@ export default function Record(...args) {
       // Float8/16 Boolean
       push(`
         get ${name}() {
+          ${getGuard}
           return createArrayLike${index}(this);
         }
         set ${name}(value) {
+          ${setGuard}
           let index = -1;
           for(const val of value) {
             if(++index === ${length}) {
@@ -566,8 +1952,64 @@ export default function Record(...args) {
   });
   push('}');
 
+  // The read-only and copy-on-write variants only override the accessors,
+  // their instances have the same constructor (so equals, Encoder, Stream
+  // etc. do not see a difference).
+  push(`
+    function toRecordBuffer(bufferOrArg) {
+      return  bufferOrArg?.constructor === Uint8Array ? bufferOrArg :
+              bufferOrArg instanceof ${name} ? bufferOrArg.buffer :
+              new ${name}(bufferOrArg).buffer;
+    }
+
+    class ReadOnly${name} extends ${name} {
+  `);
+  members.forEach(({ name: key, length }) => {
+    push(`
+      get ${key}() {
+        return ${1 < length ? `toReadOnlyArrayLike('${name}', '${key}', super.${key})` : `toReadOnlyValue(super.${key})`};
+      }
+      set ${key}(value) {
+        throwReadOnly('${name}', '${key}');
+      }
+    `);
+  });
+  push('}');
+
+  push(`
+    class CopyOnWrite${name} extends ${name} {
+      toJS() {
+        return new ReadOnly${name}(this.buffer).toJS();
+      }
+
+      toJSON() {
+        return new ReadOnly${name}(this.buffer).toJSON();
+      }
+  `);
+  members.forEach(({ name: key, schema, length, nested, variadic }) => {
+    // A live view (nested record, array, bytes) may write to the buffer
+    const isLive = 1 < length || (!variadic && (nested || getTypeName(schema) === 'Bytes'));
+    push(`
+      get ${key}() {
+        return ${isLive ? `toCopyOnWriteValue(this, super.${key})` : `super.${key}`};
+      }
+      set ${key}(value) {
+        detach(this);
+        super.${key} = value;
+      }
+    `);
+  });
+  push('}');
+
+  push(`
+    for(const Variant of [ReadOnly${name}, CopyOnWrite${name}]) {
+      Object.defineProperty(Variant.prototype, 'constructor', { value: ${name}, writable: true, configurable: true });
+    }
+    return ${name};
+  `);
+
   const construct = new Function('imports', getBody()); //
   const Type = construct(imports);
-  shared.set(schemaAsJson, Type);
+  shared.set(cacheKey, Type);
   return Type;
 };
\ No newline at end of file
@@ -1,5 +1,13 @@
 import Record from './Record.mjs';
-import { notStrictEqual, strictEqual } from 'node:assert';
+import RecordValueError from './RecordValueError.mjs';
+import FlatList from './FlatList.mjs';
+import FlatSet from './FlatSet.mjs';
+import Timestamp from './types/Timestamp.mjs';
+import hash from '@staabler/core/hash.mjs';
+import isEqual from '@staabler/core/isEqual.mjs';
+import flyweight from '@staabler/core/flyweight.mjs';
+import { inspect } from 'node:util';
+import { deepStrictEqual, notStrictEqual, strictEqual, throws } from 'node:assert';
 import getPackageName from '@staabler/core/getPackageName.mjs';
 
 describe(getPackageName(import.meta.url), function () {
@@ -374,6 +382,760 @@ describe(getPackageName(import.meta.url), function () {
     strictEqual(john.first_name, 'John123');
   });
 
+  it('should support variadic types', function () {
+    
+    const Sample = Record({ id: 'Uint8', tags: ['Uint32'], label: 'Utf8', values: ['Float16'] });
+    strictEqual(Sample.BYTES_PER_ELEMENT, undefined);
+    strictEqual(JSON.stringify(Sample.schema), JSON.stringify(['Record', { id: 'Uint8', tags: ['Uint32'], label: 'Utf8', values: ['Float16'] }]));
+    
+    const sample = new Sample({ id: 1, tags: [1, 2, 3], label: 'abc' });
+    strictEqual(sample.tags.constructor, Uint32Array);
+    strictEqual(sample.tags.join(','), '1,2,3');
+    strictEqual(sample.values.length, 0);
+    strictEqual(sample.label, 'abc');
+
+    // Grow
+    sample.tags = Uint32Array.from([4, 5, 6, 7, 2**32 - 1]);
+    sample.values = [0.5, 1.5];
+    strictEqual(sample.tags.join(','), `4,5,6,7,${2**32 - 1}`);
+    strictEqual(sample.values.join(','), '0.5,1.5');
+    strictEqual(sample.label, 'abc');
+    strictEqual(sample.id, 1);
+
+    // Shrink
+    sample.tags = [8];
+    strictEqual(sample.tags.join(','), '8');
+    strictEqual(sample.values.join(','), '0.5,1.5');
+    strictEqual(sample.label, 'abc');
+
+    const copy = new Sample(sample.buffer);
+    strictEqual(copy.tags.join(','), '8');
+    strictEqual(copy.values.join(','), '0.5,1.5');
+  });
+
+  it('should support arrays of dynamic types', function () {
+    
+    const Post = Record([
+      ['id', 'Uint32'],
+      ['title', 'Utf8'],
+      ['labels', 'Utf8', 3],
+      ['hashes', 'Bytes', 2],
+      ['body', 'Utf8']
+    ]);
+    strictEqual(Post.BYTES_PER_ELEMENT, undefined);
+    strictEqual(Post.MIN_BYTES_PER_ELEMENT, 4 + 4 + 3*4 + 2*4 + 4);
+
+    const post = new Post({ id: 1, title: 'Hello', labels: ['a', 'bb'], body: 'World' });
+    strictEqual(post.labels.length, 3);
+    strictEqual(post.labels[0], 'a');
+    strictEqual(post.labels[1], 'bb');
+    strictEqual(post.labels[2], '');
+    strictEqual(post.hashes[0].byteLength, 0);
+    strictEqual(post.title, 'Hello');
+    strictEqual(post.body, 'World');
+
+    // Grow and shrink single elements
+    post.labels[2] = 'cccc';
+    post.labels[0] = 'åäö';
+    post.hashes[1] = Uint8Array.from([1, 2, 3]);
+    post.labels[1] = '';
+    strictEqual(post.labels.array.join(','), 'åäö,,cccc');
+    strictEqual(post.hashes[0].join(','), '');
+    strictEqual(post.hashes[1].join(','), '1,2,3');
+    strictEqual(post.title, 'Hello');
+    strictEqual(post.body, 'World');
+
+    // Resizing a value before the array must move all of its elements
+    post.title = 'A much longer title';
+    strictEqual(post.labels.array.join(','), 'åäö,,cccc');
+    strictEqual(post.hashes[1].join(','), '1,2,3');
+    strictEqual(post.body, 'World');
+
+    post.labels = ['x', 'y', 'z'];
+    strictEqual([...post.labels].join(','), 'x,y,z');
+    strictEqual(post.toJS().labels.join(','), 'x,y,z');
+
+    const copy = new Post(post.buffer);
+    strictEqual(copy.id, 1);
+    strictEqual(copy.title, 'A much longer title');
+    strictEqual(copy.labels.array.join(','), 'x,y,z');
+    strictEqual(copy.hashes[1].join(','), '1,2,3');
+    strictEqual(copy.body, 'World');
+  });
+
+  it('should support nested records', function () {
+    
+    const Point = Record('Point', { x: 'Float32', y: 'Float32' });
+    const Address = Record('Address', { zip: 'Uint32', street: 'Utf8', city: 'Utf8' });
+    const Order = Record('Order', {
+      id: 'Uint32',
+      note: 'Utf8',
+      location: Point,
+      address: Address,
+      corners: [Point]
+    });
+    strictEqual(Order.BYTES_PER_ELEMENT, undefined);
+    strictEqual(JSON.stringify(Order.schema), JSON.stringify(['Order', {
+      id: 'Uint32',
+      location: Point.schema,
+      note: 'Utf8',
+      address: Address.schema,
+      corners: [Point.schema]
+    }]));
+
+    const order = new Order({
+      id: 1,
+      note: 'Fragile',
+      location: { x: 1.5, y: 2.5 },
+      address: { zip: 12345, street: 'Main street', city: 'Springfield' }
+    });
+    strictEqual(order.location.x, 1.5);
+    strictEqual(order.location.y, 2.5);
+    strictEqual(order.address.zip, 12345);
+    strictEqual(order.address.street, 'Main street');
+    strictEqual(order.address.city, 'Springfield');
+    strictEqual(order.address instanceof Address, true);
+
+    // The nested records are live views over the parent buffer
+    const { location, address } = order;
+    location.x = 10;
+    address.street = 'A much longer street name';
+    address.city = 'X';
+    strictEqual(order.location.x, 10);
+    strictEqual(order.address.street, 'A much longer street name');
+    strictEqual(order.address.city, 'X');
+    strictEqual(order.address.zip, 12345);
+    strictEqual(order.note, 'Fragile');
+    
+    order.note = 'Not fragile at all';
+    strictEqual(address.street, 'A much longer street name');
+    strictEqual(address.city, 'X');
+
+    order.address = new Address({ zip: 1, street: 'S', city: 'C' });
+    order.corners = [{ x: 1, y: 2 }, new Point({ x: 3, y: 4 })];
+    strictEqual(address.street, 'S');
+
+    const expect = {
+      id: 1,
+      location: { x: 10, y: 2.5 },
+      note: 'Not fragile at all',
+      address: { zip: 1, street: 'S', city: 'C' },
+      corners: [{ x: 1, y: 2 }, { x: 3, y: 4 }]
+    };
+    strictEqual(JSON.stringify(order.toJS()), JSON.stringify(expect));
+
+    // The schema JSON round-trips
+    const [name, schema] = JSON.parse(JSON.stringify(Order.schema));
+    strictEqual(Record(name, schema), Order);
+    strictEqual(JSON.stringify(new Order(order.buffer.slice()).toJS()), JSON.stringify(expect));
+
+    // An object literal is read again when it is reassigned
+    const value = { zip: 1, street: 'S', city: 'C' };
+    order.address = value;
+    value.zip = 2;
+    order.address = value;
+    strictEqual(order.address.zip, 2);
+    strictEqual(new Order({ address: value }).address.zip, 2);
+  });
+
+  it('should support typed arrays of nested dynamic records', function () {
+    
+    // The tags are stored at an unaligned offset of the dynamic region
+    const Tags = Record('Tags', [['name', 'Utf8'], ['ids', 'Uint32', 2]]);
+    const Order = Record('Order', { id: 'Uint8', note: 'Utf8', tags: Tags });
+    const order = new Order({ id: 1, note: 'x', tags: { name: 'a', ids: [1, 2] } });
+    deepStrictEqual(Array.from(order.tags.ids), [1, 2]);
+
+    order.tags.ids[1] = 3;
+    order.tags.ids = [4];
+    deepStrictEqual(Array.from(order.tags.ids), [4, 3]);
+    throws(() => { order.tags.ids = [1, 2, 3]; }, RangeError);
+    strictEqual(JSON.stringify(order.toJS()), JSON.stringify({ id: 1, note: 'x', tags: { ids: [4, 3], name: 'a' } }));
+    strictEqual(JSON.stringify(new Order(order.buffer.slice()).toJSON()), JSON.stringify(order.toJSON()));
+
+    // A record over an unaligned subarray
+    const source = new Tags({ name: 'b', ids: [5, 6] }).buffer;
+    const buffer = new Uint8Array(source.byteLength + 1);
+    buffer.set(source, 1);
+    const tags = new Tags(buffer.subarray(1));
+    deepStrictEqual(Array.from(tags.ids), [5, 6]);
+    tags.ids[0] = 7;
+    deepStrictEqual(Array.from(new Tags(buffer.slice(1)).ids), [7, 6]);
+
+    // The aligned records still get a typed array
+    strictEqual(new Tags({ name: 'ab', ids: [1, 2] }).ids instanceof Uint32Array, true);
+  });
+
+  it('should support arrays of nested records', function () {
+    
+    const Point = Record('Point', { x: 'Int32', y: 'Int32' });
+    const Tag = Record('Tag', { name: 'Utf8' });
+    const Shape = Record('Shape', [
+      ['points', Point, 2],
+      ['tags', Tag, 2]
+    ]);
+    const shape = new Shape({ points: [{ x: 1, y: 2 }, { x: 3, y: 4 }], tags: [{ name: 'a' }] });
+    strictEqual(shape.points[1].y, 4);
+    strictEqual(shape.tags[0].name, 'a');
+    strictEqual(shape.tags[1].name, '');
+
+    shape.points[0].x = 5;
+    shape.tags[1].name = 'bbb';
+    shape.tags[0].name = 'cc';
+    strictEqual(JSON.stringify(shape.toJS()), JSON.stringify({
+      points: [{ x: 5, y: 2 }, { x: 3, y: 4 }],
+      tags: [{ name: 'cc' }, { name: 'bbb' }]
+    }));
+  });
+
+  it('should support optional fields', function () {
+    
+    const Point = Record('Point', { x: 'Int32', y: 'Int32' });
+    const Person = Record('Person', {
+      id: 'Uint32',
+      'age?': 'Uint8',
+      'name?': 'Utf8',
+      'scores?': ['Uint16'],
+      'home?': Point,
+      nickname: 'Utf8'
+    });
+
+    // Absent values are null and use no dynamic space
+    const person = new Person({ id: 1, nickname: 'Bob' });
+    strictEqual(person.age, null);
+    strictEqual(person.name, null);
+    strictEqual(person.scores, null);
+    strictEqual(person.home, null);
+    strictEqual(person.nickname, 'Bob');
+    strictEqual(person.buffer.byteLength, Person.MIN_BYTES_PER_ELEMENT + 3);
+    strictEqual(JSON.stringify(person.toJS()), JSON.stringify({
+      id: 1, age: null, home: null, name: null, scores: null, nickname: 'Bob'
+    }));
+
+    // Zero is not absent
+    person.age = 0;
+    person.name = '';
+    strictEqual(person.age, 0);
+    strictEqual(person.name, '');
+    
+    person.age = 42;
+    person.name = 'Robert';
+    person.scores = [1, 2, 3];
+    person.home = { x: 1, y: 2 };
+    strictEqual(person.age, 42);
+    strictEqual(person.name, 'Robert');
+    strictEqual(JSON.stringify(Array.from(person.scores)), '[1,2,3]');
+    strictEqual(person.home.y, 2);
+    strictEqual(person.nickname, 'Bob');
+
+    // Clearing a value releases its bytes
+    person.name = null;
+    person.scores = undefined;
+    person.home = null;
+    strictEqual(person.name, null);
+    strictEqual(person.scores, null);
+    strictEqual(person.home, null);
+    strictEqual(person.age, 42);
+    strictEqual(person.nickname, 'Bob');
+    strictEqual(person.buffer.byteLength, Person.MIN_BYTES_PER_ELEMENT + 3);
+
+    // The optionality is part of the schema
+    const [name, schema] = JSON.parse(JSON.stringify(Person.schema));
+    strictEqual(Object.hasOwn(schema, 'age?'), true);
+    strictEqual(Record(name, schema), Person);
+    notStrictEqual(Record({ age: 'Uint8' }), Record({ 'age?': 'Uint8' }));
+  });
+
+  it('should support comparators', function () {
+
+    const Address = Record('Address', { zip: 'Uint32', city: 'Utf8' });
+    const Person = Record('Person', {
+      lastName: 'Utf8',
+      age: 'Uint8',
+      balance: 'BigInt64',
+      'score?': 'Float64',
+      address: Address
+    });
+    const people = [
+      { lastName: 'Öberg', age: 30, balance: -5n, address: { zip: 3, city: 'C' } },
+      { lastName: 'adams', age: 40, balance: 2n**40n, score: 1.5, address: { zip: 1, city: 'A' } },
+      { lastName: 'Zorn', age: 30, balance: 0n, score: -1, address: { zip: 2, city: 'B' } },
+      { lastName: 'adams', age: 20, balance: 7n, score: 3, address: { zip: 4, city: 'D' } }
+    ].map(obj => new Person(obj));
+    const sortBy = (...names) => people.slice().sort(Person.compareBy(...names)).map(obj => obj.toJS());
+
+    // Locale aware strings, then numbers
+    strictEqual(sortBy('lastName', 'age').map(({ lastName, age }) => `${lastName}:${age}`).join(), 'adams:20,adams:40,Öberg:30,Zorn:30');
+    strictEqual(sortBy('-age', 'lastName').map(({ age }) => age).join(), '40,30,30,20');
+    strictEqual(sortBy('balance').map(({ balance }) => balance).join(), `-5,0,7,${2n**40n}`);
+    strictEqual(sortBy('score').map(({ score }) => score).join(), ',-1,1.5,3');
+    strictEqual(sortBy('-address.zip').map(({ address }) => address.city).join(), 'D,C,B,A');
+    strictEqual(Person.compareBy('lastName', 'age'), Person.compareBy('lastName', 'age'));
+    throws(() => Person.compareBy('unknown'));
+    throws(() => Person.compareBy('age.value'));
+
+    // Works with FlatList and FlatSet
+    const Point = Record('Point', { x: 'Int32', y: 'Int32' });
+    const list = new (FlatList(Point))();
+    [-2, 3, -1].forEach(y => list.push({ x: 0, y }));
+    list.sort(Point.compareBy('y'));
+    strictEqual(list.toJS().map(({ y }) => y).join(), '-2,-1,3');
+
+    const points = new (FlatSet(Point))();
+    const compare = Point.compareBy('x', 'y');
+    [[1, -1], [-1, 2], [1, -1], [0, 0]].forEach(([x, y]) => points.add(new Point({ x, y }), compare));
+    strictEqual(JSON.stringify(points.toJS()), JSON.stringify([{ x: -1, y: 2 }, { x: 0, y: 0 }, { x: 1, y: -1 }]));
+  });
+
+  it('should support equals and hashCode', function () {
+
+    const Tag = Record('Tag', { id: 'Uint32', name: 'Utf8' });
+    const Other = Record('Other', { id: 'Uint32', name: 'Utf8' });
+    const a = new Tag({ id: 1, name: 'a' });
+    const b = new Tag({ id: 1, name: 'b' });
+    strictEqual(a.equals(b), false);
+    b.name = 'a long name that is shrunk later';
+    b.name = 'a';
+    strictEqual(a.equals(b), true);
+    strictEqual(a.hashCode(), b.hashCode());
+    strictEqual(a.equals(new Other({ id: 1, name: 'a' })), false);
+    strictEqual(new Tag({ id: 2, name: 'a' }).hashCode() === a.hashCode(), false);
+
+    // Core helpers use the hooks
+    strictEqual(isEqual(a, b), true);
+    strictEqual(hash(a), hash(b));
+    strictEqual(flyweight(a), a);
+    strictEqual(flyweight(b), a);
+  });
+
+  it('should support big-endian records', function () {
+
+    const Header = Record('Header', { ip: 'Uint8', length: 'Uint16' });
+    const Packet = Record('Packet', [
+      ['kind', 'Uint8'],
+      ['length', 'Uint16'],
+      ['sequence', 'Uint32'],
+      ['timestamp', 'BigUint64'],
+      ['ratio', 'Float32'],
+      ['ports', 'Uint16', 2],
+      ['samples', ['Int32']],
+      ['header', Header]
+    ], { endian: 'big' });
+
+    const packet = new Packet({
+      kind: 1,
+      length: 0x0102,
+      sequence: 0x01020304,
+      timestamp: 0x0102030405060708n,
+      ratio: 1.5,
+      ports: [80, 0x1F90],
+      samples: [-1, 0x01020304],
+      header: { ip: 4, length: 0x0102 }
+    });
+    strictEqual(packet.length, 0x0102);
+    strictEqual(packet.sequence, 0x01020304);
+    strictEqual(packet.timestamp, 0x0102030405060708n);
+    strictEqual(packet.ratio, 1.5);
+    strictEqual(packet.ports[1], 0x1F90);
+    strictEqual(Array.from(packet.samples).join(), `-1,${0x01020304}`);
+    strictEqual(packet.header.length, 0x0102);
+
+    // The values are stored in network byte order (the nested record uses its own order)
+    const hex = Buffer.from(packet.buffer).toString('hex');
+    strictEqual(hex.includes('0102030405060708'), true);
+    strictEqual(hex.includes('01020304'), true);
+    strictEqual(hex.includes('3fc00000'), true);
+    strictEqual(hex.includes('1f90'), true);
+    strictEqual(Buffer.from(packet.header.buffer).toString('hex').includes('0201'), true);
+
+    // The byte order is part of the schema
+    const json = JSON.parse(JSON.stringify(Packet.schema));
+    strictEqual(JSON.stringify(json[2]), JSON.stringify({ endian: 'big' }));
+    strictEqual(Record(...json), Packet);
+    notStrictEqual(Record('Packet', { length: 'Uint16' }), Record('Packet', { length: 'Uint16' }, { endian: 'big' }));
+    strictEqual(Record('Packet', { length: 'Uint16' }), Record('Packet', { length: 'Uint16' }, { endian: 'little' }));
+    strictEqual(Record('Packet', { length: 'Uint16' }).schema.length, 2);
+    throws(() => Record('Packet', { length: 'Uint16' }, { endian: 'middle' }));
+  });
+
+  it('should support strict records', function () {
+
+    const Point = Record('Point', { x: 'Int32', y: 'Int32' });
+    const Sensor = Record('Sensor', [
+      ['id', 'Uint8'],
+      ['serial', 'BigUint64'],
+      ['offset', 'Int32'],
+      ['gain', 'Float32'],
+      ['enabled', 'Boolean'],
+      ['name', 'Utf8'],
+      ['ports', 'Uint16', 2],
+      ['samples', ['Uint8']],
+      ['position', Point],
+      ['label?', 'Utf8']
+    ], { strict: true });
+    const assertError = (cb, message) => throws(cb, error => {
+      strictEqual(error instanceof RecordValueError, true);
+      strictEqual(error.message, message);
+      return true;
+    });
+
+    // Same layout as a non-strict record
+    strictEqual(JSON.stringify(Sensor.schema), JSON.stringify(Record('Sensor', Sensor.schema[1]).schema));
+    notStrictEqual(Sensor, Record('Sensor', Sensor.schema[1]));
+    strictEqual(Sensor, Record('Sensor', Sensor.schema[1], { strict: true }));
+    
+    const sensor = new Sensor({ id: 255, serial: 2n**64n - 1n, offset: -5, gain: NaN, enabled: true, name: 'a', ports: [1, 65535], samples: [1, 2], position: { x: 1, y: 2 } });
+    strictEqual(sensor.id, 255);
+    strictEqual(sensor.serial, 2n**64n - 1n);
+    sensor.label = 'b';
+    sensor.label = null;
+    strictEqual(sensor.label, null);
+
+    assertError(() => { sensor.id = 300; }, 'Invalid value for Sensor.id: expected an integer between 0 and 255 (got=300)');
+    assertError(() => { sensor.offset = NaN; }, 'Invalid value for Sensor.offset: expected an integer between -2147483648 and 2147483647 (got=NaN)');
+    assertError(() => { sensor.offset = 1.5; }, 'Invalid value for Sensor.offset: expected an integer between -2147483648 and 2147483647 (got=1.5)');
+    assertError(() => { sensor.serial = -1n; }, 'Invalid value for Sensor.serial: expected a bigint between 0 and 18446744073709551615 (got=-1)');
+    assertError(() => { sensor.gain = '1'; }, 'Invalid value for Sensor.gain: expected a number (got="1")');
+    assertError(() => { sensor.enabled = 1; }, 'Invalid value for Sensor.enabled: expected a boolean (got=1)');
+    assertError(() => { sensor.name = 1; }, 'Invalid value for Sensor.name: expected a string (got=1)');
+    assertError(() => { sensor.ports = [1, 2, 3]; }, 'Invalid value for Sensor.ports: expected at most 2 elements (got=1,2,3)');
+    assertError(() => { sensor.ports[1] = -1; }, 'Invalid value for Sensor.ports[1]: expected an integer between 0 and 65535 (got=-1)');
+    assertError(() => { sensor.samples = [1, 256]; }, 'Invalid value for Sensor.samples: expected an integer between 0 and 255 (index=1) (got=1,256)');
+    assertError(() => { sensor.position = { x: 1, y: 0.5 }; }, 'Invalid value for Point.y: expected an integer between -2147483648 and 2147483647 (got=0.5)');
+    assertError(() => new Sensor({ id: -1 }), 'Invalid value for Sensor.id: expected an integer between 0 and 255 (got=-1)');
+
+    // The record was not changed
+    strictEqual(sensor.id, 255);
+    strictEqual(sensor.ports[1], 65535);
+    strictEqual(Array.from(sensor.samples).join(), '1,2');
+
+    // A failed set leaves an optional field null
+    assertError(() => { sensor.label = 1; }, 'Invalid value for Sensor.label: expected a string (got=1)');
+    strictEqual(sensor.label, null);
+    strictEqual(sensor.toJS().label, null);
+
+    // Non-strict records wrap values
+    const Loose = Record('Sensor', Sensor.schema[1]);
+    const loose = new Loose({ id: 300 });
+    strictEqual(loose.id, 44);
+
+    // A plain object can be validated against the layout
+    const obj = { id: 1, name: 'a', samples: [1] };
+    strictEqual(Loose.validate(obj), obj);
+    strictEqual(Sensor.validate(obj), obj);
+    assertError(() => Loose.validate({ id: 256 }), 'Invalid value for Sensor.id: expected an integer between 0 and 255 (got=256)');
+    assertError(() => Loose.validate({ unknown: 1 }), 'Invalid value for Sensor.unknown: unknown member (got=1)');
+    assertError(() => Loose.validate(null), 'Invalid value for Sensor: expected an object (got=null)');
+  });
+
+  it('should support bounded Utf8 and Bytes types', function () {
+
+    const Country = Record('Country', [
+      ['code', 'Utf8(2)'],
+      ['name', 'Utf8(8)'],
+      ['hash', 'Bytes(4)'],
+      ['aliases', 'Utf8(3)', 2],
+      ['population', 'Uint32']
+    ]);
+    // Length prefix and capacity (population is aligned to 4 bytes)
+    strictEqual(Country.BYTES_PER_ELEMENT, 3 + 9 + 5 + 2*4 + 3 + 4);
+    strictEqual(JSON.stringify(Country.schema[1].map(([name, type]) => type)), JSON.stringify(['Utf8(2)', 'Utf8(8)', 'Bytes(4)', 'Utf8(3)', 'Uint32']));
+
+    const country = new Country({ code: 'SE', name: 'Sverige', hash: new Uint8Array([1, 2]), aliases: ['SWE'], population: 10 });
+    strictEqual(country.code, 'SE');
+    strictEqual(country.name, 'Sverige');
+    strictEqual(Array.from(country.hash).join(), '1,2');
+    strictEqual(country.aliases[0], 'SWE');
+    strictEqual(country.aliases[1], '');
+    strictEqual(country.population, 10);
+
+    // Shorter values leave no garbage behind
+    country.name = 'Sweden';
+    country.name = 'SE';
+    strictEqual(country.name, 'SE');
+    strictEqual(country.equals(new Country({ code: 'SE', name: 'SE', hash: new Uint8Array([1, 2]), aliases: ['SWE'], population: 10 })), true);
+
+    // Overflow policy
+    throws(() => { country.name = 'Sverige!!'; }, /exceeds the capacity of Utf8\(8\)/);
+    throws(() => { country.hash = new Uint8Array(5); });
+    throws(() => Country.validate({ code: 'SWE' }), RecordValueError);
+    strictEqual(country.name, 'SE');
+
+    const Truncated = Record('Country', Country.schema[1], { overflow: 'truncate' });
+    notStrictEqual(Truncated, Country);
+    strictEqual(JSON.stringify(Truncated.schema), JSON.stringify(Country.schema));
+    const truncated = new Truncated({ code: 'SWE', name: 'Sverigeåäö', hash: new Uint8Array([1, 2, 3, 4, 5]) });
+    strictEqual(truncated.code, 'SW');
+    strictEqual(truncated.name, 'Sverige'); // "å" is 2 bytes
+    strictEqual(truncated.hash.byteLength, 4);
+    truncated.name = 'ab😀😀';
+    strictEqual(truncated.name, 'ab😀'); // A surrogate pair is never split
+    throws(() => Record({ name: 'Utf8(0)' }));
+    throws(() => Record({ name: 'Utf8(8)' }, { overflow: 'ignore' }));
+    throws(() => Record({ name: 'Unknown(8)' }));
+
+    // Fixed size records can be stored in flat containers
+    const list = new (FlatList(Country))();
+    list.push({ code: 'NO', name: 'Norge' });
+    list.push(country);
+    list.sort(Country.compareBy('name'));
+    strictEqual(list.toJS().map(({ name }) => name).join(), 'Norge,SE');
+  });
+
+  it('should support Timestamp, UUID, Decimal, Varint and ZigZag types', function () {
+    const Payment = Record('Payment', {
+      at: 'Timestamp',
+      id: 'UUID',
+      amount: 'Decimal(10, 2)'
+    }, { endian: 'big' });
+    strictEqual(Payment.BYTES_PER_ELEMENT, 32);
+
+    const date = new Date('2024-05-01T12:34:56.789Z');
+    const payment = new Payment({ at: date, id: '0F8FAD5B-D9CB-469F-A165-70867728950E', amount: 12.345 });
+    strictEqual(Timestamp.compare(payment.at, date), 0);
+    strictEqual(payment.id, '0f8fad5b-d9cb-469f-a165-70867728950e');
+    strictEqual(payment.amount, '12.35'); // Numbers are rounded to the scale
+    strictEqual(payment.buffer[31], 0xD3); // 1235 in big-endian
+
+    payment.at = 1_000_000n; // Nanoseconds
+    strictEqual(Timestamp.compare(payment.at, 1), 0);
+    payment.id = new Uint8Array(16).fill(0xAB);
+    strictEqual(payment.id, 'abababab-abab-abab-abab-abababababab');
+    payment.amount = '-0.5';
+    strictEqual(payment.amount, '-0.50');
+    throws(() => payment.amount = '1.234');
+    throws(() => payment.amount = 123456789);
+    throws(() => payment.id = 'not-a-uuid');
+    throws(() => payment.at = NaN);
+
+    // The nanoseconds are a 64-bit signed integer (about 1677 to 2262)
+    const max = new Date('2262-04-11T23:47:16.854Z');
+    const min = new Date('1677-09-21T00:12:43.146Z');
+    payment.at = max;
+    strictEqual(Timestamp.compare(payment.at, max), 0);
+    payment.at = min;
+    strictEqual(Timestamp.compare(payment.at, min), 0);
+    throws(() => payment.at = new Date('2262-04-11T23:47:16.855Z'));
+    throws(() => payment.at = new Date('1677-09-21T00:12:43.145Z'));
+    throws(() => payment.at = 2n**63n);
+    strictEqual(Timestamp.compare(payment.at, min), 0);
+    strictEqual(Timestamp.check(max), '');
+    strictEqual(Timestamp.check(2n**63n - 1n), '');
+    strictEqual(Timestamp.check(-(2n**63n)), '');
+    strictEqual(Timestamp.check(new Date('2262-04-11T23:47:16.855Z')) === '', false);
+    strictEqual(Timestamp.check('1677-09-21T00:12:43.145Z') === '', false);
+    strictEqual(Timestamp.check(-(2n**63n) - 1n) === '', false);
+    payment.at = 1_000_000n;
+    throws(() => Record({ amount: 'Decimal(19, 2)' }));
+
+    // Custom order of the types
+    const a = new Payment({ at: 2, id: payment.id, amount: '9.99' });
+    const b = new Payment({ at: 1, id: payment.id, amount: '10' });
+    strictEqual(Payment.compareBy('amount')(a, b), -1);
+    strictEqual(Payment.compareBy('at')(a, b), 1);
+    throws(() => Record({ id: 'UUID' }, { strict: true }).validate({ id: 'abc' }), RecordValueError);
+
+    const Counter = Record({ count: 'Varint', delta: 'ZigZag' });
+    const counter = new Counter({ count: 1, delta: -1 });
+    strictEqual(counter.count, 1);
+    strictEqual(counter.delta, -1);
+    const { byteLength } = counter.buffer;
+    counter.count = 300;
+    strictEqual(counter.buffer.byteLength, byteLength + 1);
+    counter.count = 2n**64n - 1n;
+    strictEqual(counter.count, 2n**64n - 1n);
+    counter.delta = -(2n**63n);
+    strictEqual(counter.delta, -(2n**63n));
+    counter.delta = Number.MIN_SAFE_INTEGER;
+    strictEqual(counter.delta, Number.MIN_SAFE_INTEGER);
+    throws(() => counter.count = -1);
+    throws(() => counter.count = 1.5);
+    strictEqual(counter.count, 2n**64n - 1n);
+    strictEqual(new Counter(counter.buffer.slice()).delta, Number.MIN_SAFE_INTEGER);
+  });
+
+  it('should support Enum and Flags types', function () {
+    const File = Record('File', {
+      status: 'Enum(draft, published, archived)',
+      mode: 'Flags(read, write, exec)',
+      'visibility?': 'Enum(public, private)'
+    });
+    strictEqual(File.BYTES_PER_ELEMENT, 1 + 3); // Presence bitmap and one byte per field
+
+    const file = new File({ status: 'published', mode: { read: true, exec: true } });
+    strictEqual(file.status, 'published');
+    strictEqual(JSON.stringify(file.mode), JSON.stringify({ read: true, write: false, exec: true }));
+    strictEqual(file.visibility, null);
+    strictEqual(new File().status, 'draft'); // The first value by default
+
+    file.status = 'ARCHIVED'; // Case insensitive
+    strictEqual(file.status, 'archived');
+    file.mode = ['write'];
+    strictEqual(JSON.stringify(file.mode), JSON.stringify({ read: false, write: true, exec: false }));
+    file.visibility = 'private';
+    strictEqual(file.visibility, 'private');
+    throws(() => file.status = 'deleted', error => error.name.startsWith('BadValue'));
+    throws(() => file.mode = ['delete'], error => error.name.startsWith('BadValue'));
+    throws(() => file.mode = 7);
+    strictEqual(file.status, 'archived');
+    throws(() => Record({ status: 'Enum(Open, closed)' }));
+    throws(() => Record({ status: 'Enum(open, open)' }));
+    throws(() => Record({ status: 'Flags(a, b, c, d, e, f, g, h, i, j, k, l, m, n, o, p, q, r, s, t, u, v, w, x, y, z, aa, bb, cc, dd, ee, ff, gg)' }));
+
+    // Declaration order, round-trip through the schema JSON and strict checks
+    strictEqual(File.compareBy('status')(new File({ status: 'draft' }), file) < 0, true);
+    const [name, schema] = JSON.parse(JSON.stringify(File.schema));
+    strictEqual(Record(name, schema), File);
+    strictEqual(new File(file.buffer.slice()).status, 'archived');
+    const Strict = Record(name, schema, { strict: true });
+    throws(() => Strict.validate({ status: 'deleted' }), RecordValueError);
+    throws(() => Strict.validate({ mode: { delete: true } }), RecordValueError);
+    strictEqual(Strict.validate({ status: 'draft', mode: ['read'] }).status, 'draft');
+
+    // 32 flags fit an Uint32
+    const names = Array.from({ length: 32 }, (_, i) => `f${i}`);
+    const Wide = Record({ flags: `Flags(${names})` });
+    const wide = new Wide({ flags: ['f0', 'f31'] });
+    strictEqual(wide.flags.f31, true);
+    strictEqual(wide.flags.f30, false);
+  });
+
+  it('should support util.inspect', function () {
+    const Point = Record('Point', { x: 'Int32', y: 'Int32' });
+    const Shape = Record('Shape', [['id', 'BigUint64'], ['name', 'Utf8'], ['origin', Point], ['tags', ['Uint8']], ['color?', 'Utf8']]);
+    const shape = new Shape({ id: 1n, name: 'square', origin: { x: 1, y: 2 }, tags: [3] });
+    const options = { breakLength: Infinity };
+    strictEqual(inspect(shape, options), "Shape { id: 1n, origin: { x: 1, y: 2 }, name: 'square', tags: Uint8Array(1) [ 3 ], color: null }");
+    strictEqual(inspect(shape.origin, options), 'Point { x: 1, y: 2 }');
+    strictEqual(inspect({ shape }, { depth: 0 }), '{ shape: [Shape] }');
+    strictEqual(inspect(new (Record({}))()), 'Record {}');
+
+    const points = new (FlatList(Point))();
+    points.push(new Point({ x: 1, y: 2 }), new Point({ x: 3, y: 4 }));
+    strictEqual(inspect(points, options), 'FlatList<Point>(2) [ { x: 1, y: 2 }, { x: 3, y: 4 } ]');
+
+    const set = new (FlatSet(Point))();
+    set.add(new Point({ x: 5, y: 6 }));
+    strictEqual(inspect(set, options), 'FlatSet<Point>(1) [ { x: 5, y: 6 } ]');
+  });
+
+  it('should support read-only and copy-on-write records', function () {
+    const Address = Record('Address', { zip: 'Uint32', street: 'Utf8' });
+    const Person = Record('Person', [
+      ['age', 'Uint8'],
+      ['name', 'Utf8'],
+      ['scores', 'Int32', 2],
+      ['labels', 'Utf8', 2],
+      ['address', Address],
+      ['homes', Address, 2],
+      ['avatar', 'Bytes'],
+      ['email?', 'Utf8']
+    ]);
+    const person = new Person({
+      age: 30,
+      name: 'John',
+      scores: [1, 2],
+      labels: ['a', 'b'],
+      address: { zip: 1, street: 'Main' },
+      homes: [{ zip: 2, street: 'North' }, { zip: 3, street: 'South' }],
+      avatar: new Uint8Array([1, 2])
+    });
+    const bytes = person.buffer.slice();
+
+    const readOnly = Person.readOnly(person);
+    strictEqual(readOnly.constructor, Person);
+    strictEqual(readOnly.buffer, person.buffer);
+    strictEqual(readOnly.equals(person), true);
+    strictEqual(readOnly.address.street, 'Main');
+    throws(() => { readOnly.age = 31; }, TypeError);
+    throws(() => { readOnly.email = 'john@example.com'; }, TypeError);
+    throws(() => { readOnly.labels[0] = 'c'; }, TypeError);
+    throws(() => { readOnly.address.zip = 2; }, TypeError);
+    throws(() => { readOnly.homes[1].street = 'East'; }, TypeError);
+    throws(() => Person.patch(readOnly, Person.diff(person, new Person())), TypeError);
+    // Typed arrays and bytes are copies
+    readOnly.scores[0] = 10;
+    readOnly.avatar[0] = 10;
+    strictEqual(isEqual(person.buffer, bytes), true);
+    strictEqual(Person.readOnly({ age: 1 }).age, 1);
+
+    const copy = Person.copyOnWrite(person.buffer);
+    strictEqual(copy.constructor, Person);
+    strictEqual(copy.age, 30);
+    strictEqual(copy.toJS().address.zip, 1);
+    strictEqual(copy.buffer, person.buffer);
+    copy.age = 31;
+    notStrictEqual(copy.buffer, person.buffer);
+    strictEqual(copy.age, 31);
+    strictEqual(person.age, 30);
+
+    // Reading a nested record, an array or bytes does not copy the buffer
+    const shared = Person.copyOnWrite(person);
+    const { address, homes, labels } = shared;
+    strictEqual(address.street, 'Main');
+    strictEqual(homes[1].zip, 3);
+    strictEqual(labels[1], 'b');
+    strictEqual(shared.scores[1], 2);
+    strictEqual(shared.avatar[1], 2);
+    strictEqual(shared.buffer, person.buffer);
+    // Typed arrays and bytes are copies while the buffer is shared
+    shared.scores[0] = 10;
+    shared.avatar[0] = 10;
+    strictEqual(shared.buffer, person.buffer);
+    // The first write through a view copies the buffer (once)
+    address.zip = 4;
+    notStrictEqual(shared.buffer, person.buffer);
+    const buffer = shared.buffer;
+    homes[0].street = 'West';
+    labels[0] = 'c';
+    shared.scores[0] = 10;
+    strictEqual(shared.buffer.buffer, buffer.buffer);
+    strictEqual(JSON.stringify([shared.address.zip, shared.homes[0].street, shared.labels[0], shared.scores[0]]), JSON.stringify([4, 'West', 'c', 10]));
+    strictEqual(isEqual(person.buffer, bytes), true);
+
+    // A write through a view copies the buffer before it is written
+    for(const write of [
+      obj => { obj.address.zip = 2; },
+      obj => { obj.homes[0].street = 'West'; },
+      obj => { obj.homes[1].zip = 4; },
+      obj => { obj.labels[0] = 'c'; },
+      obj => { obj.scores = [10, 2]; },
+      obj => { obj.avatar = new Uint8Array([10, 2]); },
+      obj => { obj.name = 'Jo'; },
+      obj => Person.patch(obj, Person.diff(person, new Person({ name: 'Jane' })))
+    ]) {
+      const record = Person.copyOnWrite(person);
+      write(record);
+      strictEqual(record.equals(person), false);
+      strictEqual(isEqual(person.buffer, bytes), true);
+    }
+
+    // The same plain values in all modes
+    const modes = [person, readOnly, Person.copyOnWrite(person)];
+    for(const record of modes) {
+      strictEqual(isEqual(record.toJS(), person.toJS()), true);
+      strictEqual(JSON.stringify(record), JSON.stringify(person));
+      const clone = structuredClone(record);
+      strictEqual(isEqual(Object.keys(clone), ['buffer']), true);
+      strictEqual(new Person(clone.buffer).equals(person), true);
+    }
+
+    // A set hands out read-only items (writing would break the order), as a list
+    const Point = Record('Point', { x: 'Int32', y: 'Int32' });
+    const set = new (FlatSet(Point))();
+    set.add({ x: 1, y: 2 });
+    throws(() => { set.handle(0).x = 2; }, TypeError);
+    strictEqual(set.handle(0).x, 1);
+    // The handle is reused (a binary search does not create records)
+    set.add({ x: 3, y: 4 });
+    strictEqual(set.handle(0), set.handle(1));
+    const list = new (FlatList(Point))();
+    list.push({ x: 1, y: 2 });
+    throws(() => { list.handle(0).x = 2; }, TypeError);
+    list.set(0, { x: 3, y: 2 });
+    strictEqual(list.handle(0).x, 3);
+  });
+
   it('should return the same record if it can', function () {
     
     // Only binary comparison
@@ -0,0 +1,32 @@
+/**
+ * Formats a value for an error message.
+ *
+ * @param {*} value - The value to format
+ * @returns {string} The formatted value
+ */
+const format = value => typeof value === 'string' ? JSON.stringify(value) : String(value);
+
+/**
+ * Error thrown when a value does not fit a Record member (strict records and Type.validate).
+ */
+export default class RecordValueError extends Error {
+
+  /**
+   * Creates a new RecordValueError instance.
+   *
+   * @param {string} record - The record name
+   * @param {string} member - The member name (ex. "age" or "ports[1]", empty for the record itself)
+   * @param {*} value - The rejected value
+   * @param {string} reason - What was expected
+   */
+  constructor(record, member, value, reason) {
+    super(`Invalid value for ${member ? `${record}.${member}` : record}: ${reason} (got=${format(value)})`);
+    if(Error.captureStackTrace) {
+      Error.captureStackTrace(this, RecordValueError);
+    }
+    this.name = "RecordValueError";
+    this.record = record;
+    this.member = member;
+    this.value = value;
+  }
+};
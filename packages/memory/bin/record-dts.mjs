@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+/**
+ * Generates the TypeScript declarations of the Record classes (and of the
+ * FlatList/FlatSet specializations) exported by a module.
+ *
+ * Usage: record-dts <module> [output]
+ *
+ * The declarations are written to the output file (ex. records.d.mts) or to
+ * the standard output.
+ */
+import { resolve } from 'node:path';
+import { writeFileSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import generateDeclarations from '../record/generateDeclarations.mjs';
+
+const [input, output] = process.argv.slice(2);
+if(!input) {
+  console.error('Usage: record-dts <module> [output]');
+  process.exit(1);
+}
+
+const exports = await import(pathToFileURL(resolve(input)).href);
+const declarations = generateDeclarations(exports);
+if(output) {
+  writeFileSync(output, declarations);
+} else {
+  process.stdout.write(declarations);
+}
@@ -5,7 +5,10 @@ import withCache from '@staabler/core/withCache.mjs';
  * Maintains a history of the last two buffers for quick access.
  */
 const history = [null, null];
-const construct = withCache(new WeakMap(), buffer => new DataView(buffer));
+const construct = withCache(new WeakMap(), buffer => ArrayBuffer.isView(buffer) ?
+  new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength) :
+  new DataView(buffer)
+);
 
 /**
  * Gets a DataView for the specified buffer, using caching for performance.
@@ -17,7 +20,8 @@ export default function getDataView(buffer) {
   if (history[0] === buffer) {
     return history[1];
   }
-  const view = construct(buffer.buffer ?? buffer);
+  // The view must respect the byteOffset of the typed array (ex. a subarray)
+  const view = construct(buffer);
   history[0] = buffer;
   history[1] = view;
   return view;
@@ -0,0 +1,24 @@
+/**
+ * The symbol of the util.inspect integration (the same as util.inspect.custom,
+ * without depending on node:util).
+ * @type {symbol}
+ */
+export const kInspectCustom = Symbol.for('nodejs.util.inspect.custom');
+
+/**
+ * Formats an object with a toJS method (Record, FlatList, FlatSet) for
+ * util.inspect, ex. "Point { x: 1, y: 2 }".
+ *
+ * @param {string} label - The label shown before the value
+ * @param {Object} obj - The object to format
+ * @param {number} depth - The remaining depth
+ * @param {Object} options - The util.inspect options
+ * @param {Function} inspect - The util.inspect function
+ * @returns {string} The formatted object
+ */
+export default function inspectCustom(label, obj, depth, options, inspect) {
+  if(depth < 0) {
+    return options.stylize(`[${label}]`, 'special');
+  }
+  return `${label} ${inspect(obj.toJS(), { ...options, depth: options.depth === null ? null : options.depth - 1 })}`;
+}
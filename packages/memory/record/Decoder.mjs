@@ -1,36 +1,54 @@
-import Message from './Message.mjs';
+import Message, { kMessageIdMask, getMessageCompression } from './Message.mjs';
 import Record from '../Record.mjs';
 import SparseMap from '@staabler/core/SparseMap.mjs';
+import { decompress } from './stream/compression.mjs';
 
 /**
  * Decodes Message buffers back into record objects.
  * Takes encoded message buffers and reconstructs the original record objects,
- * handling schema caching and reuse for efficiency.
+ * handling schema caching and reuse for efficiency (and decompression).
  */
 export default class Decoder {
 
   /**
    * Creates a new Decoder instance.
    * Initializes message parsing and schema caching.
+   * 
+   * @param {Upcaster} [upcaster=null] - Upgrades records encoded with an older schema (see record/Upcaster)
    */
-  constructor() {
+  constructor(upcaster = null) {
     this.message = new Message();
     this.index = new SparseMap();
+    this.upcaster = upcaster;
   }
 
   /**
    * Decodes a Message buffer into a record object.
    * 
    * @param {Uint8Array} uint8Array - The encoded message buffer to decode
-   * @returns {Object} The decoded record object
+   * @returns {Object} The decoded record object (the current version if the decoder has an upcaster)
    * @throws {Error} If no schema is provided in the message
    */
   decode(uint8Array) {
+    const instance = this.decodeAsWritten(uint8Array);
+    const upcaster = this.upcaster;
+    return upcaster ? upcaster.upcast(instance) : instance;
+  }
+
+  /**
+   * Decodes a Message buffer into a record object of the type it was encoded with.
+   * 
+   * @param {Uint8Array} uint8Array - The encoded message buffer to decode
+   * @returns {Object} The decoded record object
+   * @throws {Error} If no schema is provided in the message
+   */
+  decodeAsWritten(uint8Array) {
     const index = this.index;
     const message = this.message;
     message.buffer = uint8Array;
-    const id = message.id;
-    const data = message.data;
+    const id = message.id & kMessageIdMask;
+    const compression = getMessageCompression(message.id);
+    const data = compression ? decompress(compression, message.data) : message.data;
     const schema = message.schema;
     if(id && schema) {
       const args = JSON.parse(schema);
@@ -49,7 +67,7 @@ export default class Decoder {
     if(!schema) {
       throw new Error('No schema provided in message');
     }
-    const Type = Record(JSON.parse(schema));
+    const Type = Record(...JSON.parse(schema));
     return new Type(data);
   }
   
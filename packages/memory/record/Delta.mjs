@@ -0,0 +1,14 @@
+import Record from '../Record.mjs';
+
+/**
+ * A field-level change of a record (see record/diff and record/patch).
+ *
+ * A delta is a record itself, so it can be encoded (Encoder/Decoder) or
+ * written to a record/Stream as a change entry:
+ *  - type: the schema type of the changed record (see stream/getSchemaType)
+ *  - changes: the changed members (see Type.diff)
+ */
+export default Record('RecordDelta', {
+  type: 'BigUint64',
+  changes: 'Bytes'
+});
@@ -1,4 +1,5 @@
-import Message from './Message.mjs';
+import Message, { toMessageId } from './Message.mjs';
+import { compress, getCompressionAlgorithm } from './stream/compression.mjs';
 
 /**
  * Maximum message ID value for the sliding window.
@@ -6,6 +7,11 @@ import Message from './Message.mjs';
  */
 const kWindowLength = 2**16 - 1;
 
+const defaultOptions = {
+  compression: null,
+  threshold: 2**8
+};
+
 /**
  * Encodes a stream of record objects into Message buffers.
  * Takes record objects and converts them to standardized Message format
@@ -16,11 +22,17 @@ export default class Encoder {
   /**
    * Creates a new Encoder instance.
    * Initializes message ID generation and schema indexing.
+   * 
+   * @param {Object} [options=defaultOptions] - { compression: string|null, threshold: number } (ex. 'deflate', the records smaller than the threshold are raw)
    */
-  constructor() {
+  constructor(options = defaultOptions) {
+    const { compression = null, threshold = defaultOptions.threshold } = options;
     this.lastMessageId = 0;
     this.index = new Map();
     this.message = new Message();
+    this.compression = compression;
+    this.algorithm = compression ? getCompressionAlgorithm(compression) : null;
+    this.threshold = threshold;
   }
 
   /**
@@ -53,8 +65,11 @@ export default class Encoder {
     }
 
     const message = this.message;
-    message.id = id;
-    message.data = record.buffer;
+    const data = record.buffer;
+    const compressed = (this.algorithm && this.threshold <= data.byteLength) ? compress(this.compression, data) : null;
+    const isCompressed = !!compressed && compressed.byteLength < data.byteLength;
+    message.id = toMessageId(id, isCompressed ? this.algorithm.id : 0);
+    message.data = isCompressed ? compressed : data;
     message.schema = isNew ? JSON.stringify(schema) : '';
     const buffer = message.buffer;
     message.size = buffer.byteLength;
@@ -1,6 +1,8 @@
 import Record from '../Record.mjs';
 import Encoder from './Encoder.mjs';
 import Decoder from './Decoder.mjs';
+import Message from './Message.mjs';
+import { getCompressionAlgorithm } from './stream/compression.mjs';
 import Uint32 from '../types/Uint32.mjs';
 import { strictEqual } from 'node:assert';
 import Timer from '@staabler/core/Timer.mjs';
@@ -45,6 +47,66 @@ describe(getPackageName(import.meta.url), function() {
     strictEqual(decoded[1].name, 'Sarah');
   });
 
+  it('should support nested records', function() {
+    const Address = Record('Address', { zip: 'Uint32', street: 'Utf8' });
+    const Customer = Record('Customer', { id: 'Uint32', address: Address });
+    const encoder = new Encoder();
+    const decoder = new Decoder();
+    const customer = new Customer({ id: 1, address: { zip: 123, street: 'Main street' } });
+    const got = decoder.decode(Uint8Array.from(encoder.encode(customer)));
+    strictEqual(got.constructor, Customer);
+    strictEqual(got.address.zip, 123);
+    strictEqual(got.address.street, 'Main street');
+  });
+
+  it('should support big-endian records', function() {
+    const Packet = Record('Packet', { sequence: 'Uint32' }, { endian: 'big' });
+    const encoder = new Encoder();
+    const decoder = new Decoder();
+    const got = decoder.decode(Uint8Array.from(encoder.encode(new Packet({ sequence: 0x01020304 }))));
+    strictEqual(got.constructor, Packet);
+    strictEqual(got.sequence, 0x01020304);
+  });
+
+  it('should support the additional types', function() {
+    const Payment = Record('Payment', { at: 'Timestamp', id: 'UUID', amount: 'Decimal(10, 2)', retries: 'Varint', delta: 'ZigZag' });
+    const encoder = new Encoder();
+    const decoder = new Decoder();
+    const payment = new Payment({ at: 1_000, id: '0f8fad5b-d9cb-469f-a165-70867728950e', amount: '-4.20', retries: 300, delta: -2 });
+    const got = decoder.decode(Uint8Array.from(encoder.encode(payment)));
+    strictEqual(got.constructor, Payment);
+    strictEqual(got.equals(payment), true);
+    strictEqual(got.id, payment.id);
+    strictEqual(got.amount, '-4.20');
+    strictEqual(got.retries, 300);
+    strictEqual(got.delta, -2);
+  });
+
+  it('should support compression', function() {
+    const Note = Record('Note', { id: 'Uint32', text: 'Utf8' });
+    const text = 'a long and repetitive text, '.repeat(20);
+    const raw = new Encoder().encode(new Note({ id: 1, text })).byteLength;
+    const encoder = new Encoder({ compression: 'deflate', threshold: 64 });
+    const decoder = new Decoder();
+
+    const compressed = Uint8Array.from(encoder.encode(new Note({ id: 1, text })));
+    strictEqual(compressed.byteLength < raw/4, true);
+    const got = decoder.decode(compressed);
+    strictEqual(got.constructor, Note);
+    strictEqual(got.text, text);
+
+    // A small record is raw
+    const small = Uint8Array.from(encoder.encode(new Note({ id: 2, text: 'short' })));
+    strictEqual(decoder.decode(small).text, 'short');
+    strictEqual(decoder.decode(Uint8Array.from(encoder.encode(new Note({ id: 3, text })))).id, 3);
+
+    // The layout of a message does not change (the algorithm is the high byte of the id)
+    strictEqual(JSON.stringify(Message.schema), JSON.stringify(['Message', { size: 'Uint32', id: 'Uint32', schema: 'Utf8', data: 'Bytes' }]));
+    strictEqual(new Message(compressed).id >>> 24, getCompressionAlgorithm('deflate').id);
+    strictEqual(new Message(small).id >>> 24, 0);
+    strictEqual(new Message(small).id, new Message(compressed).id & 0xffffff);
+  });
+
   it('should have decent performance', async function() {
     const time = 60_000;
     this.timeout(time*10);
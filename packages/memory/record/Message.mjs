@@ -1,8 +1,41 @@
 import Record from '../Record.mjs';
 
+/**
+ * Bit shift of the compression algorithm id in the id field of a message.
+ * @type {number}
+ */
+const kCompressionShift = 24;
+
+/**
+ * Mask of the schema id in the id field of a message.
+ * @type {number}
+ */
+export const kMessageIdMask = 2**kCompressionShift - 1;
+
+/**
+ * Gets the id field of a message.
+ * 
+ * @param {number} id - The schema id (see kMessageIdMask)
+ * @param {number} [compression=0] - The compression algorithm id of the data field (0 if it is raw)
+ * @returns {number} The id field
+ */
+export const toMessageId = (id, compression = 0) => (compression * 2**kCompressionShift) + id;
+
+/**
+ * Gets the compression algorithm id of a message from its id field.
+ * 
+ * @param {number} id - The id field
+ * @returns {number} The compression algorithm id (0 if the data field is raw)
+ */
+export const getMessageCompression = id => Math.floor(id / 2**kCompressionShift);
+
 /**
  * Packet message record for sending and receiving any kind of records.
  * Provides a standardized format for serialized record data with metadata.
+ * 
+ * The layout is the same with or without compression: the compression
+ * algorithm is the high byte of the id (see toMessageId), a raw message is
+ * decoded by any peer.
  */
 export default Record('Message', {
   
@@ -16,6 +49,8 @@ export default Record('Message', {
    * Message schema ID.
    * If not zero and schema is set, the receiver should store
    * the provided schema together with this ID for later retrieval.
+   * The high byte is the compression algorithm id of the data field (0 if
+   * it is raw, see record/stream/compression).
    */
   id: 'Uint32',
 
@@ -0,0 +1,250 @@
+/**
+ * A record stream split into segment files. The active (last) segment is
+ * a plain record/Stream, a new segment is created once it reaches a size
+ * or an age, and the oldest segments are removed by the retention policies
+ * (total size and age). Design guidelines:
+ * 
+ *  - Every segment is a complete stream (with its own schemas), so a
+ *    segment can be removed or read on its own.
+ * 
+ *  - The positions are global: a segment starts where the previous one
+ *    ended. The projections and the cursors only see global positions.
+ * 
+ *  - The segments are listed in a manifest, which is a record stream
+ *    itself (see segmented/Manifest).
+ */
+import Stream from './Stream.mjs';
+import { kFileHeaderByteLength } from './stream/FileHeader.mjs';
+import Manifest, { getSegmentOffset } from './segmented/Manifest.mjs';
+import SegmentedCursor from './segmented/SegmentedCursor.mjs';
+import noop from '@staabler/core/noop.mjs';
+import autobind from '@staabler/core/autobind.mjs';
+import Allocator from '@staabler/core/Allocator.mjs';
+import withCallOnce from '@staabler/core/withCallOnce.mjs';
+
+const defaultProjection = {
+  handle: noop,
+  match: () => false,
+};
+
+const defaultOptions = {
+  strict: false,
+  compression: null,
+  keyProvider: null,
+  maxSegmentByteLength: 2**30,
+  maxSegmentAge: Infinity,
+  maxByteLength: Infinity,
+  maxAge: Infinity,
+  now: Date.now
+};
+
+/**
+ * Gets the file name of a segment (sorted like the segments).
+ * 
+ * @param {number} id - The segment id
+ * @returns {string} The file name, ex. "0000000001.segment"
+ */
+export const getSegmentName = id => `${String(id).padStart(10, '0')}.segment`;
+
+/**
+ * Creates a projection of a segment: the positions are made global.
+ * 
+ * @param {Object} projection - The projection of the SegmentedStream
+ * @param {number} base - The offset of the segment (see getSegmentOffset)
+ * @returns {Object} The projection of the segment
+ */
+function createSegmentProjection(projection, base) {
+  return {
+    match: (Type, position, next) => projection.match(Type, base + position, base + next),
+    handle: (record, position, next) => projection.handle(record, base + position, base + next)
+  };
+}
+
+/**
+ * A record stream split into segment files with rollover and retention.
+ * 
+ * The files are opened by a storage, ex.
+ * 
+ *  const storage = {
+ *    open: name => new Cache(File.construct(path.join(dir, name), 'a+')),
+ *    close: native => native.closeSync(),
+ *    unlink: name => File.unlinkSync(path.join(dir, name))
+ *  };
+ *  const stream = new SegmentedStream(storage, projection, undefined, null, { maxSegmentByteLength: 2**26 });
+ */
+export default class SegmentedStream {
+
+  /**
+   * Creates a new SegmentedStream instance.
+   * 
+   * @param {Object} storage - { open: name => native, close: native => void, unlink: name => void }
+   * @param {Object} [projection=defaultProjection] - Projection configuration for filtering and handling records
+   * @param {Allocator} [allocator=Allocator.getInstance()] - Memory allocator instance
+   * @param {Upcaster} [upcaster=null] - Upgrades records written with an older schema (see record/Upcaster)
+   * @param {Object} [options=defaultOptions] - { strict, compression, keyProvider, maxSegmentByteLength, maxSegmentAge, maxByteLength, maxAge, now } (ages in milliseconds, see Stream for strict, compression and keyProvider)
+   */
+  constructor(storage, projection = defaultProjection, allocator = Allocator.getInstance(), upcaster = null, options = defaultOptions) {
+    autobind(this);
+    this.storage = storage;
+    this.projection = projection;
+    this.allocator = allocator;
+    this.upcaster = upcaster;
+    this.options = { ...defaultOptions, ...options };
+    this.manifest = new Manifest(storage.open('manifest'), allocator);
+    this.active = null; // The stream of the last segment
+    this.position = 0; // The global position of the end of the stream
+    this.rolled = Promise.withResolvers(); // Resolved when a segment is created
+    this.init = withCallOnce(this.init);
+    this.init();
+  }
+
+  /**
+   * Replays every segment to the projection and applies the retention policies.
+   * This method is called once during construction.
+   */
+  init() {
+    const segments = this.manifest.segments;
+    if(segments.length === 0) {
+      this.manifest.add(0, 0, this.options.now());
+    }
+    // Only the active segment is kept open
+    segments.forEach((segment, index) => {
+      const segmentStream = this.openSegment(segment, this.projection);
+      if(index === segments.length - 1) {
+        this.active = segmentStream;
+      } else {
+        this.closeSegment(segmentStream);
+      }
+    });
+    this.position = getSegmentOffset(segments.at(-1)) + this.active.position;
+    this.applyRetention();
+  }
+
+  /**
+   * Opens the stream of a segment.
+   * 
+   * @param {Object} segment - The segment { id, position, createdAt }
+   * @param {Object} [projection=defaultProjection] - Projection of the records of the segment
+   * @param {boolean} [strict=this.options.strict] - Throws instead of truncating a corrupt tail (ex. a reader of a sealed segment)
+   * @returns {Stream} The stream of the segment
+   */
+  openSegment(segment, projection = defaultProjection, strict = this.options.strict) {
+    const native = this.storage.open(getSegmentName(segment.id));
+    const { compression, keyProvider } = this.options;
+    return new Stream(native, createSegmentProjection(projection, getSegmentOffset(segment)), this.allocator, this.upcaster, { strict, compression, keyProvider });
+  }
+
+  /**
+   * Closes the file of a segment opened with openSegment.
+   * 
+   * @param {Stream} segmentStream - The stream of the segment
+   */
+  closeSegment(segmentStream) {
+    this.storage.close(segmentStream.native);
+  }
+
+  /**
+   * Whether the active segment is full or too old (an empty segment is never rolled).
+   * 
+   * @returns {boolean} Whether a new segment should be created
+   */
+  shouldRoll() {
+    const { maxSegmentByteLength, maxSegmentAge, now } = this.options;
+    const byteLength = this.active.position - kFileHeaderByteLength;
+    const { createdAt } = this.manifest.segments.at(-1);
+    return 0 < byteLength && (maxSegmentByteLength <= byteLength || maxSegmentAge <= now() - createdAt);
+  }
+
+  /**
+   * Creates a new segment (it starts where the active segment ends and it
+   * keeps its compression dictionary), the sealed segment is closed.
+   */
+  roll() {
+    const manifest = this.manifest;
+    const { id } = manifest.segments.at(-1);
+    const sealed = this.active;
+    const { dictionary } = sealed;
+    const segment = manifest.add(id + 1, this.position, this.options.now());
+    this.active = this.openSegment(segment, this.projection);
+    this.closeSegment(sealed);
+    if(dictionary) {
+      this.active.useDictionary(dictionary.bytes);
+    }
+    this.applyRetention();
+
+    const { resolve } = this.rolled;
+    this.rolled = Promise.withResolvers();
+    resolve();
+  }
+
+  /**
+   * Removes the oldest segments while the stream is too large or they are
+   * too old. A segment is as old as the creation of the next one (its last
+   * possible write) and the active segment is never removed.
+   */
+  applyRetention() {
+    const { maxByteLength, maxAge, now } = this.options;
+    const manifest = this.manifest;
+    const segments = manifest.segments;
+    const time = now();
+    while(1 < segments.length) {
+      const [oldest, next] = segments;
+      if(this.position - oldest.position <= maxByteLength && time - next.createdAt <= maxAge) {
+        break;
+      }
+      manifest.remove(oldest.id);
+      this.storage.unlink(getSegmentName(oldest.id));
+    }
+  }
+
+  /**
+   * Writes a single record synchronously to the stream.
+   * 
+   * @param {Object} record - The record to write
+   * @returns {SegmentedStream} Returns this stream for chaining
+   */
+  writeOneSync(record) {
+    return this.writeManySync([record]);
+  }
+
+  /**
+   * Writes multiple records synchronously to the active segment (the records
+   * are never split, a segment may exceed its size by one write).
+   * 
+   * @param {Array|Iterable} [itertorable=[]] - Records to write
+   * @returns {SegmentedStream} Returns this stream for chaining
+   */
+  writeManySync(itertorable = []) {
+    const records = Array.isArray(itertorable) ? itertorable : Array.from(itertorable);
+    if(records.length === 0) {
+      return this;
+    }
+    if(this.shouldRoll()) {
+      this.roll();
+    }
+    const active = this.active;
+    active.writeManySync(records);
+    this.position = getSegmentOffset(this.manifest.segments.at(-1)) + active.position;
+    return this;
+  }
+
+  /**
+   * Creates a cursor for iterating over records in every segment.
+   * 
+   * @param {number} [position=0] - Starting global position for the cursor
+   * @param {AbortSignal} [signal=null] - Optional abort signal for cancellation
+   * @returns {SegmentedCursor} A cursor instance for iterating over records
+   */
+  createCursor(position = 0, signal = null) {
+    return new SegmentedCursor(this, position, signal);
+  }
+
+  /**
+   * Returns an iterator for iterating over records in the stream.
+   * 
+   * @returns {Iterator} An iterator that yields records from the stream
+   */
+  [Symbol.iterator]() {
+    return this.createCursor()[Symbol.iterator]();
+  }
+};
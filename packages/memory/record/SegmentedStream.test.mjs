@@ -0,0 +1,180 @@
+import Stream from './Stream.mjs';
+import Record from '../Record.mjs';
+import { strictEqual } from 'node:assert';
+import SegmentedStream, { getSegmentName } from './SegmentedStream.mjs';
+import { kFileHeaderByteLength } from './stream/FileHeader.mjs';
+import File from '@staabler/filesystem/File.mjs';
+import isThenable from '@staabler/core/isThenable.mjs';
+import DefaultMap from '@staabler/core/DefaultMap.mjs';
+import Cache from '@staabler/filesystem/file/Cache.mjs';
+import getPackageName from '@staabler/core/getPackageName.mjs';
+
+describe(getPackageName(import.meta.url), function() {
+
+  const Event = Record('Event', { id: 'Uint32', name: 'Utf8' });
+
+  const createStorage = () => {
+    const files = new DefaultMap(() => File.construct(':memory:'));
+    const natives = new Set(); // The open files
+    return {
+      files,
+      natives,
+      open: name => {
+        const native = new Cache(files.get(name));
+        natives.add(native);
+        return native;
+      },
+      close: native => natives.delete(native),
+      unlink: name => files.delete(name)
+    };
+  };
+
+  const readAll = cursor => {
+    const items = [];
+    for(const item of cursor) {
+      if(isThenable(item)) {
+        break;
+      }
+      const [initial, record, position] = item;
+      items.push([initial, record.id, position]);
+    }
+    return items;
+  };
+
+  class Projection {
+
+    constructor() {
+      this.items = [];
+    }
+
+    match(Type) {
+      return Type === Event;
+    }
+
+    handle(record, position, next) {
+      this.items.push([position, record.id, next]);
+    }
+  }
+
+  it('should roll over to a new segment', function() {
+    const storage = createStorage();
+    const projection = new Projection();
+    const stream = new SegmentedStream(storage, projection, undefined, null, { maxSegmentByteLength: 150 });
+    for(let id = 0; id < 10; ++id) {
+      stream.writeOneSync(new Event({ id, name: `event ${id}` }));
+    }
+    const segments = stream.manifest.segments;
+    strictEqual(1 < segments.length, true);
+    strictEqual(storage.files.has(getSegmentName(segments.at(-1).id)), true);
+    // Only the manifest and the active segment are open
+    strictEqual(storage.natives.size, 2);
+
+    // Every segment is a complete stream (with the schema)
+    const [first, second] = segments;
+    strictEqual(readAll(new Stream(storage.open(getSegmentName(second.id)))).at(0)[0], kFileHeaderByteLength);
+
+    // The positions are global and contiguous
+    const items = readAll(stream);
+    strictEqual(items.map(([, id]) => id).join(), '0,1,2,3,4,5,6,7,8,9');
+    strictEqual(items.every(([initial], i) => initial === (i ? items[i - 1][2] : 0)), true);
+    strictEqual(items.at(-1)[2], stream.position);
+    strictEqual(items.some(([initial]) => initial === second.position), true);
+    strictEqual(first.position, 0);
+    strictEqual(JSON.stringify(projection.items), JSON.stringify(items));
+    strictEqual(JSON.stringify(readAll(stream.createCursor(second.position))), JSON.stringify(items.filter(([initial]) => second.position <= initial)));
+    strictEqual(JSON.stringify(readAll(stream.createCursor().filter((Type, initial) => initial === second.position))), JSON.stringify(items.filter(([initial]) => initial === second.position)));
+
+    // The cursors close the sealed segments they read
+    const { size } = storage.natives;
+    readAll(stream);
+    readAll(stream.createCursor().take(1));
+    strictEqual(storage.natives.size, size);
+
+    // The same positions when the stream is opened again
+    const reopened = new Projection();
+    const opened = storage.natives.size;
+    strictEqual(new SegmentedStream(storage, reopened).position, stream.position);
+    strictEqual(storage.natives.size, opened + 2);
+    strictEqual(JSON.stringify(reopened.items), JSON.stringify(items));
+  });
+
+  it('should apply the retention policies', function() {
+    let time = 0;
+    const now = () => time;
+    const storage = createStorage();
+    const options = { maxSegmentAge: 10, maxAge: 15, maxByteLength: 2**16, now };
+    const stream = new SegmentedStream(storage, undefined, undefined, null, options);
+    for(let id = 0; id < 6; ++id, time += 10) {
+      stream.writeOneSync(new Event({ id, name: 'event' }));
+    }
+    // Segments created at 0, 10, ..., 50 and the oldest ones are removed
+    const ids = () => stream.manifest.segments.map(({ id }) => id).join();
+    strictEqual(ids(), '3,4,5');
+    strictEqual(storage.files.has(getSegmentName(2)), false);
+    strictEqual(readAll(stream).map(([, id]) => id).join(), '3,4,5');
+    strictEqual(readAll(stream.createCursor(0)).at(0)[0], stream.manifest.segments[0].position);
+
+    // By size (the active segment is kept)
+    const reopened = new SegmentedStream(storage, undefined, undefined, null, { ...options, maxByteLength: 0 });
+    strictEqual(reopened.manifest.segments.length, 1);
+    strictEqual(readAll(reopened).map(([, id]) => id).join(), '5');
+  });
+
+  it('should follow the stream across segments', async function() {
+    const storage = createStorage();
+    const stream = new SegmentedStream(storage, undefined, undefined, null, { maxSegmentByteLength: 1 });
+    const ids = [];
+    const iterator = stream.createCursor()[Symbol.iterator]();
+    const next = async () => {
+      while(true) {
+        const { value } = iterator.next();
+        if(!isThenable(value)) {
+          return value[1].id;
+        }
+        await value;
+      }
+    };
+    stream.writeOneSync(new Event({ id: 1, name: 'a' }));
+    ids.push(await next());
+    // The notifications of the first write are done
+    await new Promise(resolve => setImmediate(resolve));
+    const promise = next();
+    stream.writeOneSync(new Event({ id: 2, name: 'b' }));
+    ids.push(await promise);
+    stream.writeOneSync(new Event({ id: 3, name: 'c' }));
+    ids.push(await next());
+    iterator.return();
+    strictEqual(ids.join(), '1,2,3');
+    strictEqual(stream.manifest.segments.length, 3);
+  });
+
+  it('should support async iteration across segments', async function() {
+    const storage = createStorage();
+    const stream = new SegmentedStream(storage, undefined, undefined, null, { maxSegmentByteLength: 150 });
+    for(let id = 0; id < 10; ++id) {
+      stream.writeOneSync(new Event({ id, name: `event ${id}` }));
+    }
+    const collect = async cursor => {
+      const ids = [];
+      for await (const [, record] of cursor) {
+        ids.push(record.id);
+      }
+      return ids.join();
+    };
+    const [, second] = stream.manifest.segments;
+    strictEqual(await collect(stream.createCursor().skip(2).take(6)), '2,3,4,5,6,7');
+    strictEqual(await collect(stream.createCursor().until(second.position)), readAll(stream).filter(([initial]) => initial < second.position).map(([, id]) => id).join());
+    strictEqual(await collect(stream.createCursor().filter(() => false).until(stream.position)), '');
+
+    // Awaits the next segment until the signal is aborted
+    const controller = new AbortController();
+    const done = collect(stream.createCursor(stream.position, controller.signal).map(record => {
+      controller.abort();
+      return record;
+    }));
+    await new Promise(resolve => setImmediate(resolve));
+    stream.writeOneSync(new Event({ id: 10, name: 'event 10' }));
+    strictEqual(await done, '10');
+  });
+
+});
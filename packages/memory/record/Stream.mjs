@@ -6,10 +6,46 @@
  *    minimize the amount of copying and promise creation.
  * 
  *  - Parallelization should primary be done by a thread pool.
+ * 
+ *  - The file starts with a magic number and a format version (see
+ *    stream/FileHeader), a file of another format is never truncated. A
+ *    stream written before the file header (16 byte packet headers without
+ *    checksum and trailer) must be upgraded once (see Stream.upgrade).
+ * 
+ *  - Each packet ([Header][schema][body][trailer]) has a CRC-32C checksum. A
+ *    torn tail (ex. a crash mid-write) is truncated when the stream is opened.
+ * 
+ *  - The trailer of a packet is its length, a cursor can read the stream
+ *    backwards (see stream/ReverseCursor).
+ * 
+ *  - A multi-record write is an atomic batch (see stream/Batch), the
+ *    cursors and the projections never see a part of it.
+ * 
+ *  - A packet body may be compressed (see stream/compression), with a
+ *    shared dictionary stored in the stream (see Stream#trainDictionary).
+ * 
+ *  - The schema and the body of a packet may be encrypted with AES-256-GCM
+ *    (see stream/encryption), the header has the id of the key.
+ * 
+ *  - A stream only grows, compact() rewrites it with the latest record
+ *    per key (see Stream#compact).
+ * 
+ *  - Seeking (by ordinal or key) starts at the closest entry of an optional
+ *    sparse index (see stream/SparseIndex).
  */
+import Record from '../Record.mjs';
 import Utf8 from '../types/Utf8.mjs';
-import Header from './stream/Header.mjs';
+import Uint32 from '../types/Uint32.mjs';
+import BigUint64 from '../types/BigUint64.mjs';
 import Cursor from './stream/Cursor.mjs';
+import ReverseCursor from './stream/ReverseCursor.mjs';
+import BinarySubscriber from './stream/BinarySubscriber.mjs';
+import crc32c from '@staabler/core/crc32c.mjs';
+import Header, { kChecksumByteOffset, kTrailerByteLength } from './stream/Header.mjs';
+import Batch, { kBatchType } from './stream/Batch.mjs';
+import Dictionary, { kDictionaryType } from './stream/Dictionary.mjs';
+import { compress, getCompressionAlgorithm, trainDictionary } from './stream/compression.mjs';
+import { encrypt, kEncryptionOverhead } from './stream/encryption.mjs';
 import BiMap from '@staabler/core/BiMap.mjs';
 import autobind from '@staabler/core/autobind.mjs';
 import Allocator from '@staabler/core/Allocator.mjs';
@@ -18,13 +54,194 @@ import ObjectPool from '@staabler/core/ObjectPool.mjs';
 import getSchemaType from './stream/getSchemaType.mjs';
 import withCallOnce from '@staabler/core/withCallOnce.mjs';
 import StreamWriteError from './stream/StreamWriteError.mjs';
+import StreamCorruptionError from './stream/StreamCorruptionError.mjs';
+import StreamFormatError from './stream/StreamFormatError.mjs';
+import FileHeader, { kMagic, kVersion, kFileHeaderByteLength } from './stream/FileHeader.mjs';
 import noop from '@staabler/core/noop.mjs';
+import sleep from '@staabler/core/sleep.mjs';
+import toAsyncIterator from '@staabler/core/toAsyncIterator.mjs';
 
 const defaultProjection = {
   handle: noop,
   match: () => false,
 };
 
+const defaultOptions = {
+  strict: false,
+  index: null,
+  compression: null,
+  keyProvider: null
+};
+
+const defaultCompression = {
+  algorithm: 'deflate',
+  threshold: 2**8
+};
+
+const defaultCompactOptions = {
+  isTombstone: null,
+  batchSize: 2**10
+};
+
+/**
+ * The reserved types of the control packets written by the stream (a batch
+ * marker or a dictionary), a user record of the same class is an ordinary
+ * record.
+ * @type {WeakMap<Object, bigint>}
+ */
+const controlTypes = new WeakMap(); // [record, type]
+
+/**
+ * The file header of the current format.
+ * @type {FileHeader}
+ */
+const kFileHeader = new FileHeader({ magic: kMagic, version: kVersion });
+
+/**
+ * Checks the file header of a stream (an empty file has none yet).
+ * 
+ * @param {Object} native - The native stream implementation
+ * @param {number} size - Size of the stream in bytes
+ * @returns {string} The reason if the header is partial (a torn first write), empty otherwise
+ * @throws {StreamFormatError} If the file has another format
+ */
+function checkFileHeader(native, size) {
+  if(size === 0) {
+    return '';
+  }
+  const byteLength = Math.min(size, kFileHeaderByteLength);
+  const bytes = readFileHeader(native, size);
+  if(kFileHeader.buffer.subarray(0, byteLength).every((byte, i) => byte === bytes[i])) {
+    return byteLength < kFileHeaderByteLength ? 'partial file header' : '';
+  }
+  const { magic, version } = FileHeader.readOnly(bytes);
+  throw new StreamFormatError(magic, version, isLegacyStream(native, size));
+}
+
+/**
+ * Reads the bytes of the file header of a stream (zeros past the end).
+ * 
+ * @param {Object} native - The native stream implementation
+ * @param {number} size - Size of the stream in bytes
+ * @returns {Uint8Array} The bytes of the file header
+ */
+function readFileHeader(native, size) {
+  const byteLength = Math.min(size, kFileHeaderByteLength);
+  const bytes = new Uint8Array(kFileHeaderByteLength);
+  bytes.set(native.peek(byteLength, 0).subarray(0, byteLength));
+  return bytes;
+}
+
+/**
+ * Byte length of the packet header of a stream written before the file
+ * header: the type, the body and the schema byte lengths (a packet is
+ * [header][schema][body], without a checksum and a trailer).
+ * @type {number}
+ */
+const kLegacyHeaderByteLength = 16;
+
+/**
+ * Reads the packets of a stream written before the file header. A partial
+ * packet (a torn tail) ends the packets.
+ * 
+ * @generator
+ * @param {Object} native - The native stream implementation
+ * @param {number} size - Size of the stream in bytes
+ * @yields {Array} [position, Type, body] (Type is undefined if the schema is unknown, the body is only valid until the next packet)
+ */
+function* readLegacyPackets(native, size) {
+  const types = new Map(); // type => Type
+  let position = 0;
+  while(position + kLegacyHeaderByteLength <= size) {
+    const header = native.peek(kLegacyHeaderByteLength, position).subarray(0, kLegacyHeaderByteLength);
+    const type = BigUint64.getValue(header, 0);
+    const bodyByteLength = Uint32.getValue(header, 8);
+    const schemaByteLength = Uint32.getValue(header, 12);
+    const next = position + kLegacyHeaderByteLength + schemaByteLength + bodyByteLength;
+    if(size < next) {
+      return;
+    }
+    const initial = position;
+    position += kLegacyHeaderByteLength;
+    if(schemaByteLength && !types.has(type)) {
+      const schema = native.peek(schemaByteLength, position).subarray(0, schemaByteLength);
+      const [name, definition] = JSON.parse(Utf8.getValue(schema, 0, schemaByteLength));
+      types.set(type, Record(name, definition));
+    }
+    position += schemaByteLength;
+    yield [initial, types.get(type), native.peek(bodyByteLength, position).subarray(0, bodyByteLength)];
+    position = next;
+  }
+}
+
+/**
+ * Checks if a stream was written before the file header: its first packet
+ * has a schema of its type.
+ * 
+ * @param {Object} native - The native stream implementation
+ * @param {number} size - Size of the stream in bytes
+ * @returns {boolean} True if it is a stream of the legacy format
+ */
+function isLegacyStream(native, size) {
+  if(size < kLegacyHeaderByteLength) {
+    return false;
+  }
+  const header = native.peek(kLegacyHeaderByteLength, 0).subarray(0, kLegacyHeaderByteLength);
+  const type = BigUint64.getValue(header, 0);
+  const schemaByteLength = Uint32.getValue(header, 12);
+  if(!schemaByteLength || size < kLegacyHeaderByteLength + schemaByteLength) {
+    return false;
+  }
+  try {
+    const schema = native.peek(schemaByteLength, kLegacyHeaderByteLength).subarray(0, schemaByteLength);
+    return getSchemaType(JSON.parse(Utf8.getValue(schema, 0, schemaByteLength))) === type;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Checks the packet at a position: it must be complete and match its checksum,
+ * the packets of a batch must be in the stream as well.
+ * 
+ * @param {Object} native - The native stream implementation
+ * @param {number} position - Position of the packet
+ * @param {number} size - Size of the stream in bytes
+ * @returns {Array} [nextPosition, reason, batchEnd] (the reason is empty if the packet is valid, batchEnd is 0 if it is not a batch marker)
+ */
+function checkPacket(native, position, size) {
+  const headerByteLength = Header.BYTES_PER_ELEMENT;
+  if(size < position + headerByteLength) {
+    return [position, 'partial header', 0];
+  }
+
+  // A peeked buffer is only valid until the next peek (and it may be
+  // longer than the requested length)
+  const header = native.peek(headerByteLength, position).subarray(0, headerByteLength);
+  const type = BigUint64.getValue(header, 0);
+  const bodyByteLength = Uint32.getValue(header, 8);
+  const schemaByteLength = Uint32.getValue(header, 12);
+  const expected = Uint32.getValue(header, kChecksumByteOffset);
+  const checksum = crc32c(header.subarray(0, kChecksumByteOffset));
+  const packetByteLength = headerByteLength + schemaByteLength + bodyByteLength;
+  const next = position + packetByteLength + kTrailerByteLength;
+  if(size < next) {
+    return [position, 'partial packet', 0];
+  }
+  if(Uint32.getValue(native.peek(kTrailerByteLength, next - kTrailerByteLength).subarray(0, kTrailerByteLength), 0) !== packetByteLength) {
+    return [position, 'trailer mismatch', 0];
+  }
+  const rest = native.peek(schemaByteLength + bodyByteLength, position + headerByteLength).subarray(0, schemaByteLength + bodyByteLength);
+  if(crc32c(rest, checksum) !== expected) {
+    return [position, 'checksum mismatch', 0];
+  }
+  if(type !== kBatchType) {
+    return [next, '', 0];
+  }
+  const batchEnd = next + Batch.readOnly(rest.subarray(schemaByteLength)).byteLength;
+  return size < batchEnd ? [position, 'partial batch', 0] : [next, '', batchEnd];
+}
+
 /**
  * A low-level stream for managing memory/Record writing and reading to a single file.
  * 
@@ -40,14 +257,24 @@ export default class Stream {
    * @param {Object} native - The native stream implementation
    * @param {Object} [projection=defaultProjection] - Projection configuration for filtering and handling records
    * @param {Allocator} [allocator=Allocator.getInstance()] - Memory allocator instance
+   * @param {Upcaster} [upcaster=null] - Upgrades records written with an older schema (see record/Upcaster)
+   * @param {Object} [options=defaultOptions] - { strict: boolean, index: SparseIndex|null, compression: Object|null, keyProvider: KeyRing|null } (strict throws instead of truncating a corrupt tail, compression is { algorithm: string, threshold: number } and the bodies smaller than the threshold are raw, the writes are encrypted with the current key of the key provider)
    */
-  constructor(native, projection = defaultProjection, allocator = Allocator.getInstance()) {
+  constructor(native, projection = defaultProjection, allocator = Allocator.getInstance(), upcaster = null, options = defaultOptions) {
     autobind(this);
     this.native = native;
+    this.strict = !!options.strict;
+    this.index = options.index ?? null;
+    this.compression = options.compression ? { ...defaultCompression, ...options.compression } : null;
+    this.keyProvider = options.keyProvider ?? null;
+    this.dictionaries = new Map(); // [id, bytes]
+    this.dictionary = null; // The dictionary of the writes { id, bytes }
     this.position = 0;
+    this.generation = 0; // Incremented when the file is replaced (ex. compact)
     this.registry = new BiMap(); // [type, schema]
     this.projection = projection;
     this.allocator = allocator;
+    this.upcaster = upcaster;
     this.pool = new ObjectPool(() => new Header());
     this.init = withCallOnce(this.init);
     this.init();
@@ -58,6 +285,7 @@ export default class Stream {
    * This method is called once during construction.
    */
   init() {
+    this.position = this.recover();
     // We cannot use a filter here because we need to know the next position
     const projection = this.projection;
     const cursor = this.createCursor()
@@ -75,6 +303,50 @@ export default class Stream {
       const [position, record, nextPosition] = maybe;
       projection.handle(record, position, nextPosition);
     }
+    const id = Math.max(0, ...this.dictionaries.keys());
+    this.dictionary = id ? { id, bytes: this.dictionaries.get(id) } : null;
+    this.index?.sync(this);
+  }
+
+  /**
+   * Checks every packet of the stream and truncates a corrupt or partial
+   * tail (ex. a torn write after a crash) back to the last valid packet, or
+   * to the start of its batch (an uncommitted batch is discarded). A file of
+   * another format is never truncated.
+   * 
+   * @returns {number} The end of the last valid packet
+   * @throws {StreamCorruptionError} If the tail is corrupt and the stream is strict
+   * @throws {StreamFormatError} If the file does not start with the file header of the current format
+   */
+  recover() {
+    const native = this.native;
+    const size = native.statSync().size;
+    const reason = checkFileHeader(native, size);
+    if(reason) {
+      if(this.strict) {
+        throw new StreamCorruptionError(0, reason);
+      }
+      native.truncateSync(0);
+      return kFileHeaderByteLength;
+    }
+    let position = kFileHeaderByteLength;
+    let batch = [0, 0]; // [start, end] of the last batch
+    while(position < size) {
+      const [next, reason, batchEnd] = checkPacket(native, position, size);
+      if(reason) {
+        const start = position < batch[1] ? batch[0] : position;
+        if(this.strict) {
+          throw new StreamCorruptionError(start, reason);
+        }
+        native.truncateSync(start);
+        return start;
+      }
+      if(batchEnd) {
+        batch = [position, batchEnd];
+      }
+      position = next;
+    }
+    return position;
   }
 
   /**
@@ -102,6 +374,7 @@ export default class Stream {
 
     const buffers = [];
     const matches = [];
+    const headers = [];
     const cleanup = [];
     let expectWriteResult = 0;
     const pool = this.pool;
@@ -109,54 +382,124 @@ export default class Stream {
     const registry = this.registry;
     const allocator = this.allocator;
     const projection = this.projection;
-    const headers = Array.from({ length: records.length }, () => pool.construct());
-    // We cannot know it because we dont know each packet full size (it may hve a schema)
-    for(let i = 0, len = records.length; i < len; ++i) {
-      const record = records[i];
-      const header = headers[i];
+    const upcaster = this.upcaster;
+    const compression = this.compression;
+    const dictionary = this.dictionary;
+    const algorithm = compression ? getCompressionAlgorithm(compression.algorithm) : null;
+    const useDictionary = !!(dictionary && algorithm?.dictionary);
+    const currentKey = this.keyProvider ? this.keyProvider.getCurrentKey() : null;
+
+    /**
+     * Adds the buffers of a packet ([Header][schema][body][trailer]), a
+     * control packet has no schema block.
+     * 
+     * @param {Object} record - The record
+     * @param {Array<Uint8Array>} buffers - The buffers to write
+     * @param {boolean} [compressible=true] - Whether the body may be compressed
+     * @param {boolean} [encryptable=true] - Whether the schema and the body may be encrypted
+     * @returns {number} The packet length
+     */
+    function encode(record, buffers, compressible = true, encryptable = true) {
+      const header = pool.construct();
+      headers.push(header);
       const Type = record.constructor;
       const schema = Type.schema;
-      const type = getSchemaType(schema);
-      const recordBuffer = record.buffer;
+      const controlType = controlTypes.get(record);
+      const type = controlType ?? getSchemaType(schema);
+      let recordBuffer = record.buffer;
+      let flags = 0;
+      if(compressible && algorithm && compression.threshold <= recordBuffer.byteLength) {
+        const compressed = compress(compression.algorithm, recordBuffer, useDictionary ? dictionary.bytes : null);
+        if(compressed.byteLength < recordBuffer.byteLength) {
+          recordBuffer = compressed;
+          flags = algorithm.id | (useDictionary ? dictionary.id << 8 : 0);
+        }
+      }
       const recordByteLength = recordBuffer.byteLength;
       const headerBuffer = header.buffer;
       const headerByteLength = headerBuffer.byteLength;
-      const isKnownSchema = registry.has(type);
+      const isKnownSchema = controlType !== undefined || registry.has(type);
       const schemaAsJson = isKnownSchema ? '' : JSON.stringify(schema);
       const schemaLength = schemaAsJson ? Utf8.getByteLengthOf(schemaAsJson) : 0;
-      const packetLength = headerByteLength + recordByteLength + (isKnownSchema ? 0 : schemaLength);
-      //position += kHeaderByteLength;
-      //const position = this.position + expectWriteResult; // it is previous position
+      const key = encryptable ? currentKey : null;
+      const overhead = key ? kEncryptionOverhead : 0;
       header.type = type;
-      header.body = recordByteLength;
-      header.schema = isKnownSchema ? 0 : schemaLength;
-      
-      const nextPosition = position + packetLength;
+      header.body = recordByteLength + overhead;
+      header.schema = isKnownSchema ? 0 : schemaLength + overhead;
+      header.flags = flags;
+      header.key = key ? key.id : 0;
+      // The header is authenticated with the encrypted blocks
+      const aad = headerBuffer.subarray(0, kChecksumByteOffset);
+      let checksum = crc32c(aad);
       buffers.push(headerBuffer);
-      matches.push([Type, record, position, nextPosition]);
-      position = nextPosition;
-      expectWriteResult += packetLength;
 
       if(!isKnownSchema) {
         const schemaBuffer = allocator.construct(schemaLength, Uint8Array);
         Utf8.setValue(schemaBuffer, 0, schemaAsJson);
-        buffers.push(schemaBuffer);
         cleanup.push(schemaBuffer);
+        const schemaBlock = key ? encrypt(key.key, schemaBuffer, aad) : schemaBuffer;
+        checksum = crc32c(schemaBlock, checksum);
+        buffers.push(schemaBlock);
         registry.set(type, Type);
       }
       
-      buffers.push(recordBuffer);
+      const body = key ? encrypt(key.key, recordBuffer, aad) : recordBuffer;
+      header.checksum = crc32c(body, checksum);
+      buffers.push(body);
+
+      const packetByteLength = headerByteLength + header.schema + header.body;
+      const trailer = allocator.construct(kTrailerByteLength, Uint8Array);
+      Uint32.setValue(trailer, 0, packetByteLength);
+      cleanup.push(trailer);
+      buffers.push(trailer);
+      return packetByteLength + kTrailerByteLength;
+    }
+
+    // We cannot know it because we dont know each packet full size (it may hve a schema)
+    for(let i = 0, len = records.length; i < len; ++i) {
+      const record = records[i];
+      // A dictionary is not a record of the stream
+      const isDictionary = controlTypes.get(record) === kDictionaryType;
+      const packetLength = encode(record, buffers, !isDictionary);
+      const nextPosition = position + packetLength;
+      if(!isDictionary) {
+        matches.push([record.constructor, record, position, nextPosition]);
+      }
+      position = nextPosition;
+      expectWriteResult += packetLength;
+    }
+
+    // A multi-record write is an atomic batch, its marker is written first
+    if(1 < records.length) {
+      const marker = [];
+      const batch = new Batch({ count: records.length, byteLength: expectWriteResult });
+      controlTypes.set(batch, kBatchType);
+      const markerLength = encode(batch, marker, false, false);
+      buffers.unshift(...marker);
+      matches.forEach(match => {
+        match[2] += markerLength;
+        match[3] += markerLength;
+      });
+      expectWriteResult += markerLength;
+    }
+    
+    // The file header is written with the first packet
+    const fileHeaderByteLength = this.position === kFileHeaderByteLength && this.native.statSync().size === 0 ? kFileHeaderByteLength : 0;
+    if(fileHeaderByteLength) {
+      buffers.unshift(kFileHeader.buffer);
     }
     
     try {
       const writeResult = this.native.writevSync(buffers);
-      if(writeResult !== expectWriteResult) {
-        throw new StreamWriteError(writeResult, expectWriteResult);
+      if(writeResult !== expectWriteResult + fileHeaderByteLength) {
+        throw new StreamWriteError(writeResult, expectWriteResult + fileHeaderByteLength);
       }
       this.position += expectWriteResult;
+      this.index?.add(matches.map(([, record, position]) => [record, position]));
       matches.forEach(([Type, record, position, nextPosition]) => {
-        if(projection.match(Type, position, nextPosition)) {
-          projection.handle(record, position, nextPosition);
+        const Current = upcaster ? upcaster.getType(Type) : Type;
+        if(projection.match(Current, position, nextPosition)) {
+          projection.handle(Current === Type ? record : upcaster.upcast(record), position, nextPosition);
         }
       });
     } finally {
@@ -166,66 +509,133 @@ export default class Stream {
     return this;
   }
 
+  /**
+   * Writes a shared compression dictionary to the stream, the next
+   * compressed packets use it (if the algorithm supports a dictionary).
+   * 
+   * @param {Uint8Array} bytes - The dictionary
+   * @returns {Stream} Returns this stream for chaining
+   */
+  useDictionary(bytes) {
+    const id = Math.max(0, ...this.dictionaries.keys()) + 1;
+    const dictionary = new Dictionary({ id, bytes });
+    controlTypes.set(dictionary, kDictionaryType);
+    this.writeOneSync(dictionary);
+    this.dictionaries.set(id, bytes);
+    this.dictionary = { id, bytes };
+    return this;
+  }
+
+  /**
+   * Trains a shared compression dictionary and writes it to the stream
+   * (see useDictionary). The samples are the given records or the last
+   * records of the stream.
+   * 
+   * @param {Iterable<Object>} [samples=null] - Records
+   * @param {number} [byteLength=2**15] - The maximum dictionary size
+   * @returns {Stream} Returns this stream for chaining
+   * @throws {Error} If the stream is not compressed with an algorithm supporting a dictionary
+   */
+  trainDictionary(samples = null, byteLength = 2**15) {
+    if(!this.compression) {
+      throw new Error('A dictionary needs a compressed stream (see the compression option)');
+    }
+    getCompressionAlgorithm(this.compression.algorithm, true);
+    const buffers = [];
+    if(samples) {
+      buffers.push(...Array.from(samples, record => record.buffer));
+    } else {
+      let total = 0;
+      for(const item of this.createCursor()) {
+        if(isThenable(item)) {
+          break;
+        }
+        // A read buffer is only valid until the next read
+        const buffer = item[1].buffer.slice();
+        buffers.push(buffer);
+        total += buffer.byteLength;
+        while(byteLength < total - buffers[0].byteLength) {
+          total -= buffers.shift().byteLength;
+        }
+      }
+    }
+    return this.useDictionary(trainDictionary(buffers, byteLength));
+  }
+
+  /**
+   * Finds the position of a record by its ordinal (0 for the first record),
+   * the headers are read from the closest index entry (or from the start).
+   * 
+   * @param {number} ordinal - The ordinal of the record
+   * @returns {number} The position of the record (the end of the stream if there is no such record)
+   */
+  seekToOrdinal(ordinal) {
+    const { position, ordinal: from } = this.index?.findByOrdinal(ordinal) ?? { position: 0, ordinal: 0 };
+    let remaining = ordinal - from;
+    for(const item of this.createCursor(position).filter(() => remaining-- === 0)) {
+      return isThenable(item) ? this.position : item[0];
+    }
+    return this.position;
+  }
+
+  /**
+   * Finds the position of the first record with a key at or after a key (ex.
+   * the first record after a timestamp), the records are read from the
+   * closest index entry.
+   * 
+   * @param {number} key - The key
+   * @returns {number} The position of the record (the end of the stream if there is no such record)
+   * @throws {Error} If the stream has no index with a getKey option
+   */
+  seekToKey(key) {
+    const index = this.index;
+    if(!index?.getKey) {
+      throw new Error('Seeking to a key needs an index with a getKey option');
+    }
+    const position = index.findByKey(key)?.position ?? 0;
+    for(const item of this.createCursor(position)) {
+      if(isThenable(item)) {
+        break;
+      }
+      const [initial, record] = item;
+      if(key <= index.getKey(record)) {
+        return initial;
+      }
+    }
+    return this.position;
+  }
+
   /**
    * Creates a cursor for iterating over records in the stream.
    * 
-   * @param {number} [position=0] - Starting position for the cursor
+   * @param {number|null} [position=null] - Starting position for the cursor (the start of the stream, or its end for a reverse cursor)
    * @param {AbortSignal} [signal=null] - Optional abort signal for cancellation
-   * @returns {Cursor} A cursor instance for iterating over records
+   * @param {string} [direction='forward'] - 'forward' or 'reverse' (see stream/ReverseCursor)
+   * @returns {Cursor|ReverseCursor} A cursor instance for iterating over records
+   * @throws {Error} If the direction is unknown
    */
-  createCursor(position = 0, signal = null) {
-    return new Cursor(this, position, signal);
+  createCursor(position = null, signal = null, direction = 'forward') {
+    if(direction === 'reverse') {
+      return new ReverseCursor(this, position ?? this.position, signal);
+    }
+    if(direction !== 'forward') {
+      throw new Error(`Unknown cursor direction (direction=${direction})`);
+    }
+    return new Cursor(this, position ?? 0, signal);
   }
 
   /**
    * Creates a binary subscriber that yields raw binary data from the stream.
    * 
-   * @generator
    * @param {AbortSignal} [signal=null] - Optional abort signal for cancellation
    * @param {number} [position=0] - Starting position in the stream
    * @param {number} [byteLength=2**16] - Maximum bytes to read per chunk
-   * @yields {Uint8Array|Promise} Either binary data or a promise for async operations
+   * @returns {Generator} The generator of the chunks, for await...of awaits new data (see BinarySubscriber)
    */
-  *createBinarySubscriber(signal = null, position = 0, byteLength = 2**16) {
-    //  Its possible to create some other kind of the iterator, but this
-    //  way to it handle the flow control automatically as well as
-    //  cleanup - with the help of finally.
-    let resolver = null;
-    let watching = false;
-    const unsubscribers = [];
-    const native = this.native;
-    if(signal) {
-      unsubscribers.push(addEventListener(signal, 'abort', () => resolver?.resolve()));
-    } else {
-      signal = { aborted: false };
-    }
-    
-    try {
-      while(!signal.aborted) {
-        const buffer = native.peek(byteLength, position);
-        const bufferByteLength = buffer.byteLength;
-        if(bufferByteLength) {
-          position += bufferByteLength;
-          yield buffer;
-          continue;
-        }
-
-        resolver = Promise.withResolvers();
-        const { promise } = resolver;
-        if(!watching) {
-          unsubscribers.push(native.watch(() => {
-            if(resolver) {
-              resolver.resolve();
-              resolver = null;
-            }
-          }));
-          watching = true;
-        }
-        yield promise;
-      }
-    } finally {
-      unsubscribers.forEach(cb => cb());
-    }
+  createBinarySubscriber(signal = null, position = 0, byteLength = 2**16) {
+    const iterator = new BinarySubscriber(this, position, signal, byteLength)[Symbol.iterator]();
+    iterator[Symbol.asyncIterator] = () => toAsyncIterator(iterator);
+    return iterator;
   }
 
   /**
@@ -237,7 +647,9 @@ export default class Stream {
   copyTo(stream) {
     let bytesTransferred = 0;
     const native = stream.native || stream;
-    for(const chunk of this.createBinarySubscriber()) {
+    // A stream is only appended to another one without its file header
+    const position = native.statSync().size ? kFileHeaderByteLength : 0;
+    for(const chunk of this.createBinarySubscriber(null, position)) {
       if(isThenable(chunk)) {
         break;
       }
@@ -247,6 +659,133 @@ export default class Stream {
     return bytesTransferred;
   }
 
+  /**
+   * Upgrades a stream written before the file header (see
+   * StreamFormatError#legacy) into another (empty) file of the current
+   * format, the file is then atomically replaced. The records keep their
+   * order but not their positions (ex. the positions kept by a projection)
+   * and a partial packet at the end (a torn write) is dropped.
+   * 
+   *  const native = new Cache(File.construct(filename, 'a+'));
+   *  Stream.upgrade(native, new Cache(File.construct(`${filename}.upgrade`, 'a+')));
+   *  const stream = new Stream(native);
+   * 
+   * @param {Object} native - The native stream implementation of the legacy file
+   * @param {Object} destination - The native stream implementation of the upgraded file
+   * @param {Object} [options=defaultOptions] - The options of the upgraded stream (see the constructor, ex. compression)
+   * @returns {number} The number of records
+   * @throws {StreamFormatError} If the file is not a stream of the legacy format
+   * @throws {StreamCorruptionError} If a packet has an unknown schema
+   */
+  static upgrade(native, destination, options = defaultOptions) {
+    const size = native.statSync().size;
+    if(!isLegacyStream(native, size)) {
+      const { magic, version } = FileHeader.readOnly(readFileHeader(native, size));
+      throw new StreamFormatError(magic, version);
+    }
+    destination.truncateSync(0);
+    const target = new Stream(destination, undefined, undefined, null, options);
+    let written = 0;
+    for(const [position, Type, body] of readLegacyPackets(native, size)) {
+      if(!Type) {
+        throw new StreamCorruptionError(position, 'unknown schema');
+      }
+      target.writeOneSync(new Type(body.slice()));
+      ++written;
+    }
+    destination.fdatasyncSync();
+    native.replaceSync(destination);
+    return written;
+  }
+
+  /**
+   * Compacts the stream into another (empty) file: only the latest record
+   * per key is kept, in the stream order. Records without a key (undefined)
+   * are always kept and a key whose latest record is a tombstone is dropped.
+   * The schemas are written again with the first record of each type, so the
+   * compacted file is readable by a Cursor, and records of an older schema
+   * are upcasted (if the stream has an upcaster).
+   * 
+   * The stream is read in batches (the event loop is free in between, ex. for
+   * appends), only the records appended meanwhile are copied synchronously
+   * before the file is atomically replaced. The open cursors and binary
+   * subscribers end (their positions belong to the old file), they must be
+   * recreated.
+   * 
+   *  const destination = new Cache(File.construct(`${filename}.compact`, 'a+'));
+   *  await stream.compact(destination, record => record.id, { isTombstone: record => record.deleted });
+   * 
+   * @param {Object} destination - The native stream implementation of the compacted file
+   * @param {Function} getKey - Gets the key of a record, ex. record => record.id
+   * @param {Object} [options=defaultCompactOptions] - { isTombstone: Function|null, batchSize: number } (records read between yields)
+   * @returns {Promise<Object>} { read, written } (number of records)
+   */
+  async compact(destination, getKey, options = defaultCompactOptions) {
+    const { isTombstone = null, batchSize = defaultCompactOptions.batchSize } = options;
+    const end = this.position;
+    const latest = new Map(); // key => position
+    const tombstones = new Set(); // position
+    let read = 0;
+    for(const item of this.createCursor()) {
+      if(isThenable(item) || end <= item[0]) {
+        break;
+      }
+      const [position, record] = item;
+      const key = getKey(record);
+      if(key !== undefined) {
+        latest.set(key, position);
+      }
+      if(isTombstone?.(record)) {
+        tombstones.add(position);
+      }
+      if(++read % batchSize === 0) {
+        await sleep(0);
+      }
+    }
+
+    destination.truncateSync(0);
+    const target = new Stream(destination, undefined, this.allocator, null, { compression: this.compression, keyProvider: this.keyProvider });
+    if(this.dictionary) {
+      target.useDictionary(this.dictionary.bytes);
+    }
+    const kept = new Set(latest.values());
+    let count = 0;
+    let written = 0;
+    for(const item of this.createCursor()) {
+      if(isThenable(item) || end <= item[0]) {
+        break;
+      }
+      // The records are written one by one, a read buffer is only valid until the next read
+      const [position, record] = item;
+      if(!tombstones.has(position) && (kept.has(position) || getKey(record) === undefined)) {
+        target.writeOneSync(record);
+        ++written;
+      }
+      if(++count % batchSize === 0) {
+        await sleep(0);
+      }
+    }
+
+    // The records appended during the compaction are newer than the compacted ones
+    for(const item of this.createCursor(end)) {
+      if(isThenable(item)) {
+        break;
+      }
+      target.writeOneSync(item[1]);
+      ++written;
+      ++read;
+    }
+    destination.fdatasyncSync();
+    this.native.replaceSync(destination);
+    ++this.generation;
+    this.position = target.position;
+    this.registry = target.registry;
+    this.dictionaries = target.dictionaries;
+    this.dictionary = target.dictionary;
+    this.index?.rebuild(this);
+    return { read, written };
+  }
+
   /**
    * Returns an iterator for iterating over records in the stream.
    * 
@@ -1,8 +1,18 @@
 import Stream from './Stream.mjs';
 import Record from '../Record.mjs';
-import { strictEqual } from 'node:assert';
+import { strictEqual, throws } from 'node:assert';
+import StreamCorruptionError from './stream/StreamCorruptionError.mjs';
 import File from '@staabler/filesystem/File.mjs';
 import isThenable from '@staabler/core/isThenable.mjs';
+import { existsSync } from 'node:fs';
+import { randomBytes } from 'node:crypto';
+import crc32c from '@staabler/core/crc32c.mjs';
+import KeyRing from './stream/KeyRing.mjs';
+import Header, { kChecksumByteOffset, kTrailerByteLength } from './stream/Header.mjs';
+import StreamDecryptionError from './stream/StreamDecryptionError.mjs';
+import StreamFormatError from './stream/StreamFormatError.mjs';
+import { kFileHeaderByteLength } from './stream/FileHeader.mjs';
+import getSchemaType from './stream/getSchemaType.mjs';
 
 import DefaultMap from '@staabler/core/DefaultMap.mjs';
 import Cache from '@staabler/filesystem/file/Cache.mjs';
@@ -92,6 +102,65 @@ describe(getPackageName(import.meta.url), function() {
 
 
 
+  it('should support nested records', function() {
+    const file = new Cache(File.construct(':memory:'));
+    const Address = Record('Address', { zip: 'Uint32', street: 'Utf8' });
+    const Customer = Record('Customer', { id: 'Uint32', address: Address });
+    new Stream(file).writeOneSync(new Customer({ id: 1, address: { zip: 123, street: 'Main street' } }));
+    
+    let counter = 0;
+    for(const item of new Stream(file)) {
+      if(isThenable(item)) {
+        break;
+      }
+      const [, record] = item;
+      ++counter;
+      strictEqual(record.constructor, Customer);
+      strictEqual(JSON.stringify(record.toJS()), JSON.stringify({ id: 1, address: { zip: 123, street: 'Main street' } }));
+    }
+    strictEqual(counter, 1);
+  });
+
+  it('should support big-endian records', function() {
+    const file = new Cache(File.construct(':memory:'));
+    const Packet = Record('Packet', { sequence: 'Uint32', payload: 'Bytes' }, { endian: 'big' });
+    new Stream(file).writeOneSync(new Packet({ sequence: 0x01020304, payload: new Uint8Array([1, 2]) }));
+
+    let counter = 0;
+    for(const item of new Stream(file)) {
+      if(isThenable(item)) {
+        break;
+      }
+      const [, record] = item;
+      ++counter;
+      strictEqual(record.constructor, Packet);
+      strictEqual(record.sequence, 0x01020304);
+      strictEqual(record.buffer[0], 1);
+    }
+    strictEqual(counter, 1);
+  });
+
+  it('should support the additional types', function() {
+    const file = new Cache(File.construct(':memory:'));
+    const Payment = Record('Payment', { at: 'Timestamp', id: 'UUID', amount: 'Decimal(10, 2)', retries: 'Varint', delta: 'ZigZag' });
+    new Stream(file).writeOneSync(new Payment({ at: 1_000, id: '0f8fad5b-d9cb-469f-a165-70867728950e', amount: 99.9, retries: 1, delta: -300 }));
+
+    let counter = 0;
+    for(const item of new Stream(file)) {
+      if(isThenable(item)) {
+        break;
+      }
+      const [, record] = item;
+      ++counter;
+      strictEqual(record.constructor, Payment);
+      strictEqual(record.id, '0f8fad5b-d9cb-469f-a165-70867728950e');
+      strictEqual(record.amount, '99.90');
+      strictEqual(record.retries, 1);
+      strictEqual(record.delta, -300);
+    }
+    strictEqual(counter, 1);
+  });
+
   const Reset = Record({
     id: 'Uint32',
     balance: 'Uint32'
@@ -170,6 +239,539 @@ describe(getPackageName(import.meta.url), function() {
     });
   });
 
+  it('should not write to the stream when a record is changed', function() {
+    const stream = new Stream(new Cache(File.construct(':memory:')));
+    stream.writeOneSync(new User({ name: 'John', age: 10 }));
+    const read = () => {
+      for(const item of stream) {
+        if(isThenable(item)) {
+          break;
+        }
+        return item[1];
+      }
+    };
+
+    const record = read();
+    strictEqual(record.constructor, User);
+    record.age = 11;
+    record.name = 'Johnny';
+    strictEqual(record.age, 11);
+    strictEqual(record.name, 'Johnny');
+    strictEqual(read().age, 10);
+    strictEqual(read().name, 'John');
+  });
+
+  it('should recover from a torn write', function() {
+    const readAll = stream => {
+      const records = [];
+      for(const item of stream) {
+        if(isThenable(item)) {
+          break;
+        }
+        records.push(item[1].toJS());
+      }
+      return records;
+    };
+
+    const memory = File.construct(':memory:');
+    new Stream(new Cache(memory))
+      .writeOneSync(new User({ name: 'John', age: 10 }))
+      .writeOneSync(new User({ name: 'Jane', age: 20 }));
+    const bytes = memory.buffer.slice();
+
+    // A crash while writing the third record
+    new Stream(new Cache(memory)).writeOneSync(new User({ name: 'Sarah', age: 30 }));
+    const torn = memory.buffer.byteLength - 3;
+    memory.truncateSync(torn);
+    throws(() => new Stream(new Cache(memory), undefined, undefined, null, { strict: true }), StreamCorruptionError);
+    strictEqual(memory.buffer.byteLength, torn);
+
+    const stream = new Stream(new Cache(memory));
+    strictEqual(memory.buffer.byteLength, bytes.byteLength);
+    strictEqual(stream.position, bytes.byteLength);
+    stream.writeOneSync(new User({ name: 'Sarah', age: 30 }));
+    strictEqual(readAll(new Stream(new Cache(memory))).map(obj => obj.name).join(), 'John,Jane,Sarah');
+
+    // A changed byte does not match the checksum
+    const corrupt = File.construct(':memory:');
+    corrupt.writeSync(bytes);
+    corrupt.buffer[bytes.byteLength - kTrailerByteLength - 1] ^= 1;
+    new Stream(new Cache(corrupt));
+    strictEqual(readAll(new Stream(new Cache(corrupt))).map(obj => obj.name).join(), 'John');
+
+    // The cursor verifies the records it reads
+    const opened = new Stream(new Cache(memory));
+    memory.buffer[bytes.byteLength - kTrailerByteLength - 1] ^= 1;
+    throws(() => readAll(opened.createCursor()), StreamCorruptionError);
+  });
+
+  it('should not open a stream of another format', function() {
+    // A stream written before the file header (16 byte packet headers)
+    const encodeBaseline = (record, withSchema) => {
+      const schema = withSchema ? Buffer.from(JSON.stringify(record.constructor.schema)) : Buffer.alloc(0);
+      const header = new DataView(new ArrayBuffer(16));
+      header.setBigUint64(0, getSchemaType(record.constructor.schema), true);
+      header.setUint32(8, record.buffer.byteLength, true);
+      header.setUint32(12, schema.byteLength, true);
+      return Buffer.concat([new Uint8Array(header.buffer), schema, record.buffer]);
+    };
+    const bytes = Buffer.concat([encodeBaseline(new User({ name: 'John', age: 10 }), true), encodeBaseline(new User({ name: 'Jane', age: 20 }), false)]);
+    const memory = File.construct(':memory:');
+    memory.writeSync(bytes);
+    throws(() => new Stream(new Cache(memory)), error => error instanceof StreamFormatError && error.message.startsWith('Unknown stream format'));
+    throws(() => new Stream(new Cache(memory), undefined, undefined, null, { strict: true }), StreamFormatError);
+    strictEqual(Buffer.compare(memory.buffer, bytes), 0);
+
+    // It is upgraded once (a torn tail is dropped)
+    throws(() => new Stream(new Cache(memory)), error => error.legacy === true && error.message.includes('Stream.upgrade'));
+    memory.writeSync(bytes.subarray(0, 20));
+    strictEqual(Stream.upgrade(new Cache(memory), new Cache(File.construct(':memory:')), { compression: { threshold: 0 } }), 2);
+    const toString = stream => Array.from(stream.createCursor().until(stream.position), ([, user]) => `${user.name}=${user.age}`).join();
+    const upgraded = new Stream(new Cache(memory));
+    strictEqual(toString(upgraded), 'John=10,Jane=20');
+    upgraded.writeOneSync(new User({ name: 'Sarah', age: 30 }));
+    strictEqual(toString(new Stream(new Cache(memory))), 'John=10,Jane=20,Sarah=30');
+
+    // Only a stream of the legacy format is upgraded
+    throws(() => Stream.upgrade(new Cache(memory), new Cache(File.construct(':memory:'))), error => error instanceof StreamFormatError && !error.legacy);
+    const other = File.construct(':memory:');
+    other.writeSync(Buffer.from('not a stream of records'));
+    throws(() => new Stream(new Cache(other)), error => error instanceof StreamFormatError && !error.legacy);
+    throws(() => Stream.upgrade(new Cache(other), new Cache(File.construct(':memory:'))), StreamFormatError);
+
+    // A torn first write leaves a part of the file header
+    const torn = File.construct(':memory:');
+    new Stream(new Cache(torn)).writeOneSync(new User({ name: 'John', age: 10 }));
+    strictEqual(Buffer.from(torn.buffer.subarray(0, 4)).toString(), 'STRM');
+    torn.truncateSync(3);
+    throws(() => new Stream(new Cache(torn), undefined, undefined, null, { strict: true }), StreamCorruptionError);
+    strictEqual(new Stream(new Cache(torn)).position, kFileHeaderByteLength);
+    strictEqual(torn.buffer.byteLength, 0);
+  });
+
+  it('should write multiple records as an atomic batch', async function() {
+    const names = stream => {
+      const records = [];
+      for(const item of stream) {
+        if(isThenable(item)) {
+          break;
+        }
+        records.push(item[1].name);
+      }
+      return records.join();
+    };
+
+    const memory = File.construct(':memory:');
+    const stream = new Stream(new Cache(memory));
+    stream.writeOneSync(new User({ name: 'John', age: 10 }));
+    const committed = memory.buffer.byteLength;
+    stream.writeManySync([new User({ name: 'Jane', age: 20 }), new User({ name: 'Sarah', age: 30 })]);
+    strictEqual(names(new Stream(new Cache(memory))), 'John,Jane,Sarah');
+    const bytes = memory.buffer.slice();
+
+    // A crash after the first record of the batch
+    const torn = File.construct(':memory:');
+    torn.writeSync(bytes.subarray(0, bytes.byteLength - 12));
+    throws(() => new Stream(new Cache(torn), undefined, undefined, null, { strict: true }), error => error.position === committed);
+    const projection = { names: [], match: () => true, handle: record => projection.names.push(record.name) };
+    new Stream(new Cache(torn), projection);
+    strictEqual(projection.names.join(), 'John');
+    strictEqual(torn.buffer.byteLength, committed);
+
+    // A cursor waits for the whole batch
+    const tail = File.construct(':memory:');
+    const reader = new Stream(new Cache(tail));
+    tail.writeSync(bytes.subarray(0, bytes.byteLength - 12));
+    const iterator = reader.createCursor()[Symbol.iterator]();
+    strictEqual(iterator.next().value[1].name, 'John');
+    await new Promise(resolve => setImmediate(resolve));
+    const promise = iterator.next().value;
+    strictEqual(isThenable(promise), true);
+    tail.writeSync(bytes.subarray(bytes.byteLength - 12));
+    await promise;
+    strictEqual(iterator.next().value[1].name, 'Jane');
+    strictEqual(iterator.next().value[1].name, 'Sarah');
+    iterator.return();
+  });
+
+  it('should read a user record named like a control packet as an ordinary record', function() {
+    // The same schemas as the batch marker and the dictionary packet
+    const Batch = Record('Batch', { count: 'Uint32', byteLength: 'Uint32' });
+    const Dictionary = Record('Dictionary', { id: 'Uint32', bytes: 'Bytes' });
+    const toJSON = records => JSON.stringify(records, (key, value) => value instanceof Uint8Array ? Array.from(value) : value);
+    const readAll = cursor => {
+      const records = [];
+      for(const item of cursor) {
+        if(isThenable(item)) {
+          break;
+        }
+        records.push(item[1].toJS());
+      }
+      return toJSON(records);
+    };
+
+    const memory = File.construct(':memory:');
+    const stream = new Stream(new Cache(memory), undefined, undefined, null, { compression: { threshold: 0 } });
+    stream.writeOneSync(new Batch({ count: 3, byteLength: 2**20 }));
+    stream.writeManySync([new Dictionary({ id: 1, bytes: new Uint8Array([1, 2]) }), new Batch({ count: 1, byteLength: 1 })]);
+    stream.useDictionary(new Uint8Array(64).fill(7));
+    stream.writeOneSync(new Dictionary({ id: 2, bytes: new Uint8Array([3]) }));
+    const expected = JSON.stringify([
+      { count: 3, byteLength: 2**20 },
+      { id: 1, bytes: [1, 2] },
+      { count: 1, byteLength: 1 },
+      { id: 2, bytes: [3] },
+    ]);
+
+    const projection = { records: [], match: () => true, handle: record => projection.records.push(record.toJS()) };
+    const reader = new Stream(new Cache(memory), projection, undefined, null, { compression: { threshold: 0 } });
+    strictEqual(toJSON(projection.records), expected);
+    strictEqual(reader.position, memory.buffer.byteLength);
+    strictEqual(readAll(reader.createCursor()), expected);
+    strictEqual(readAll(reader.createCursor(null, null, 'reverse')), JSON.stringify(JSON.parse(expected).toReversed()));
+    strictEqual([...reader.dictionaries.keys()].join(), '1');
+  });
+
+  it('should compress the packets', async function() {
+    const Note = Record('Note', { id: 'Uint32', text: 'Utf8' });
+    const texts = Array.from({ length: 20 }, (_, i) => `note ${i}: ${'a long and repetitive text, '.repeat(10)}`);
+    const readAll = stream => {
+      const records = [];
+      for(const item of stream) {
+        if(isThenable(item)) {
+          break;
+        }
+        records.push(item[1]);
+      }
+      return records;
+    };
+
+    const raw = File.construct(':memory:');
+    new Stream(new Cache(raw)).writeManySync(texts.map((text, id) => new Note({ id, text })));
+    const memory = File.construct(':memory:');
+    const options = { compression: { algorithm: 'deflate', threshold: 64 } };
+    const stream = new Stream(new Cache(memory), undefined, undefined, null, options);
+    stream.writeManySync(texts.map((text, id) => new Note({ id, text })));
+    stream.writeOneSync(new Note({ id: 20, text: 'short' }));
+    strictEqual(memory.buffer.byteLength < raw.buffer.byteLength/2, true);
+
+    // Transparent for the cursors (an uncompressed stream reads it as well)
+    const notes = readAll(new Stream(new Cache(memory)));
+    strictEqual(notes.length, 21);
+    strictEqual(notes.slice(0, 20).every((note, i) => note.text === texts[i]), true);
+    strictEqual(notes[20].text, 'short');
+
+    // A shared dictionary is stored in the stream
+    throws(() => new Stream(new Cache(File.construct(':memory:'))).trainDictionary());
+    const before = memory.buffer.byteLength;
+    stream.writeOneSync(new Note({ id: 21, text: texts[0] }));
+    const withoutDictionary = memory.buffer.byteLength - before;
+    stream.trainDictionary();
+    strictEqual(stream.dictionary.id, 1);
+    const trained = memory.buffer.byteLength;
+    stream.writeOneSync(new Note({ id: 22, text: texts[0] }));
+    strictEqual(memory.buffer.byteLength - trained < withoutDictionary, true);
+
+    // The raw bytes (ex. a binary subscriber) have the dictionary
+    const copy = File.construct(':memory:');
+    stream.copyTo(new Cache(copy));
+    const opened = new Stream(new Cache(copy), undefined, undefined, null, options);
+    strictEqual(opened.dictionary.id, 1);
+    strictEqual(readAll(opened).map(note => note.id).join(), Array.from({ length: 23 }, (_, i) => i).join());
+    strictEqual(readAll(opened).at(-1).text, texts[0]);
+
+    // A compaction keeps the dictionary
+    await opened.compact(new Cache(File.construct(':memory:')), note => note.text);
+    strictEqual(opened.dictionary.id, 1);
+    opened.writeOneSync(new Note({ id: 23, text: 'short' }));
+    strictEqual(readAll(opened).map(note => note.id).join(), '1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,22,23');
+  });
+
+  it('should encrypt the packets', function() {
+    const Customer = Record('Customer', { id: 'Uint32', email: 'Utf8' });
+    const readAll = stream => {
+      const records = [];
+      for(const item of stream) {
+        if(isThenable(item)) {
+          break;
+        }
+        records.push(item[1].email);
+      }
+      return records.join();
+    };
+    const contains = (memory, text) => Buffer.from(memory.buffer).includes(text);
+
+    const keys = new KeyRing({ 1: randomBytes(32) });
+    const memory = File.construct(':memory:');
+    const stream = new Stream(new Cache(memory), undefined, undefined, null, { keyProvider: keys, compression: { threshold: 0 } });
+    stream.writeManySync([new Customer({ id: 1, email: 'john@example.com' }), new Customer({ id: 2, email: 'jane@example.com' })]);
+    keys.rotate(2, randomBytes(32));
+    stream.writeOneSync(new Customer({ id: 3, email: 'sarah@example.com' }));
+    strictEqual(contains(memory, 'example.com'), false);
+    strictEqual(contains(memory, 'Customer'), false);
+    strictEqual(readAll(new Stream(new Cache(memory), undefined, undefined, null, { keyProvider: keys })), 'john@example.com,jane@example.com,sarah@example.com');
+
+    // The old packets need the old key
+    const isDecryptionError = reason => error => error instanceof StreamDecryptionError && error.message.includes(reason);
+    const rotated = new KeyRing({ 2: keys.getKey(2) });
+    throws(() => readAll(new Stream(new Cache(memory), undefined, undefined, null, { keyProvider: rotated })), isDecryptionError('unknown key'));
+    throws(() => readAll(new Stream(new Cache(memory))), isDecryptionError('no key provider'));
+
+    // A changed byte with a valid checksum is not a record
+    const tampered = File.construct(':memory:');
+    tampered.writeSync(memory.buffer);
+    const last = new Stream(new Cache(memory), undefined, undefined, null, { keyProvider: keys }).seekToOrdinal(2);
+    tampered.buffer[tampered.buffer.byteLength - kTrailerByteLength - 1] ^= 1;
+    const packet = tampered.buffer.subarray(last, -kTrailerByteLength);
+    const checksum = crc32c(packet.subarray(Header.BYTES_PER_ELEMENT), crc32c(packet.subarray(0, kChecksumByteOffset)));
+    new DataView(packet.buffer, packet.byteOffset).setUint32(kChecksumByteOffset, checksum, true);
+    const opened = new Stream(new Cache(tampered), undefined, undefined, null, { keyProvider: keys, strict: true });
+    throws(() => readAll(opened), error => isDecryptionError('authentication failed')(error) && error.position === last && error.keyId === 2);
+  });
+
+  it('should compact the stream by key', function() {
+    const Account = Record('Account', { id: 'Uint32', balance: 'Uint32', closed: 'Uint8' });
+    const Note = Record('Note', { text: 'Utf8' });
+    const readAll = stream => {
+      const records = [];
+      for(const item of stream) {
+        if(isThenable(item)) {
+          break;
+        }
+        records.push(item[1]);
+      }
+      return records;
+    };
+    const toString = records => records.map(record => record.constructor === Note ? record.text : `${record.id}=${record.balance}`).join();
+
+    return File.withTmpFile(src => File.withTmpFile(async tmp => {
+      const stream = new Stream(new Cache(File.construct(src, 'a+')));
+      stream.writeManySync([
+        new Note({ text: 'opened' }),
+        new Account({ id: 1, balance: 10 }),
+        new Account({ id: 2, balance: 20 }),
+        new Account({ id: 1, balance: 11 }),
+        new Account({ id: 3, balance: 30 }),
+        new Account({ id: 3, balance: 0, closed: 1 }),
+        new Account({ id: 2, balance: 21 })
+      ]);
+      const before = stream.position;
+
+      // The event loop is free between batches
+      const promise = stream.compact(new Cache(File.construct(tmp, 'a+')), record => record.id, {
+        isTombstone: record => record.closed === 1,
+        batchSize: 1
+      });
+      stream.writeOneSync(new Account({ id: 1, balance: 12 }));
+      strictEqual(JSON.stringify(await promise), JSON.stringify({ read: 8, written: 4 }));
+      strictEqual(stream.position < before, true);
+      strictEqual(existsSync(tmp), false);
+
+      // The compacted file has the schemas and the stream can be appended
+      strictEqual(toString(readAll(new Stream(new Cache(File.construct(src, 'a+'))))), 'opened,1=11,2=21,1=12');
+      stream.writeOneSync(new Account({ id: 4, balance: 40 }));
+      strictEqual(toString(readAll(new Stream(new Cache(File.construct(src, 'a+'))))), 'opened,1=11,2=21,1=12,4=40');
+      strictEqual(readAll(stream).length, 5);
+
+      // The types of the dropped records are written again
+      const memory = new Cache(File.construct(':memory:'));
+      const other = new Stream(memory);
+      other.writeManySync([new Account({ id: 1, balance: 1 }), new Note({ text: 'a' })]);
+      await other.compact(new Cache(File.construct(':memory:')), () => 0);
+      other.writeManySync([new Account({ id: 1, balance: 2 }), new Note({ text: 'b' })]);
+      strictEqual(toString(readAll(new Stream(memory))), 'a,1=2,b');
+    }));
+  });
+
+  it('should end the tailing cursors of a compacted stream', function() {
+    const collect = async iterable => {
+      const result = [];
+      for await (const item of iterable) {
+        result.push(item[1]?.name ?? item.byteLength);
+      }
+      return result.join();
+    };
+
+    return File.withTmpFile(src => File.withTmpFile(async tmp => {
+      const stream = new Stream(new Cache(File.construct(src, 'a+')));
+      stream.writeManySync([new User({ name: 'John', age: 1 }), new User({ name: 'John', age: 2 })]);
+      const signal = AbortSignal.timeout(2000);
+      const cursor = collect(stream.createCursor(stream.position, signal));
+      const subscriber = collect(stream.createBinarySubscriber(signal, stream.position));
+      await stream.compact(new Cache(File.construct(tmp, 'a+')), record => record.name);
+
+      // Their positions belong to the old file
+      strictEqual(await cursor, '');
+      strictEqual(await subscriber, '');
+      strictEqual(signal.aborted, false);
+
+      // The new file is watched
+      const next = collect(stream.createCursor(stream.position, signal).take(1));
+      stream.writeOneSync(new User({ name: 'Jane', age: 3 }));
+      strictEqual(await next, 'Jane');
+      strictEqual(signal.aborted, false);
+    }));
+  });
+
+  it('should support async iteration', async function() {
+    const stream = new Stream(new Cache(File.construct(':memory:')));
+    const names = ['John', 'Jane', 'Sarah', 'Bob'];
+    names.forEach((name, age) => stream.writeOneSync(new User({ name, age })));
+    const collect = async cursor => {
+      const result = [];
+      for await (const [, record] of cursor) {
+        result.push(record.name);
+      }
+      return result.join();
+    };
+    strictEqual(await collect(stream.createCursor().skip(1).take(2)), 'Jane,Sarah');
+    strictEqual(await collect(stream.createCursor().filter((Type, initial) => kFileHeaderByteLength < initial).until(stream.position)), 'Jane,Sarah,Bob');
+    strictEqual(await collect(stream.createCursor().take(0)), '');
+
+    // Awaits new data until the signal is aborted
+    const controller = new AbortController();
+    const received = [];
+    const done = (async () => {
+      for await (const [, record] of stream.createCursor(stream.position, controller.signal)) {
+        received.push(record.name);
+        if(received.length === 2) {
+          controller.abort();
+        }
+      }
+    })();
+    const chunks = [];
+    const copied = (async () => {
+      for await (const chunk of stream.createBinarySubscriber(controller.signal, stream.position)) {
+        chunks.push(chunk.byteLength);
+      }
+    })();
+    stream.writeOneSync(new User({ name: 'Alice', age: 4 }));
+    await new Promise(resolve => setImmediate(resolve));
+    stream.writeOneSync(new User({ name: 'Eve', age: 5 }));
+    await done;
+    await copied;
+    strictEqual(received.join(), 'Alice,Eve');
+    strictEqual(0 < chunks.length, true);
+
+    // The binary subscriber is a generator as well
+    const subscriber = stream.createBinarySubscriber();
+    const first = subscriber.next();
+    strictEqual(first.done, false);
+    strictEqual(first.value.byteLength, stream.position);
+    strictEqual(isThenable(subscriber.next().value), true);
+    strictEqual(subscriber.return().done, true);
+    strictEqual(subscriber.next().done, true);
+
+    // Aborting ends a waiting cursor
+    const other = new AbortController();
+    const waiting = collect(stream.createCursor(stream.position, other.signal));
+    await new Promise(resolve => setImmediate(resolve));
+    other.abort();
+    strictEqual(await waiting, '');
+
+    // Aborting ends a cursor waiting for the rest of a packet (the schema or the body)
+    const file = File.construct(':memory:');
+    new Stream(new Cache(file)).writeOneSync(new User({ name: 'Torn', age: 1 }));
+    for(const byteLength of [kFileHeaderByteLength + Header.BYTES_PER_ELEMENT + 2, file.buffer.byteLength - 1]) {
+      const torn = new Stream(new Cache(File.construct(':memory:')));
+      torn.native.writeSync(file.buffer.slice(0, byteLength));
+      const controller = new AbortController();
+      const waiting = collect(torn.createCursor(0, controller.signal));
+      await new Promise(resolve => setImmediate(resolve));
+      controller.abort();
+      strictEqual(await waiting, '');
+    }
+  });
+
+  it('should read the stream backwards', function() {
+    const Order = Record('Order', { id: 'Uint32', user: 'Utf8' });
+    const readAll = cursor => {
+      const items = [];
+      for(const item of cursor) {
+        if(isThenable(item)) {
+          break;
+        }
+        const [initial, record, position] = item;
+        items.push([initial, record.name ?? record.id, position]);
+      }
+      return items;
+    };
+
+    const memory = File.construct(':memory:');
+    const reader = new Stream(new Cache(memory));
+    const stream = new Stream(new Cache(memory));
+    stream.writeOneSync(new User({ name: 'John', age: 10 }));
+    stream.writeManySync([new Order({ id: 1, user: 'John' }), new User({ name: 'Jane', age: 20 })]);
+    stream.writeOneSync(new Order({ id: 2, user: 'Jane' }));
+    stream.writeOneSync(new Order({ id: 3, user: 'John' }));
+
+    // The same records and positions as a forward cursor
+    const forward = readAll(stream.createCursor());
+    strictEqual(JSON.stringify(readAll(stream.createCursor(null, null, 'reverse'))), JSON.stringify(forward.toReversed()));
+    strictEqual(readAll(stream.createCursor(null, null, 'reverse').filter(Type => Type === Order).take(2)).map(([, id]) => id).join(), '3,2');
+    strictEqual(readAll(stream.createCursor(forward[3][0], null, 'reverse').skip(1)).map(([, value]) => value).join(), '1,John');
+    strictEqual(readAll(stream.createCursor(null, null, 'reverse').until(forward[2][0])).length, 3);
+
+    // The schemas written before the position are scanned once
+    strictEqual(reader.registry.size, 0);
+    strictEqual(readAll(reader.createCursor(memory.buffer.byteLength, null, 'reverse').take(1))[0][1], 3);
+    throws(() => stream.createCursor(0, null, 'sideways'));
+
+    // A trailer must match its packet
+    const opened = new Stream(new Cache(memory));
+    memory.buffer[memory.buffer.byteLength - 1] ^= 1;
+    throws(() => readAll(opened.createCursor(null, null, 'reverse')), error => error instanceof StreamCorruptionError && error.message.includes('trailer mismatch'));
+    strictEqual(readAll(new Stream(new Cache(memory)).createCursor()).length, 4);
+
+    // A scan stops at the first unknown schema (the packets after it are not read)
+    const notes = File.construct(':memory:');
+    const writer = new Stream(new Cache(notes));
+    const unknown = new Stream(new Cache(notes));
+    [1, 2, 3, 4].forEach(id => writer.writeOneSync(new Order({ id, user: 'John' })));
+    const [, second] = readAll(writer.createCursor());
+    notes.buffer[second[0]] ^= 1;
+    strictEqual(readAll(unknown.createCursor(notes.buffer.byteLength, null, 'reverse').take(1))[0][1], 4);
+  });
+
+  it('should read an encrypted and compressed stream backwards', function() {
+    const Note = Record('Note', { id: 'Uint32', text: 'Utf8' });
+    const readAll = cursor => {
+      const items = [];
+      for(const item of cursor) {
+        if(isThenable(item)) {
+          break;
+        }
+        const [initial, note, position] = item;
+        items.push([initial, note.id, note.text, position]);
+      }
+      return items;
+    };
+
+    const keys = new KeyRing({ 1: randomBytes(32) });
+    const options = { keyProvider: keys, compression: { algorithm: 'deflate', threshold: 0 } };
+    const memory = File.construct(':memory:');
+    const reader = new Stream(new Cache(memory), undefined, undefined, null, options);
+    const locked = new Stream(new Cache(memory));
+    const stream = new Stream(new Cache(memory), undefined, undefined, null, options);
+    const text = id => `note ${id}: ${'a long and repetitive text, '.repeat(4)}`;
+    stream.writeManySync(Array.from({ length: 10 }, (_, id) => new Note({ id, text: text(id) })));
+    stream.trainDictionary();
+    keys.rotate(2, randomBytes(32));
+    stream.writeManySync(Array.from({ length: 10 }, (_, id) => new Note({ id: 10 + id, text: text(10 + id) })));
+    strictEqual(Buffer.from(memory.buffer).includes('repetitive'), false);
+
+    // The schema and the dictionary are scanned by a reader that has not seen them
+    const forward = readAll(stream.createCursor());
+    strictEqual(forward.length, 20);
+    strictEqual(reader.dictionaries.size, 0);
+    strictEqual(JSON.stringify(readAll(reader.createCursor(memory.buffer.byteLength, null, 'reverse'))), JSON.stringify(forward.toReversed()));
+    strictEqual(reader.dictionaries.size, 1);
+    strictEqual(readAll(reader.createCursor(memory.buffer.byteLength, null, 'reverse').skip(2).take(2)).map(([, id]) => id).join(), '17,16');
+
+    // The packets are authenticated as with a forward cursor
+    throws(() => readAll(locked.createCursor(memory.buffer.byteLength, null, 'reverse')), error => error instanceof StreamDecryptionError && error.message.includes('no key provider'));
+  });
+
   it('should be able to copy the stream efficiently', function() {
     this.timeout(2000000);
 
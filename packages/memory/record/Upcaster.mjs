@@ -0,0 +1,288 @@
+/**
+ * Upgrades records written with an older schema to the current one.
+ *
+ * A stream keeps the schema every record was written with, so once a
+ * Record definition evolves, reading it back gives us every historical
+ * version. Migrations are registered between two Record types (versions)
+ * and chained, so a reader only ever sees the latest version.
+ *
+ * A migration supports:
+ *
+ *  - rename: { oldName: 'newName' }
+ *  - drop: ['oldName']
+ *  - defaults: { newName: value } (for added fields)
+ *  - convert: { name: (value, obj) => value } (for anything else)
+ *
+ * Numeric fields may change width (ex. Uint8 -> Uint32, Int32 -> BigInt64,
+ * but never Float64 -> Int32), values that do not fit the new type are
+ * reported when upcasting. Every other change is validated when the
+ * migration is registered.
+ */
+import { integerRanges } from '../Record.mjs';
+import getSchemaType from './stream/getSchemaType.mjs';
+import withCache from '@staabler/core/withCache.mjs';
+import isNullish from '@staabler/core/isNullish.mjs';
+import SchemaMigrationError from './upcaster/SchemaMigrationError.mjs';
+
+/**
+ * The floating point types (not range checked).
+ * @type {Array<string>}
+ */
+const floatTypes = ['Float8', 'Float16', 'Float32', 'Float64'];
+
+/**
+ * Gets the type of a Record (hash of its schema).
+ *
+ * @param {Function} Type - The Record type
+ * @returns {bigint} The schema type
+ */
+const getType = Type => getSchemaType(Type.schema);
+
+/**
+ * Gets the fields of a Record type from its schema.
+ *
+ * @param {Function} Type - The Record type
+ * @returns {Map} Field name to { identifier, length, optional }
+ */
+const getFields = withCache(new WeakMap(), Type => {
+  const [, schema] = Type.schema;
+  const entries = Array.isArray(schema) ? schema : Object.entries(schema);
+  return new Map(entries.map(([key, identifier, length = 1]) => {
+    const optional = key.endsWith('?');
+    const name = optional ? key.slice(0, -1) : key;
+    return [name, { identifier, length, optional }];
+  }));
+});
+
+/**
+ * Gets the numeric element type of a field (undefined if not numeric).
+ *
+ * @param {Object} field - Field definition
+ * @returns {string|undefined} The numeric type name
+ */
+function getNumericType({ identifier }) {
+  const variadic = Array.isArray(identifier) && identifier.length === 1;
+  const name = variadic ? identifier[0] : identifier;
+  return (Object.hasOwn(integerRanges, name) || floatTypes.includes(name)) ? name : undefined;
+}
+
+/**
+ * Checks if a field only changed numeric width. A float never becomes an
+ * integer (the fraction would be truncated silently).
+ *
+ * @param {Object} from - Source field definition
+ * @param {Object} to - Target field definition
+ * @returns {boolean} True if both are numeric with the same shape
+ */
+function isWidthChange(from, to) {
+  const fromType = getNumericType(from);
+  const toType = getNumericType(to);
+  return !!fromType && !!toType &&
+    !(floatTypes.includes(fromType) && Object.hasOwn(integerRanges, toType)) &&
+    from.length === to.length &&
+    Array.isArray(from.identifier) === Array.isArray(to.identifier);
+}
+
+/**
+ * Creates a function converting a numeric value (or array of values) to a numeric type.
+ *
+ * @param {string} name - The field name (for error reporting)
+ * @param {string} numericType - The target numeric type name
+ * @param {bigint} from - Source schema type
+ * @param {bigint} to - Target schema type
+ * @returns {Function} The conversion function
+ */
+function createNumericConversion(name, numericType, from, to) {
+  const range = integerRanges[numericType];
+  const isBigInt = typeof range?.[0] === 'bigint';
+  const convert = value => {
+    if(isNullish(value)) {
+      return value;
+    }
+    const result = isBigInt ? BigInt(value) : Number(value);
+    if(range && (result < range[0] || range[1] < result)) {
+      throw new SchemaMigrationError(`Value of "${name}" does not fit ${numericType} (value=${value})`, from, to);
+    }
+    return result;
+  };
+  return value => (typeof value === 'object' && value !== null) ? Array.from(value, convert) : convert(value);
+}
+
+/**
+ * Creates a migration between two Record types.
+ *
+ * @param {Function} From - The old Record type
+ * @param {Function} To - The new Record type
+ * @param {Object} [options={}] - Migration { rename, drop, defaults, convert }
+ * @returns {Function} Converts a From instance to a To instance
+ * @throws {SchemaMigrationError} If the change is incompatible
+ */
+function createMigration(From, To, { rename = {}, drop = [], defaults = {}, convert = {} } = {}) {
+  const from = getType(From);
+  const to = getType(To);
+  const fromFields = getFields(From);
+  const toFields = getFields(To);
+  const sources = new Map();
+
+  fromFields.forEach((field, name) => {
+    if(drop.includes(name)) {
+      return;
+    }
+    const target = rename[name] ?? name;
+    if(!toFields.has(target)) {
+      throw new SchemaMigrationError(`Field "${name}" was removed, it should be dropped or renamed`, from, to);
+    }
+    sources.set(target, name);
+  });
+
+  const transforms = [];
+  toFields.forEach((field, name) => {
+    if(Object.hasOwn(convert, name)) {
+      transforms.push([name, convert[name]]);
+      return;
+    }
+
+    if(!sources.has(name)) {
+      if(!(field.optional || Object.hasOwn(defaults, name))) {
+        throw new SchemaMigrationError(`Field "${name}" was added without a default`, from, to);
+      }
+      return;
+    }
+
+    const source = fromFields.get(sources.get(name));
+    if(JSON.stringify([source.identifier, source.length]) === JSON.stringify([field.identifier, field.length])) {
+      return;
+    }
+    if(!isWidthChange(source, field)) {
+      throw new SchemaMigrationError(`Field "${name}" changed type incompatibly`, from, to);
+    }
+    transforms.push([name, createNumericConversion(name, getNumericType(field), from, to)]);
+  });
+
+  return instance => {
+    const obj = instance.toJS();
+    const next = {};
+    sources.forEach((source, name) => {
+      next[name] = obj[source];
+    });
+    for(const name in defaults) {
+      if(!sources.has(name)) {
+        next[name] = defaults[name];
+      }
+    }
+    for(const [name, cb] of transforms) {
+      next[name] = cb(next[name], obj);
+    }
+    return new To(next);
+  };
+}
+
+/**
+ * A registry of migrations between Record versions.
+ */
+export default class Upcaster {
+
+  /**
+   * Creates a new Upcaster instance.
+   */
+  constructor() {
+    this.migrations = new Map(); // [type, [To, migrate]]
+    this.current = new Map(); // [name, Type]
+    this.cache = new Map(); // [Type, [Current, migrations]]
+  }
+
+  /**
+   * Registers a migration from one Record version to the next.
+   * The end of the chain of migrations is the current version of a record
+   * name (the migrations may be registered in any order).
+   *
+   * @param {Function} From - The old Record type
+   * @param {Function} To - The new Record type
+   * @param {Object} [options={}] - Migration { rename, drop, defaults, convert }
+   * @returns {Upcaster} Returns this upcaster for chaining
+   * @throws {SchemaMigrationError} If the change is incompatible
+   */
+  register(From, To, options = {}) {
+    const from = getType(From);
+    const to = getType(To);
+    if(from === to) {
+      throw new SchemaMigrationError('Cannot migrate a record to itself', from, to);
+    }
+    if(this.migrations.has(from)) {
+      throw new SchemaMigrationError('Migration already registered', from, to);
+    }
+    this.migrations.set(from, [To, createMigration(From, To, options)]);
+    let Current = To;
+    const visited = new Set();
+    while(this.migrations.has(getType(Current)) && !visited.has(Current)) {
+      visited.add(Current);
+      Current = this.migrations.get(getType(Current))[0];
+    }
+    this.current.set(Current.schema[0], Current);
+    this.cache.clear();
+    return this;
+  }
+
+  /**
+   * Resolves the current version of a Record type and the migrations to it.
+   *
+   * @param {Function} Type - A Record type (any version)
+   * @returns {Array} [Current, migrations]
+   * @throws {SchemaMigrationError} If the Type cannot be migrated to the current version
+   */
+  resolve(Type) {
+    const cached = this.cache.get(Type);
+    if(cached) {
+      return cached;
+    }
+
+    const steps = [];
+    const visited = new Set();
+    let Current = Type;
+    let migration = this.migrations.get(getType(Current));
+    while(migration && !visited.has(Current)) {
+      visited.add(Current);
+      const [To, migrate] = migration;
+      steps.push(migrate);
+      Current = To;
+      migration = this.migrations.get(getType(Current));
+    }
+
+    // The current version may be another class of the same schema (ex.
+    // declared with options that are not in the schema, like strict)
+    const Latest = this.current.get(Current.schema[0]);
+    if(Latest && getType(Latest) !== getType(Current)) {
+      throw new SchemaMigrationError(`No migration registered for "${Current.schema[0]}"`, getType(Type), getType(Latest));
+    }
+
+    const result = [Latest ?? Current, steps];
+    this.cache.set(Type, result);
+    return result;
+  }
+
+  /**
+   * Gets the current version of a Record type.
+   *
+   * @param {Function} Type - A Record type (any version)
+   * @returns {Function} The current Record type
+   * @throws {SchemaMigrationError} If the Type cannot be migrated to the current version
+   */
+  getType(Type) {
+    return this.resolve(Type)[0];
+  }
+
+  /**
+   * Converts a record to the current version of its type.
+   *
+   * @param {Object} record - A record instance (any version)
+   * @returns {Object} The record itself if current, otherwise a new record (a copy-on-write view for another class of the current schema)
+   * @throws {SchemaMigrationError} If the record cannot be migrated
+   */
+  upcast(record) {
+    const [Current, steps] = this.resolve(record.constructor);
+    const upcasted = steps.reduce((record, migrate) => migrate(record), record);
+    // A record of the same schema is viewed as the current class (its buffer is not copied until written)
+    return upcasted.constructor === Current ? upcasted : Current.copyOnWrite(upcasted.buffer);
+  }
+
+};
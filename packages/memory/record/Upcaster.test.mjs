@@ -0,0 +1,199 @@
+import Stream from './Stream.mjs';
+import Record from '../Record.mjs';
+import Encoder from './Encoder.mjs';
+import Decoder from './Decoder.mjs';
+import Upcaster from './Upcaster.mjs';
+import { strictEqual, throws } from 'node:assert';
+import File from '@staabler/filesystem/File.mjs';
+import isThenable from '@staabler/core/isThenable.mjs';
+import Cache from '@staabler/filesystem/file/Cache.mjs';
+import getSchemaType from './stream/getSchemaType.mjs';
+import getPackageName from '@staabler/core/getPackageName.mjs';
+import SchemaMigrationError from './upcaster/SchemaMigrationError.mjs';
+
+describe(getPackageName(import.meta.url), function() {
+
+  const UserV1 = Record('User', { name: 'Utf8', age: 'Uint8', legacy: 'Uint32' });
+  const UserV2 = Record('User', { fullName: 'Utf8', age: 'Uint16', email: 'Utf8' });
+  const UserV3 = Record('User', { fullName: 'Utf8', age: 'BigUint64', email: 'Utf8', 'nickname?': 'Utf8' });
+
+  const createUpcaster = () => new Upcaster()
+    .register(UserV1, UserV2, {
+      rename: { name: 'fullName' },
+      drop: ['legacy'],
+      defaults: { email: 'unknown' }
+    })
+    .register(UserV2, UserV3);
+
+  it('should support basic usage', function() {
+    const upcaster = createUpcaster();
+    strictEqual(upcaster.getType(UserV1), UserV3);
+    strictEqual(upcaster.getType(UserV2), UserV3);
+    strictEqual(upcaster.getType(UserV3), UserV3);
+
+    const user = upcaster.upcast(new UserV1({ name: 'John', age: 10, legacy: 1 }));
+    strictEqual(user.constructor, UserV3);
+    strictEqual(user.fullName, 'John');
+    strictEqual(user.age, 10n);
+    strictEqual(user.email, 'unknown');
+    strictEqual(user.nickname, null);
+
+    // Current records are left as is
+    const current = new UserV3({ fullName: 'Jane' });
+    strictEqual(upcaster.upcast(current), current);
+
+    // Other records are left as is
+    const Other = Record('Other', { id: 'Uint8' });
+    strictEqual(upcaster.getType(Other), Other);
+  });
+
+  it('should support migrations registered in any order', function() {
+    const upcaster = new Upcaster()
+      .register(UserV2, UserV3)
+      .register(UserV1, UserV2, {
+        rename: { name: 'fullName' },
+        drop: ['legacy'],
+        defaults: { email: 'unknown' }
+      });
+    strictEqual(upcaster.getType(UserV1), UserV3);
+    strictEqual(upcaster.getType(UserV2), UserV3);
+    const user = upcaster.upcast(new UserV1({ name: 'John', age: 10, legacy: 1 }));
+    strictEqual(user.constructor, UserV3);
+    strictEqual(user.age, 10n);
+  });
+
+  it('should support conversions', function() {
+    const Point = Record('Point', { x: 'Float64', y: 'Float64' });
+    const Polar = Record('Point', { r: 'Float64', theta: 'Float64' });
+    const upcaster = new Upcaster().register(Point, Polar, {
+      drop: ['x', 'y'],
+      convert: {
+        r: (value, { x, y }) => Math.hypot(x, y),
+        theta: (value, { x, y }) => Math.atan2(y, x)
+      }
+    });
+    const polar = upcaster.upcast(new Point({ x: 3, y: 4 }));
+    strictEqual(polar.r, 5);
+    strictEqual(polar.theta, Math.atan2(4, 3));
+  });
+
+  it('should report incompatible changes', function() {
+    const from = getSchemaType(UserV1.schema);
+    const to = getSchemaType(UserV2.schema);
+    const assertError = (cb, reason) => throws(cb, error => {
+      strictEqual(error instanceof SchemaMigrationError, true);
+      strictEqual(error.from, from);
+      strictEqual(error.to, to);
+      strictEqual(error.message, `${reason} (from=${from}, to=${to})`);
+      return true;
+    });
+
+    assertError(() => new Upcaster().register(UserV1, UserV2, {
+      rename: { name: 'fullName' },
+      defaults: { email: '' }
+    }), 'Field "legacy" was removed, it should be dropped or renamed');
+
+    assertError(() => new Upcaster().register(UserV1, UserV2, {
+      rename: { name: 'fullName' },
+      drop: ['legacy']
+    }), 'Field "email" was added without a default');
+
+    assertError(() => new Upcaster().register(UserV1, UserV2, {
+      rename: { name: 'fullName', legacy: 'email' }
+    }), 'Field "email" changed type incompatibly');
+
+    // Values that do not fit a narrower type
+    const Wide = Record('Counter', { value: 'Uint32' });
+    const Narrow = Record('Counter', { value: 'Uint8' });
+    const upcaster = new Upcaster().register(Wide, Narrow);
+    strictEqual(upcaster.upcast(new Wide({ value: 255 })).value, 255);
+    throws(() => upcaster.upcast(new Wide({ value: 256 })), SchemaMigrationError);
+
+    // A float never becomes an integer
+    const Price = Record('Price', { value: 'Float64' });
+    const Cents = Record('Price', { value: 'Int32' });
+    const BigCents = Record('Price', { value: 'BigInt64' });
+    throws(() => new Upcaster().register(Price, Cents), SchemaMigrationError);
+    throws(() => new Upcaster().register(Price, BigCents), SchemaMigrationError);
+    strictEqual(new Upcaster().register(Cents, Price).upcast(new Cents({ value: -5 })).value, -5);
+
+    // Versions without a migration to the current one
+    const UserV0 = Record('User', { name: 'Utf8' });
+    throws(() => createUpcaster().getType(UserV0), error => {
+      strictEqual(error instanceof SchemaMigrationError, true);
+      strictEqual(error.from, getSchemaType(UserV0.schema));
+      strictEqual(error.to, getSchemaType(UserV3.schema));
+      return true;
+    });
+  });
+
+  it('should upcast records read from a stream', function() {
+    const file = new Cache(File.construct(':memory:'));
+    new Stream(file)
+      .writeOneSync(new UserV1({ name: 'John', age: 10 }))
+      .writeOneSync(new UserV2({ fullName: 'Jane', age: 300, email: 'jane@example.com' }))
+      .writeOneSync(new UserV3({ fullName: 'Pete', age: 40n, email: 'pete@example.com', nickname: 'P' }));
+
+    const types = [];
+    const handled = [];
+    const projection = {
+      match: Type => types.push(Type) && true,
+      handle: record => handled.push(record.toJS())
+    };
+    const stream = new Stream(file, projection, undefined, createUpcaster());
+    strictEqual(types.every(Type => Type === UserV3), true);
+    strictEqual(JSON.stringify(handled.map(({ fullName, email, nickname }) => [fullName, email, nickname])), JSON.stringify([
+      ['John', 'unknown', null],
+      ['Jane', 'jane@example.com', null],
+      ['Pete', 'pete@example.com', 'P']
+    ]));
+    strictEqual(handled[1].age, 300n);
+
+    const names = [];
+    for(const item of stream.createCursor().map(record => record.fullName)) {
+      if(isThenable(item)) {
+        break;
+      }
+      names.push(item[1]);
+    }
+    strictEqual(names.join(), 'John,Jane,Pete');
+  });
+
+  it('should upcast decoded records', function() {
+    const encoder = new Encoder();
+    const decoder = new Decoder(createUpcaster());
+    const user = decoder.decode(Uint8Array.from(encoder.encode(new UserV1({ name: 'John', age: 10 }))));
+    strictEqual(user.constructor, UserV3);
+    strictEqual(user.fullName, 'John');
+  });
+
+  it('should support a current version declared with options', function() {
+    // A strict record has the schema of a loose one (the stream and the decoder rebuild the loose one)
+    const Strict = Record('User', UserV2.schema[1], { strict: true });
+    const upcaster = new Upcaster().register(UserV1, Strict, { rename: { name: 'fullName' }, drop: ['legacy'], defaults: { email: '' } });
+    strictEqual(upcaster.getType(UserV2), Strict);
+    const user = upcaster.upcast(new UserV2({ fullName: 'Jane', age: 300 }));
+    strictEqual(user.constructor, Strict);
+    strictEqual(user.fullName, 'Jane');
+    throws(() => { user.age = -1; }, /Invalid value/);
+
+    const file = new Cache(File.construct(':memory:'));
+    new Stream(file)
+      .writeOneSync(new UserV1({ name: 'John', age: 10 }))
+      .writeOneSync(new Strict({ fullName: 'Pete', age: 40 }));
+    const users = [];
+    for(const item of new Stream(file, undefined, undefined, upcaster).createCursor()) {
+      if(isThenable(item)) {
+        break;
+      }
+      users.push(item[1]);
+    }
+    strictEqual(users.every(user => user.constructor === Strict), true);
+    strictEqual(users.map(user => user.fullName).join(), 'John,Pete');
+
+    const decoded = new Decoder(upcaster).decode(Uint8Array.from(new Encoder().encode(new Strict({ fullName: 'Ann' }))));
+    strictEqual(decoded.constructor, Strict);
+    strictEqual(decoded.fullName, 'Ann');
+  });
+
+});
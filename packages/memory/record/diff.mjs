@@ -0,0 +1,22 @@
+import Delta from './Delta.mjs';
+import getSchemaType from './stream/getSchemaType.mjs';
+
+/**
+ * Computes the field-level delta between two records of the same type.
+ * Only the changed members are stored (dynamic values included).
+ *
+ * @param {Object} from - The previous record
+ * @param {Object} to - The current record
+ * @returns {Delta} The delta (applied with record/patch)
+ * @throws {Error} If the records do not have the same type
+ */
+export default function diff(from, to) {
+  const Type = from?.constructor;
+  if(!(Type && to?.constructor === Type && typeof Type.diff === 'function')) {
+    throw new Error(`Expected two records of the same type (got=${Type?.name}, ${to?.constructor?.name})`);
+  }
+  return new Delta({
+    type: getSchemaType(Type.schema),
+    changes: Type.diff(from, to)
+  });
+};
@@ -0,0 +1,124 @@
+import diff from './diff.mjs';
+import patch from './patch.mjs';
+import Delta from './Delta.mjs';
+import Stream from './Stream.mjs';
+import Record from '../Record.mjs';
+import Encoder from './Encoder.mjs';
+import Decoder from './Decoder.mjs';
+import { strictEqual, throws } from 'node:assert';
+import File from '@staabler/filesystem/File.mjs';
+import isThenable from '@staabler/core/isThenable.mjs';
+import Cache from '@staabler/filesystem/file/Cache.mjs';
+import getPackageName from '@staabler/core/getPackageName.mjs';
+
+describe(getPackageName(import.meta.url), function() {
+
+  const Address = Record('Address', { zip: 'Uint32', street: 'Utf8' });
+  const User = Record('User', [
+    ['id', 'Uint32'],
+    ['age', 'Uint8'],
+    ['name', 'Utf8'],
+    ['labels', 'Utf8', 2],
+    ['avatar', 'Bytes'],
+    ['scores', ['Uint16']],
+    ['address', Address],
+    ['email?', 'Utf8'],
+    ['score?', 'Float64']
+  ]);
+
+  const createUser = () => new User({
+    id: 1,
+    age: 30,
+    name: 'John',
+    labels: ['a', 'b'],
+    avatar: new Uint8Array([1, 2, 3]),
+    scores: [1, 2],
+    address: { zip: 123, street: 'Main street' },
+    email: 'john@example.com'
+  });
+
+  it('should support basic usage', function() {
+    const from = createUser();
+    const to = createUser();
+    strictEqual(diff(from, to).changes.byteLength, 0);
+
+    to.age = 31;
+    to.name = 'Johnny';
+    to.labels[1] = 'bcd';
+    to.email = null;
+    to.score = 1.5;
+    to.address.street = 'Side street';
+    const delta = diff(from, to);
+    strictEqual(delta.constructor, Delta);
+    strictEqual(delta.changes.byteLength < to.buffer.byteLength, true);
+
+    const record = createUser();
+    strictEqual(patch(record, delta), record);
+    strictEqual(record.equals(to), true);
+    strictEqual(record.age, 31);
+    strictEqual(record.name, 'Johnny');
+    strictEqual(record.labels[0], 'a');
+    strictEqual(record.labels[1], 'bcd');
+    strictEqual(record.email, null);
+    strictEqual(record.score, 1.5);
+    strictEqual(record.address.street, 'Side street');
+    strictEqual(record.avatar.join(), '1,2,3');
+
+    // The reverse delta restores the record
+    patch(record, diff(to, from));
+    strictEqual(record.equals(from), true);
+    strictEqual(record.email, 'john@example.com');
+  });
+
+  it('should only store the changed members', function() {
+    const from = createUser();
+    const to = createUser();
+    to.age = 31;
+    // Member index (1 byte) and the Uint8 value
+    strictEqual(diff(from, to).changes.byteLength, 2);
+
+    to.age = 30;
+    to.avatar = new Uint8Array(100);
+    // Member index, length (1 byte varint) and the bytes
+    strictEqual(diff(from, to).changes.byteLength, 1 + 1 + 100);
+  });
+
+  it('should only apply to the same record type', function() {
+    const Other = Record('Other', { id: 'Uint32' });
+    throws(() => diff(createUser(), new Other()));
+    throws(() => patch(new Other(), diff(createUser(), createUser())));
+    throws(() => patch(createUser(), new Delta({ type: 0n, changes: new Uint8Array(0) })));
+
+    const delta = diff(createUser(), new User({ name: 'A much longer name' }));
+    const truncated = new Delta({ type: delta.type, changes: delta.changes.slice(0, -1) });
+    throws(() => patch(createUser(), truncated));
+  });
+
+  it('should be serializable', function() {
+    const from = createUser();
+    const to = createUser();
+    to.name = 'Jane';
+    to.scores = [3, 4, 5];
+
+    const encoder = new Encoder();
+    const decoder = new Decoder();
+    const decoded = decoder.decode(Uint8Array.from(encoder.encode(diff(from, to))));
+    strictEqual(decoded.constructor, Delta);
+    strictEqual(patch(createUser(), decoded).equals(to), true);
+
+    // A delta is a change entry of a stream
+    const file = new Cache(File.construct(':memory:'));
+    new Stream(file).writeManySync([from, diff(from, to)]);
+    let record = null;
+    for(const item of new Stream(file)) {
+      if(isThenable(item)) {
+        break;
+      }
+      const [, value] = item;
+      record = value.constructor === Delta ? patch(record, value) : new User(value.buffer.slice());
+    }
+    strictEqual(record.equals(to), true);
+    strictEqual(record.scores.join(), '3,4,5');
+  });
+
+});
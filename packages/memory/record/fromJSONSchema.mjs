@@ -0,0 +1,203 @@
+import Record from '../Record.mjs';
+import UUID from '../types/UUID.mjs';
+import Timestamp from '../types/Timestamp.mjs';
+import BigInt64 from '../types/BigInt64.mjs';
+import BigUint64 from '../types/BigUint64.mjs';
+import Varint from '../types/Varint.mjs';
+import ZigZag from '../types/ZigZag.mjs';
+import isObjectLiteral from '@staabler/core/isObjectLiteral.mjs';
+
+/**
+ * Integer types by preference (the narrowest first).
+ * @type {Array}
+ */
+const integerTypes = [
+  ['Uint8', 0, 2**8 - 1],
+  ['Int8', -(2**7), 2**7 - 1],
+  ['Uint16', 0, 2**16 - 1],
+  ['Int16', -(2**15), 2**15 - 1],
+  ['Uint32', 0, 2**32 - 1],
+  ['Int32', -(2**31), 2**31 - 1],
+  ['Float64', Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER],
+  ['BigUint64', 0, 2**64 - 1],
+  ['BigInt64', -(2**63), 2**63 - 1]
+];
+
+/**
+ * Variable-length integer types (their JSON form is a number or a string).
+ * @type {Array}
+ */
+const varintTypes = [Varint, ZigZag];
+
+/**
+ * Matches the pattern of a Decimal(precision, scale) JSON form.
+ * @type {RegExp}
+ */
+const kDecimalPattern = /^\^-\?\\d\{1,(\d+)\}(?:\\\.\\d\{(\d+)\})?\$$/;
+
+/**
+ * Matches a valid enum value (see types/Enum).
+ * @type {RegExp}
+ */
+const kEnumValuePattern = /^[a-z_][a-z0-9_]*$/;
+
+/**
+ * Throws for a JSON Schema that has no Record equivalent.
+ *
+ * @param {Object} jsonSchema - The JSON Schema
+ * @throws {Error} Always
+ */
+function unsupported(jsonSchema) {
+  throw new Error(`Unsupported JSON Schema (got=${JSON.stringify(jsonSchema)})`);
+}
+
+/**
+ * Removes the null alternative of a nullable JSON Schema.
+ *
+ * @param {Object} jsonSchema - The JSON Schema
+ * @returns {Object} The non-null JSON Schema
+ */
+function unwrapNullable(jsonSchema) {
+  const { anyOf, type } = jsonSchema;
+  if(Array.isArray(anyOf)) {
+    const alternatives = anyOf.filter(obj => obj?.type !== 'null');
+    return alternatives.length === 1 ? alternatives[0] : jsonSchema;
+  }
+  if(Array.isArray(type)) {
+    const types = type.filter(name => name !== 'null');
+    return types.length === 1 ? { ...jsonSchema, type: types[0] } : jsonSchema;
+  }
+  return jsonSchema;
+}
+
+/**
+ * Gets the narrowest integer type of a range.
+ *
+ * @param {Object} jsonSchema - Integer JSON Schema
+ * @returns {string} Type name
+ */
+function getIntegerType({ minimum = -Infinity, maximum = Infinity }) {
+  const found = integerTypes.find(([, min, max]) => min <= minimum && maximum <= max);
+  return found ? found[0] : 'Float64';
+}
+
+/**
+ * Gets the type of a string JSON Schema.
+ *
+ * @param {Object} jsonSchema - String JSON Schema
+ * @returns {string} Type name
+ */
+function getStringType(jsonSchema) {
+  const { pattern, maxLength, maxByteLength, contentEncoding } = jsonSchema;
+  if(Array.isArray(jsonSchema.enum) && jsonSchema.enum.every(value => kEnumValuePattern.test(value))) {
+    return `Enum(${jsonSchema.enum.join(', ')})`;
+  }
+  if(contentEncoding === 'base64') {
+    return maxByteLength ? `Bytes(${maxByteLength})` :
+           maxLength ? `Bytes(${Math.floor(maxLength / 4) * 3})` :
+           'Bytes';
+  }
+  if(pattern && pattern === UUID.toJSONSchema().pattern) {
+    return 'UUID';
+  }
+  if(pattern && pattern === Timestamp.toJSONSchema().pattern) {
+    return 'Timestamp';
+  }
+  if(pattern && pattern === BigInt64.toJSONSchema().pattern) {
+    return 'BigInt64';
+  }
+  if(pattern && pattern === BigUint64.toJSONSchema().pattern) {
+    return 'BigUint64';
+  }
+  const decimal = pattern?.match(kDecimalPattern);
+  if(decimal) {
+    const scale = Number(decimal[2] ?? 0);
+    return `Decimal(${Number(decimal[1]) + scale}, ${scale})`;
+  }
+  // A character is up to 4 bytes (UTF-8)
+  return maxByteLength ? `Utf8(${maxByteLength})` :
+         maxLength ? `Utf8(${4 * maxLength})` :
+         'Utf8';
+}
+
+/**
+ * Checks if an object JSON Schema is the JSON form of Flags.
+ *
+ * @param {Object} jsonSchema - Object JSON Schema
+ * @returns {boolean} True if every property is a boolean flag
+ */
+function isFlags({ properties, required }) {
+  const entries = Object.entries(properties);
+  return !required?.length && 0 < entries.length && entries.length <= 32 &&
+    entries.every(([key, value]) => kEnumValuePattern.test(key) && value?.type === 'boolean' && Object.keys(value).length === 1);
+}
+
+/**
+ * Gets the schema identifier of a JSON Schema.
+ *
+ * @param {Object} jsonSchema - The JSON Schema
+ * @param {Object} options - Record options
+ * @returns {Array} [identifier, length] (length is 0 for a variadic)
+ */
+function toIdentifier(jsonSchema, options) {
+  const obj = unwrapNullable(jsonSchema);
+  const varint = varintTypes.find(Type => JSON.stringify(Type.toJSONSchema()) === JSON.stringify(obj));
+  if(varint) {
+    return [varint.name, 1];
+  }
+  switch(obj.type) {
+    case 'boolean': return ['Boolean', 1];
+    case 'number': return ['Float64', 1];
+    case 'integer': return [getIntegerType(obj), 1];
+    case 'string': return [getStringType(obj), 1];
+    case 'object': {
+      if(!isObjectLiteral(obj.properties)) {
+        unsupported(obj);
+      }
+      return [isFlags(obj) ? `Flags(${Object.keys(obj.properties).join(', ')})` : fromJSONSchema(obj, options), 1];
+    }
+    case 'array': {
+      if(!isObjectLiteral(obj.items)) {
+        unsupported(obj);
+      }
+      const [identifier, length] = toIdentifier(obj.items, options);
+      if(length !== 1) {
+        unsupported(obj);
+      }
+      return [identifier, obj.maxItems ?? 0];
+    }
+  }
+  unsupported(obj);
+}
+
+/**
+ * Creates a Record class from a JSON Schema (the reverse of Type.toJSONSchema()).
+ *
+ * Each property becomes a member (optional if it is not required) with the
+ * narrowest type satisfying its constraints: integer ranges map to the
+ * integer types, strings to Utf8 (Utf8(N) with a maxByteLength, or 4 bytes
+ * per character with a maxLength), enums to Enum, objects to nested records
+ * (or Flags if every property is a boolean), arrays to fixed length (with a
+ * maxItems) or variadic members. The JSON
+ * forms of the other types (UUID, Timestamp, Decimal, Bytes, the bigints and
+ * the variable-length integers) are recognized.
+ *
+ * @param {Object} jsonSchema - An object JSON Schema (the title is the record name)
+ * @param {Object} [options={}] - Record options
+ * @returns {Function} Record class
+ * @throws {Error} If the JSON Schema has no Record equivalent
+ */
+export default function fromJSONSchema(jsonSchema, options = {}) {
+  if(!(jsonSchema?.type === 'object' && isObjectLiteral(jsonSchema.properties))) {
+    unsupported(jsonSchema);
+  }
+  const { title, properties, required = [] } = jsonSchema;
+  const entries = Object.entries(properties).map(([key, value]) => {
+    const [identifier, length] = toIdentifier(value, options);
+    const name = required.includes(key) ? key : `${key}?`;
+    return length ? [name, identifier, length] : [name, [identifier]];
+  });
+  return typeof title === 'string' && /^[A-Za-z_$][\w$]*$/.test(title) ?
+    Record(title, entries, options) :
+    Record(entries, options);
+}
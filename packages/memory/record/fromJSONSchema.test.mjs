@@ -0,0 +1,102 @@
+import Record from '../Record.mjs';
+import fromJSONSchema from './fromJSONSchema.mjs';
+import { strictEqual, throws } from 'node:assert';
+import getPackageName from '@staabler/core/getPackageName.mjs';
+
+describe(getPackageName(import.meta.url), function() {
+
+  const Address = Record('Address', { zip: 'Uint32', street: 'Utf8(32)' });
+  const Order = Record('Order', [
+    ['id', 'UUID'],
+    ['at', 'Timestamp'],
+    ['amount', 'Decimal(10, 2)'],
+    ['status', 'Enum(open, paid, shipped)'],
+    ['options', 'Flags(gift, express)'],
+    ['quantity', 'Int16'],
+    ['total', 'BigInt64'],
+    ['paid', 'Boolean'],
+    ['sizes', 'Uint8', 3],
+    ['scores', ['Int32']],
+    ['address', Address],
+    ['note?', 'Utf8']
+  ]);
+
+  it('should describe the JSON form of a record', function() {
+    const jsonSchema = Order.toJSONSchema();
+    strictEqual(jsonSchema.title, 'Order');
+    strictEqual(jsonSchema.additionalProperties, false);
+    strictEqual(jsonSchema.required.includes('note'), false);
+    strictEqual(JSON.stringify(jsonSchema.properties.quantity), JSON.stringify({ type: 'integer', minimum: -32768, maximum: 32767 }));
+    strictEqual(JSON.stringify(jsonSchema.properties.sizes), JSON.stringify({ type: 'array', items: { type: 'integer', minimum: 0, maximum: 255 }, maxItems: 3 }));
+    strictEqual(JSON.stringify(jsonSchema.properties.address.properties.street), JSON.stringify({ type: 'string', maxLength: 32, maxByteLength: 32 }));
+    strictEqual(JSON.stringify(jsonSchema.properties.total), JSON.stringify({ type: 'string', pattern: '^-?\\d+$' }));
+    strictEqual(JSON.stringify(jsonSchema.properties.note), JSON.stringify({ anyOf: [{ type: 'string' }, { type: 'null' }] }));
+
+    const order = new Order({ id: '0f8fad5b-d9cb-469f-a165-70867728950e', at: 0, amount: '1.5', total: -2n, sizes: [1, 2, 3], address: { zip: 1, street: 'Main' } });
+    const json = order.toJSON();
+    strictEqual(json.total, '-2');
+    strictEqual(json.at, '1970-01-01T00:00:00.000Z');
+    strictEqual(json.amount, '1.50');
+    strictEqual(json.note, null);
+    strictEqual(json.address.street, 'Main');
+    strictEqual(JSON.stringify(json.sizes), '[1,2,3]');
+
+    // The JSON form can be assigned back
+    strictEqual(new Order(JSON.parse(JSON.stringify(order))).equals(order), true);
+
+    // Bigints are decimal strings (a JSON number is only exact up to 2^53)
+    const Counter = Record('Counter', { count: 'BigUint64', delta: 'ZigZag', total: 'Varint' });
+    const counter = new Counter({ count: 2n**64n - 1n, delta: -(2n**63n), total: 1 });
+    strictEqual(JSON.stringify(counter), JSON.stringify({ count: '18446744073709551615', delta: '-9223372036854775808', total: 1 }));
+    strictEqual(new Counter(JSON.parse(JSON.stringify(counter))).equals(counter), true);
+    strictEqual(fromJSONSchema(Counter.toJSONSchema()), Counter);
+
+    // Bytes are base64 strings
+    const Blob = Record({ data: 'Bytes', 'hash?': 'Bytes(3)' });
+    strictEqual(JSON.stringify(new Blob({ data: new Uint8Array([1, 2, 3]) })), JSON.stringify({ hash: null, data: 'AQID' }));
+    strictEqual(JSON.stringify(Blob.toJSONSchema().properties.data), JSON.stringify({ type: 'string', contentEncoding: 'base64' }));
+    strictEqual(fromJSONSchema(Blob.toJSONSchema()), Blob);
+
+    // They can be assigned back
+    const blob = new Blob({ data: 'AQID', hash: 'BAU=' });
+    strictEqual(Array.from(blob.data).join(), '1,2,3');
+    strictEqual(Array.from(blob.hash).join(), '4,5');
+    strictEqual(new Blob(JSON.parse(JSON.stringify(blob))).equals(blob), true);
+    throws(() => new Blob({ data: 'not base64' }), TypeError);
+    throws(() => new Blob({ hash: 'AQIDBA==' }), /exceeds the capacity of Bytes\(3\) \(got=4 bytes\)/);
+
+    // The capacity is not rounded to a multiple of 3
+    const Hash = Record({ hash: 'Bytes(4)' });
+    strictEqual(JSON.stringify(Hash.toJSONSchema().properties.hash), JSON.stringify({ type: 'string', contentEncoding: 'base64', maxLength: 8, maxByteLength: 4 }));
+    strictEqual(fromJSONSchema(Hash.toJSONSchema()), Hash);
+  });
+
+  it('should create a record from a JSON Schema', function() {
+    strictEqual(fromJSONSchema(Order.toJSONSchema()), Order);
+    strictEqual(fromJSONSchema(JSON.parse(JSON.stringify(Address.toJSONSchema()))), Address);
+
+    const Type = fromJSONSchema({
+      type: 'object',
+      properties: {
+        count: { type: 'integer', minimum: 0, maximum: 1000 },
+        ratio: { type: 'number' },
+        big: { type: 'integer' },
+        label: { type: ['string', 'null'] },
+        tags: { type: 'array', items: { type: 'string', maxLength: 8 }, maxItems: 2 }
+      },
+      required: ['count', 'ratio', 'big', 'tags']
+    });
+    strictEqual(JSON.stringify(Type.schema), JSON.stringify(['Record', [
+      ['count', 'Uint16'],
+      ['ratio', 'Float64'],
+      ['big', 'Float64'],
+      ['tags', 'Utf8(32)', 2],
+      ['label?', 'Utf8']
+    ]]));
+
+    throws(() => fromJSONSchema({ type: 'string' }));
+    throws(() => fromJSONSchema({ type: 'object', properties: { any: {} } }));
+    throws(() => fromJSONSchema({ type: 'object', properties: { list: { type: 'array' } } }));
+  });
+
+});
@@ -0,0 +1,390 @@
+import Record from '../Record.mjs';
+import FlatList from '../FlatList.mjs';
+import FlatSet from '../FlatSet.mjs';
+import setBit from '../setBit.mjs';
+
+/**
+ * The typed arrays returned by the records.
+ * @type {string[]}
+ */
+const typedArrays = [
+  'Int8Array', 'Int16Array', 'Int32Array',
+  'Uint8Array', 'Uint16Array', 'Uint32Array',
+  'BigInt64Array', 'BigUint64Array',
+  'Float32Array', 'Float64Array'
+];
+
+/**
+ * TypeScript type of a timestamp (see types/Timestamp).
+ * @type {string}
+ */
+const timestampType = globalThis.Temporal ? 'Temporal.Instant' : 'Date';
+
+/**
+ * Declarations of the array-likes of the fixed length arrays that are not
+ * typed arrays (proxies over the record buffer without the array methods,
+ * see Record). Their "array" member is an array copy.
+ * @type {Object}
+ */
+const arrayLikes = {
+  StaticArrayLike: [
+    'interface StaticArrayLike<T> {',
+    '  readonly length: number;',
+    '  readonly byteOffset: number;',
+    '  readonly byteLength: number;',
+    '  readonly BYTES_PER_ELEMENT: number;',
+    '  readonly buffer: Uint8Array;',
+    '  readonly array: T[];',
+    '  [index: number]: T;',
+    '}'
+  ].join('\n'),
+  DynamicArrayLike: [
+    'interface DynamicArrayLike<T> extends Iterable<T> {',
+    '  readonly length: number;',
+    '  readonly buffer: Uint8Array;',
+    '  readonly array: T[];',
+    '  [index: number]: T;',
+    '}'
+  ].join('\n')
+};
+
+/**
+ * TypeScript types of the values of the builtin types ([get, set]).
+ * @type {Object}
+ */
+const valueTypes = {
+  Int8: ['number'], Int16: ['number'], Int32: ['number'],
+  Uint8: ['number'], Uint16: ['number'], Uint32: ['number'],
+  Float8: ['number'], Float16: ['number'], Float32: ['number'], Float64: ['number'],
+  BigInt64: ['bigint', 'bigint | number | string'], BigUint64: ['bigint', 'bigint | number | string'],
+  Utf8: ['string'], Bytes: ['Uint8Array', 'Uint8Array | string'], Boolean: ['boolean'],
+  Timestamp: [timestampType, `${timestampType === 'Date' ? '' : 'Temporal.Instant | '}Date | number | bigint | string`],
+  UUID: ['string', 'string | Uint8Array'],
+  Decimal: ['string', 'string | number | bigint'],
+  Varint: ['number | bigint', 'number | bigint | string'], ZigZag: ['number | bigint', 'number | bigint | string']
+};
+
+/**
+ * Global names used by the declarations (a record can not be declared with them).
+ * @type {string[]}
+ */
+const globalNames = [
+  'Array', 'ArrayLike', 'Partial', 'Iterable', 'IterableIterator', 'Date', 'Temporal',
+  ...typedArrays,
+  ...Object.keys(arrayLikes)
+];
+
+/**
+ * Checks if a value is a Record class (with members).
+ *
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value is a Record class
+ */
+const isRecordType = value => typeof value === 'function' && Array.isArray(value.schema);
+
+/**
+ * Checks if a value is the specialization of a container (FlatList or FlatSet).
+ *
+ * @param {Function} Container - FlatList or FlatSet
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value is Container(value.Type)
+ */
+const isSpecializationOf = (Container, value) => typeof value === 'function' && isRecordType(value.Type) && Container(value.Type) === value;
+
+/**
+ * Wraps a union type in parentheses (ex. before "[]").
+ *
+ * @param {string} type - TypeScript type
+ * @returns {string} The type, in parentheses if it is a union
+ */
+const paren = type => type.includes('|') ? `(${type})` : type;
+
+/**
+ * Converts a schema template (object or entries form) to entries.
+ *
+ * @param {Object|Array} template - Schema template
+ * @returns {Array} Array of [key, identifier, length]
+ */
+const toEntries = template => Array.isArray(template) ? template : Object.entries(template);
+
+/**
+ * Creates a record with every optional member present, its members have the
+ * runtime types of the declarations (ex. a strict or a big-endian record
+ * does not return typed arrays).
+ *
+ * @param {Function} Type - Record class
+ * @returns {Object} A record instance
+ */
+const createProbe = Type => {
+  const probe = new Type();
+  Type.layout.forEach(({ optional, bit }) => {
+    if(optional) {
+      probe.buffer[bit >> 3] = setBit(probe.buffer[bit >> 3], bit & 7, 1);
+    }
+  });
+  return probe;
+};
+
+/**
+ * Generates TypeScript declarations (.d.ts) of the Record classes and of the
+ * FlatList/FlatSet specializations exported by a module.
+ *
+ * Each record is declared as a class with a typed property per member
+ * (accessors if the setter accepts more than the getter returns), its static
+ * members and two interfaces: <Name>JS (the toJS() result) and <Name>Init
+ * (the constructor argument). Nested records that are not exported are
+ * declared too (but not exported). The arrays are declared as an instance
+ * returns them: typed arrays, arrays or array-likes (StaticArrayLike and
+ * DynamicArrayLike, declared if used).
+ *
+ * @param {Object} exports - Module exports (ex. await import('./records.mjs'))
+ * @returns {string} The declarations
+ */
+export default function generateDeclarations(exports) {
+  const names = new Map();
+  const exportNames = new Map();
+  const used = new Set(globalNames);
+  const usedArrayLikes = new Set();
+  const blocks = [];
+
+  /**
+   * Reserves a unique declaration name (and its JS/Init interfaces).
+   *
+   * @param {string} preferred - Preferred name
+   * @returns {string} Unique name
+   */
+  const reserve = preferred => {
+    let name = preferred;
+    for(let i = 2; used.has(name); ++i) {
+      name = `${preferred}${i}`;
+    }
+    used.add(name);
+    used.add(`${name}JS`);
+    used.add(`${name}Init`);
+    return name;
+  };
+
+  /**
+   * Gets the TypeScript types of an element ({ get, set, js }).
+   *
+   * @param {string|Array} identifier - Schema identifier
+   * @returns {Object} TypeScript types
+   */
+  const getElementTypes = identifier => {
+    if(Array.isArray(identifier)) {
+      const name = declare(Record(...identifier));
+      return { get: name, set: `${name} | ${name}Init`, js: `${name}JS` };
+    }
+    const [, typeName, args = ''] = identifier.match(/^(\w+)(?:\((.*)\))?$/);
+    const values = args.split(',').map(arg => arg.trim());
+    if(typeName === 'Enum') {
+      const union = values.map(value => `'${value}'`).join(' | ');
+      return { get: union, set: union, js: union };
+    }
+    if(typeName === 'Flags') {
+      const obj = `{ ${values.map(value => `${value}: boolean;`).join(' ')} }`;
+      return { get: obj, set: `Partial<${obj}> | Array<${values.map(value => `'${value}'`).join(' | ')}>`, js: obj };
+    }
+    const [get, set = get] = valueTypes[typeName] ?? ['unknown'];
+    return { get, set, js: get };
+  };
+
+  /**
+   * Gets the TypeScript type of an array value.
+   *
+   * @param {Object} value - Typed array, array or array-like (proxy)
+   * @param {string} element - TypeScript type of the elements
+   * @returns {string} TypeScript type
+   */
+  const getArrayType = (value, element) => {
+    if(ArrayBuffer.isView(value)) {
+      return value.constructor.name;
+    }
+    if(typeof value.map === 'function') {
+      return `${paren(element)}[]`;
+    }
+    const arrayLike = 'byteLength' in value ? 'StaticArrayLike' : 'DynamicArrayLike';
+    usedArrayLikes.add(arrayLike);
+    return `${arrayLike}<${element}>`;
+  };
+
+  /**
+   * Gets the TypeScript types of a member ({ name, get, set, js }).
+   *
+   * @param {Array} entry - Schema entry [key, identifier, length]
+   * @param {Object} probe - A record with every member present (see createProbe)
+   * @returns {Object} TypeScript types
+   */
+  const getMemberTypes = ([key, identifier, length = 1], probe) => {
+    const optional = key.endsWith('?');
+    const name = optional ? key.slice(0, -1) : key;
+    const variadic = Array.isArray(identifier) && identifier.length === 1;
+    const element = getElementTypes(variadic ? identifier[0] : identifier);
+    const types = { ...element };
+    if(variadic || 1 < length) {
+      const value = probe[name];
+      types.get = getArrayType(value, element.get);
+      types.js = getArrayType(probe.toJS()[name], element.js);
+      // The array-likes are assigned with for...of
+      const isArrayLike = !ArrayBuffer.isView(value) && typeof value.map !== 'function';
+      types.set = `${isArrayLike ? 'Iterable' : 'ArrayLike'}<${element.set}>`;
+    }
+    if(optional) {
+      types.get += ' | null';
+      types.set += ' | null';
+      types.js += ' | null';
+    }
+    return { name, ...types };
+  };
+
+  /**
+   * Declares a Record class (once).
+   *
+   * @param {Function} Type - Record class
+   * @returns {string} The declared name
+   */
+  const declare = Type => {
+    if(names.has(Type)) {
+      return names.get(Type);
+    }
+    const name = exportNames.get(Type) ?? reserve(Type.name);
+    names.set(Type, name);
+
+    const [, template] = Type.schema;
+    const probe = createProbe(Type);
+    const members = toEntries(template).map(entry => getMemberTypes(entry, probe));
+    const lines = [
+      `declare class ${name} {`,
+      `  static readonly schema: ${JSON.stringify(Type.schema)};`,
+      '  static readonly layout: ReadonlyArray<{ readonly name: string; readonly schema: unknown; readonly length: number; readonly optional: boolean; readonly dynamic: boolean; readonly bit: number; readonly byteOffset: number; readonly byteLength: number }>;',
+      '  static readonly MIN_BYTES_PER_ELEMENT: number;',
+      ...(Type.BYTES_PER_ELEMENT ? ['  static readonly BYTES_PER_ELEMENT: number;'] : []),
+      `  static compareBy(...names: string[]): (a: ${name}, b: ${name}) => number;`,
+      `  static validate<T extends ${name}Init>(obj: T): T;`,
+      '  static toJSONSchema(): { [key: string]: unknown };',
+      `  static readOnly(bufferOrArg: Uint8Array | ${name} | ${name}Init): Readonly<${name}>;`,
+      `  static copyOnWrite(bufferOrArg: Uint8Array | ${name} | ${name}Init): ${name};`,
+      `  constructor(bufferOrArg?: Uint8Array | ${name}Init);`,
+      '  buffer: Uint8Array;'
+    ];
+    members.forEach(({ name: member, get, set }) => {
+      if(get === set) {
+        lines.push(`  ${member}: ${get};`);
+      } else {
+        lines.push(`  get ${member}(): ${get};`, `  set ${member}(value: ${set});`);
+      }
+    });
+    lines.push(
+      `  toJS(): ${name}JS;`,
+      '  toJSON(): { [key: string]: unknown };',
+      '  equals(other: unknown): boolean;',
+      '  hashCode(): number;',
+      '}',
+      `interface ${name}JS {`,
+      ...members.map(({ name: member, js }) => `  ${member}: ${js};`),
+      '}',
+      `interface ${name}Init {`,
+      ...members.map(({ name: member, set }) => `  ${member}?: ${set};`),
+      '}'
+    );
+    blocks.push(lines.join('\n'));
+    return name;
+  };
+
+  /**
+   * Declares a FlatList or FlatSet specialization.
+   *
+   * @param {Function} Type - The specialization
+   * @param {string} preferred - Preferred name
+   * @param {boolean} isSet - True for a FlatSet
+   * @returns {string} The declared name
+   */
+  const declareContainer = (Type, preferred, isSet) => {
+    if(names.has(Type)) {
+      return names.get(Type);
+    }
+    const item = declare(Type.Type);
+    const name = reserve(preferred);
+    names.set(Type, name);
+    // The handles of the items are read-only (see FlatList.handle)
+    const handle = `Readonly<${item}>`;
+    const callback = result => `(item: ${handle}, index: number, container: this) => ${result}`;
+    const jsCallback = result => `(item: ${item}JS, index: number, container: this) => ${result}`;
+    const lines = [
+      `declare class ${name} implements Iterable<${item}> {`,
+      `  static readonly Type: typeof ${item};`,
+      '  static readonly BYTES_PER_ELEMENT: number;',
+      '  constructor(buffer?: Uint8Array, allocator?: unknown);',
+      ...(isSet ? [
+        '  readonly size: number;',
+        `  add(obj: ${item} | ${item}Init, cmp?: (a: ${item}, b: ${item}) => number): this;`,
+        `  findIndex(cb: (item: ${handle}) => number): number;`,
+        `  find(cb: (item: ${handle}) => number): ${handle} | undefined;`,
+        `  lower(predicate: (item: ${handle}) => unknown, hint?: number | null): number;`,
+        `  upper(predicate: (item: ${handle}) => unknown, hint?: number | null): number;`,
+        `  range(cb: (item: ${handle}) => number): [number, number] | undefined;`,
+        '  delete(pos?: number): this;'
+      ] : [
+        `  readonly Type: typeof ${item};`,
+        '  buffer: Uint8Array;',
+        '  length: number;',
+        '  resize(len?: number): this;',
+        `  set(index: number, obj: ${item} | ${item}Init): this;`,
+        `  push(...items: Array<${item} | ${item}Init>): this;`,
+        '  pop(): this;',
+        `  unshift(obj: ${item} | ${item}Init): this;`,
+        '  shift(): this;',
+        `  insert(index: number, obj: ${item} | ${item}Init): this;`,
+        '  delete(index: number): this;',
+        '  swap(indexA: number, indexB: number): this;',
+        `  findIndex(cb: ${callback('unknown')}): number;`,
+        `  find(cb: ${callback('unknown')}): ${item} | undefined;`,
+        `  sort(compareFn?: (a: ${item}, b: ${item}) => number): this;`,
+        '  reverse(): this;'
+      ]),
+      '  reserve(len?: number, force?: boolean): this;',
+      '  shrinkToFit(): this;',
+      `  handle(pos?: number): ${handle} | undefined;`,
+      `  at(pos?: number): ${item} | undefined;`,
+      `  entries(): IterableIterator<[number, ${item}]>;`,
+      '  keys(): IterableIterator<number>;',
+      `  values(): IterableIterator<${item}>;`,
+      `  [Symbol.iterator](): IterableIterator<${item}>;`,
+      `  map<U>(cb: ${jsCallback('U')}): U[];`,
+      `  filter(cb: ${jsCallback('unknown')}): ${item}JS[];`,
+      `  forEach(cb: ${callback('void')}): this;`,
+      `  reduce<S>(cb: (state: S, item: ${item}, index: number, container: this) => S, state: S): S;`,
+      `  some(cb: ${callback('unknown')}): boolean;`,
+      `  every(cb: ${callback('unknown')}): boolean;`,
+      `  toJS(): ${item}JS[];`,
+      '}'
+    ];
+    blocks.push(lines.join('\n'));
+    return name;
+  };
+
+  const entries = Object.entries(exports).filter(([, value]) => typeof value === 'function');
+
+  // Exported records are declared with their export name (if possible)
+  entries.forEach(([key, value]) => {
+    if(isRecordType(value) && !exportNames.has(value)) {
+      exportNames.set(value, reserve(key === 'default' ? value.name : key));
+    }
+  });
+
+  const statements = entries.flatMap(([key, value]) => {
+    const name = isRecordType(value) ? declare(value) :
+                 isSpecializationOf(FlatList, value) ? declareContainer(value, key === 'default' ? `${value.Type.name}List` : key, false) :
+                 isSpecializationOf(FlatSet, value) ? declareContainer(value, key === 'default' ? `${value.Type.name}Set` : key, true) :
+                 null;
+    if(!name) {
+      return [];
+    }
+    const types = isRecordType(value) ? [`export type { ${name}JS, ${name}Init };`] : [];
+    return key === 'default' ? [`export default ${name};`, ...types] : [`export { ${name === key ? name : `${name} as ${key}`} };`, ...types];
+  });
+
+  // A type exported twice is declared once
+  const declarations = [...Object.keys(arrayLikes).filter(name => usedArrayLikes.has(name)).map(name => arrayLikes[name]), ...blocks];
+  return `${declarations.join('\n\n')}\n\n${[...new Set(statements)].join('\n')}\n`;
+}
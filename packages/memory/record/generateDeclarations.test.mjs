@@ -0,0 +1,127 @@
+import Record from '../Record.mjs';
+import FlatSet from '../FlatSet.mjs';
+import FlatList from '../FlatList.mjs';
+import { strictEqual } from 'node:assert';
+import generateDeclarations from './generateDeclarations.mjs';
+import getPackageName from '@staabler/core/getPackageName.mjs';
+
+describe(getPackageName(import.meta.url), function() {
+
+  const Address = Record('Address', { zip: 'Uint32', street: 'Utf8(16)' });
+  const Person = Record('Person', [
+    ['age', 'Uint8'],
+    ['id', 'BigUint64'],
+    ['name', 'Utf8'],
+    ['scores', 'Int32', 3],
+    ['tags', ['Uint16']],
+    ['address', Address],
+    ['status', 'Enum(open, closed)'],
+    ['email?', 'Utf8']
+  ]);
+  const Point = Record('Point', { x: 'Float64', y: 'Float64' });
+
+  it('should declare records', function() {
+    const code = generateDeclarations({ Person, Point, version: 1 });
+    const has = line => code.split('\n').includes(line);
+
+    strictEqual(has('declare class Person {'), true);
+    strictEqual(has(`  static readonly schema: ${JSON.stringify(Person.schema)};`), true);
+    strictEqual(has('  age: number;'), true);
+    strictEqual(has('  get id(): bigint;'), true);
+    strictEqual(has('  set id(value: bigint | number | string);'), true);
+    strictEqual(has('  get scores(): Int32Array;'), true);
+    strictEqual(has('  get tags(): Uint16Array;'), true);
+    strictEqual(has('  get address(): Address;'), true);
+    strictEqual(has("  status: 'open' | 'closed';"), true);
+    strictEqual(has('  email: string | null;'), true);
+    strictEqual(has('  toJS(): PersonJS;'), true);
+    strictEqual(has('  address: AddressJS;'), true);
+    strictEqual(has('  constructor(bufferOrArg?: Uint8Array | PersonInit);'), true);
+
+    // Only fixed size records have a BYTES_PER_ELEMENT
+    strictEqual(code.split('static readonly BYTES_PER_ELEMENT').length - 1, 2);
+
+    // The nested record is declared but not exported
+    strictEqual(has('declare class Address {'), true);
+    strictEqual(has('export { Person };'), true);
+    strictEqual(has('export type { PersonJS, PersonInit };'), true);
+    strictEqual(code.includes('export { Address'), false);
+  });
+
+  it('should declare the types of the values of the instances', function() {
+    const Sample = Record('Sample', [
+      ['counts', ['Uint16']],
+      ['levels', ['Float16']],
+      ['labels', 'Utf8', 2],
+      ['blobs', 'Bytes', 2],
+      ['ratios', 'Float16', 2],
+      ['flags', 'Boolean', 2],
+      ['corners', Point, 2],
+      ['at', 'Timestamp']
+    ]);
+    const Strict = Record('Strict', [['scores', 'Int32', 3]], { strict: true });
+    const code = generateDeclarations({ Sample, Strict });
+    const has = line => code.split('\n').includes(line);
+    const sample = new Sample({ at: 0 });
+    const obj = sample.toJS();
+
+    // Typed arrays
+    strictEqual(has(`  get counts(): ${sample.counts.constructor.name};`), true);
+    strictEqual(has(`  get levels(): ${sample.levels.constructor.name};`), true);
+    strictEqual(has('  get counts(): Uint16Array;'), true);
+    strictEqual(has('  get levels(): Float32Array;'), true);
+
+    // Array-likes without the array methods
+    ['labels', 'blobs', 'ratios', 'flags', 'corners'].forEach(name => strictEqual(sample[name].map, undefined));
+    strictEqual(has('  get labels(): DynamicArrayLike<string>;'), true);
+    strictEqual(has('  get blobs(): DynamicArrayLike<Uint8Array>;'), true);
+    strictEqual(has('  get ratios(): StaticArrayLike<number>;'), true);
+    strictEqual(has('  get flags(): StaticArrayLike<boolean>;'), true);
+    strictEqual(has('  get corners(): StaticArrayLike<Point>;'), true);
+    strictEqual(has('  set labels(value: Iterable<string>);'), true);
+    strictEqual(has('interface StaticArrayLike<T> {'), true);
+    strictEqual(has('interface DynamicArrayLike<T> extends Iterable<T> {'), true);
+
+    // toJS() copies some of them
+    strictEqual(typeof obj.labels.map, 'function');
+    strictEqual(obj.ratios.map, undefined);
+    strictEqual(has('  labels: string[];'), true);
+    strictEqual(has('  corners: PointJS[];'), true);
+    strictEqual(has('  ratios: StaticArrayLike<number>;'), true);
+
+    // A Temporal.Instant where available
+    strictEqual(has(`  get at(): ${sample.at instanceof Date ? 'Date' : 'Temporal.Instant'};`), true);
+
+    // A strict record checks the elements (no typed array)
+    strictEqual(ArrayBuffer.isView(new Strict().scores), false);
+    strictEqual(has('  get scores(): StaticArrayLike<number>;'), true);
+  });
+
+  it('should declare FlatList and FlatSet specializations', function() {
+    strictEqual(FlatList(Point).Type, Point);
+    strictEqual(FlatSet(Point).Type, Point);
+
+    const code = generateDeclarations({ Points: FlatList(Point), default: FlatSet(Point), Position: Point });
+    const has = line => code.split('\n').includes(line);
+    strictEqual(has('declare class Position {'), true);
+    strictEqual(has('declare class Points implements Iterable<Position> {'), true);
+    strictEqual(has('  at(pos?: number): Position | undefined;'), true);
+    strictEqual(has('  toJS(): PositionJS[];'), true);
+    strictEqual(has('declare class PointSet implements Iterable<Position> {'), true);
+    strictEqual(has('  readonly size: number;'), true);
+    strictEqual(has('export { Points };'), true);
+    strictEqual(has('export default PointSet;'), true);
+    strictEqual(has('export { Position };'), true);
+  });
+
+  it('should use unique names', function() {
+    const Other = Record('Person', { id: 'Uint8' });
+    const code = generateDeclarations({ Person, Other, Date: Point });
+    const has = line => code.split('\n').includes(line);
+    strictEqual(has('declare class Person {'), true);
+    strictEqual(has('declare class Other {'), true);
+    strictEqual(has('declare class Date2 {'), true);
+    strictEqual(has('export { Date2 as Date };'), true);
+  });
+
+});
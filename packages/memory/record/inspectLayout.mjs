@@ -0,0 +1,201 @@
+import { inspect } from 'node:util';
+import Uint32 from '../types/Uint32.mjs';
+
+/**
+ * ANSI colors of the members (cycled in member order).
+ * @type {Array<number>}
+ */
+const kMemberColors = [36, 33, 35, 32, 34, 31];
+
+/**
+ * ANSI styles of the other regions.
+ * @type {Object}
+ */
+const kStyles = {
+  presence: '1',
+  padding: '2',
+  unused: '2',
+  invalid: '97;41'
+};
+
+/**
+ * Byte length of a dynamic offset header.
+ * @type {number}
+ */
+const kHeaderByteLength = 4;
+
+/**
+ * Applies an ANSI style to a text.
+ *
+ * @param {string} text - The text
+ * @param {string|number} style - The ANSI style (ex. 36 for cyan)
+ * @param {boolean} colors - Whether colors are enabled
+ * @returns {string} The styled text
+ */
+const stylize = (text, style, colors) => (colors && style) ? `\x1b[${style}m${text}\x1b[0m` : text;
+
+/**
+ * Formats a byte offset.
+ *
+ * @param {number} value - The byte offset
+ * @returns {string} The hexadecimal byte offset
+ */
+const toHex = value => Number.isFinite(value) ? value.toString(16).padStart(4, '0') : '????';
+
+/**
+ * Gets the label of a schema identifier, ex. "Utf8", "[Uint16]" or "Address".
+ *
+ * @param {string|Array} schema - The schema identifier of a member
+ * @returns {string} The label
+ */
+function getSchemaLabel(schema) {
+  return  typeof schema === 'string' ? schema :
+          schema.length === 1 ? `[${getSchemaLabel(schema[0])}]` :
+          schema[0];
+}
+
+/**
+ * Formats the value of a member (or of one of its elements).
+ *
+ * @param {Object|null} record - The record (null if the buffer is too small)
+ * @param {string} name - The member name
+ * @param {number} index - The element index (or -1)
+ * @returns {string} The formatted value
+ */
+function formatValue(record, name, index) {
+  if(!record) {
+    return '';
+  }
+  try {
+    const value = index === -1 ? record[name] : record[name]?.[index];
+    return ` = ${inspect(value, { depth: 1, breakLength: Infinity })}`;
+  } catch(e) {
+    return ` = <${e.message}>`;
+  }
+}
+
+/**
+ * Splits a record buffer into annotated regions: the presence bitmap,
+ * the fixed members, the padding, the offset headers and the dynamic
+ * values. The dynamic region is only trusted as long as the offset headers
+ * are consistent, the rest of the buffer is marked invalid.
+ *
+ * @param {Function} Type - The Record class
+ * @param {Uint8Array} buffer - The record bytes
+ * @returns {Array<Object>} Regions { start, end, style, text }
+ */
+function getRegions(Type, buffer) {
+  const { layout, MIN_BYTES_PER_ELEMENT } = Type;
+  const { byteLength } = buffer;
+  const record = MIN_BYTES_PER_ELEMENT <= byteLength ? new Type(buffer) : null;
+  const regions = [];
+  const headers = [];
+
+  const optionals = layout.filter(entry => entry.optional);
+  let cursor = Math.ceil(optionals.length/8);
+  if(cursor) {
+    const bits = optionals.map(({ name, bit }) => `${name}=${(buffer[bit >> 3] >> (bit & 7)) & 1}`);
+    regions.push({ start: 0, end: cursor, style: kStyles.presence, text: `presence ${bits.join(' ')}` });
+  }
+
+  layout.forEach((entry, index) => {
+    const { name, schema, length, dynamic, optional, byteOffset, byteLength: entryByteLength } = entry;
+    const style = kMemberColors[index % kMemberColors.length];
+    const label = `${getSchemaLabel(schema)}${1 < length ? `[${length}]` : ''}${optional ? '?' : ''}`;
+    if(cursor < byteOffset) {
+      regions.push({ start: cursor, end: byteOffset, style: kStyles.padding, text: 'padding' });
+    }
+    cursor = byteOffset + entryByteLength;
+
+    if(!dynamic) {
+      regions.push({ start: byteOffset, end: cursor, style, text: `${name}: ${label}${formatValue(record, name, -1)}` });
+      return;
+    }
+
+    for(let i = 0; i < length; ++i) {
+      const start = byteOffset + i*kHeaderByteLength;
+      const end = start + kHeaderByteLength;
+      const offset = end <= byteLength ? Uint32.getValue(buffer, start) : NaN;
+      const elementName = 1 < length ? `${name}[${i}]` : name;
+      regions.push({ start, end, style: `${style};4`, text: `${elementName} -> ${toHex(offset)}` });
+      headers.push({ name, index: 1 < length ? i : -1, elementName, label, style, offset });
+    }
+  });
+
+  if(byteLength < MIN_BYTES_PER_ELEMENT) {
+    return regions;
+  }
+
+  // Each header must point after the previous one (and in the buffer)
+  cursor = MIN_BYTES_PER_ELEMENT;
+  for(let i = 0; i < headers.length; ++i) {
+    const { name, index, elementName, label, style, offset } = headers[i];
+    const invalid = [headers[i], headers[i + 1]].find((header, j) => header && !((j ? offset : cursor) <= header.offset && header.offset <= byteLength));
+    if(invalid) {
+      const expected = `${toHex(invalid === headers[i] ? cursor : offset)}..${toHex(byteLength)}`;
+      regions.push({ start: cursor, end: byteLength, style: kStyles.invalid, text: `invalid: ${invalid.elementName} -> ${toHex(invalid.offset)} (expected ${expected})` });
+      return regions;
+    }
+    if(cursor < offset) {
+      regions.push({ start: cursor, end: offset, style: kStyles.unused, text: 'unused' });
+    }
+    const end = headers[i + 1]?.offset ?? byteLength;
+    regions.push({ start: offset, end, style, text: `${elementName}: ${label}${formatValue(record, name, index)}` });
+    cursor = end;
+  }
+  if(cursor < byteLength) {
+    regions.push({ start: cursor, end: byteLength, style: kStyles.unused, text: 'unused' });
+  }
+  return regions;
+}
+
+/**
+ * Formats the layout of a record as a hexdump annotated with the member
+ * names, byte offsets, padding (see roundToClosestDivisor) and the offset
+ * headers of the dynamic members, ex. to diagnose a corrupted record read
+ * back by record/stream/Cursor:
+ *
+ *  console.log(inspectLayout(record, { colors: true }));
+ *  console.log(inspectLayout(Person, bytes));
+ *
+ * @param {Object|Function} recordOrType - A record or a Record class
+ * @param {Uint8Array} [buffer] - The record bytes (if a Record class is given)
+ * @param {Object} [options={}] - { colors: boolean, width: number } (bytes per line)
+ * @returns {string} The annotated hexdump
+ * @throws {Error} If the argument is not a record
+ */
+export default function inspectLayout(recordOrType, ...args) {
+  const isType = typeof recordOrType === 'function';
+  const Type = isType ? recordOrType : recordOrType?.constructor;
+  const buffer = isType ? args.shift() : recordOrType?.buffer;
+  if(!(Array.isArray(Type?.layout) && buffer instanceof Uint8Array)) {
+    throw new Error('Expected a record or a Record class and its bytes');
+  }
+
+  const { colors = false, width = 16 } = args[0] ?? {};
+  const { MIN_BYTES_PER_ELEMENT } = Type;
+  const { byteLength } = buffer;
+  const regions = getRegions(Type, buffer);
+  const styles = new Array(byteLength).fill('');
+  regions.forEach(({ start, end, style }) => styles.fill(style, start, Math.min(end, byteLength)));
+
+  const lines = [`${Type.name} (${byteLength} bytes, fixed=${MIN_BYTES_PER_ELEMENT})`];
+  if(byteLength < MIN_BYTES_PER_ELEMENT) {
+    lines.push(stylize(`truncated: expected at least ${MIN_BYTES_PER_ELEMENT} bytes`, kStyles.invalid, colors));
+  }
+
+  for(let offset = 0; offset < byteLength; offset += width) {
+    const bytes = Array.from(buffer.subarray(offset, offset + width), (byte, i) => stylize(byte.toString(16).padStart(2, '0'), styles[offset + i], colors));
+    const chars = Array.from(buffer.subarray(offset, offset + width), byte => (0x20 <= byte && byte < 0x7f) ? String.fromCharCode(byte) : '.');
+    const missing = '   '.repeat(width - bytes.length);
+    lines.push(`${toHex(offset)}  ${bytes.join(' ')}${missing}  |${chars.join('')}|`);
+  }
+
+  lines.push('');
+  regions.forEach(({ start, end, style, text }) => {
+    const range = `${toHex(start)}-${toHex(Math.max(start, end - 1))}`;
+    const missing = byteLength < end ? ' (missing)' : '';
+    lines.push(`${range}  ${String(end - start).padStart(3)}  ${stylize(text, style, colors)}${missing}`);
+  });
+  return lines.join('\n');
+}
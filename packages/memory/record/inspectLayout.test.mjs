@@ -0,0 +1,68 @@
+import Record from '../Record.mjs';
+import inspectLayout from './inspectLayout.mjs';
+import { strictEqual, throws } from 'node:assert';
+import getPackageName from '@staabler/core/getPackageName.mjs';
+
+describe(getPackageName(import.meta.url), function() {
+
+  const Person = Record('Person', [
+    ['age', 'Uint8'],
+    ['id', 'BigUint64'],
+    ['name', 'Utf8'],
+    ['labels', 'Utf8', 2],
+    ['email?', 'Utf8']
+  ]);
+  const person = new Person({ age: 30, id: 7n, name: 'John', labels: ['a', 'bc'] });
+
+  it('should describe the layout of a record', function() {
+    strictEqual(JSON.stringify(Person.layout.map(({ name, byteOffset, byteLength }) => [name, byteOffset, byteLength])), JSON.stringify([
+      ['age', 1, 1],
+      ['id', 8, 8],
+      ['name', 16, 4],
+      ['labels', 20, 8],
+      ['email', 28, 4]
+    ]));
+    strictEqual(Person.layout.at(-1).bit, 0);
+    strictEqual(Person.layout.at(-1).dynamic, true);
+    strictEqual(Object.isFrozen(Person.layout), true);
+  });
+
+  it('should annotate the bytes of a record', function() {
+    const lines = inspectLayout(person).split('\n');
+    const has = line => lines.includes(line);
+    strictEqual(lines[0], 'Person (39 bytes, fixed=32)');
+    strictEqual(lines[1], '0000  00 1e 00 00 00 00 00 00 07 00 00 00 00 00 00 00  |................|');
+    strictEqual(lines[3], '0020  4a 6f 68 6e 61 62 63                             |Johnabc|');
+    strictEqual(has('0000-0000    1  presence email=0'), true);
+    strictEqual(has('0001-0001    1  age: Uint8 = 30'), true);
+    strictEqual(has('0002-0007    6  padding'), true);
+    strictEqual(has('0008-000f    8  id: BigUint64 = 7n'), true);
+    strictEqual(has('0010-0013    4  name -> 0020'), true);
+    strictEqual(has('0018-001b    4  labels[1] -> 0025'), true);
+    strictEqual(has('0020-0023    4  name: Utf8 = \'John\''), true);
+    strictEqual(has('0025-0026    2  labels[1]: Utf8[2] = \'bc\''), true);
+    strictEqual(has('0027-0027    0  email: Utf8? = null'), true);
+
+    // The same output for a Record class and its bytes
+    strictEqual(inspectLayout(Person, person.buffer), inspectLayout(person));
+    strictEqual(inspectLayout(person, { width: 8 }).split('\n')[2], '0008  07 00 00 00 00 00 00 00  |........|');
+    strictEqual(inspectLayout(person, { colors: true }).includes('\x1b[2mpadding\x1b[0m'), true);
+    throws(() => inspectLayout({}));
+    throws(() => inspectLayout(Person));
+  });
+
+  it('should find corrupted offset headers', function() {
+    const buffer = person.buffer.slice();
+    buffer[Person.layout[3].byteOffset + 4] = 0xff;
+    const lines = inspectLayout(Person, buffer).split('\n');
+    strictEqual(lines.includes('0018-001b    4  labels[1] -> 00ff'), true);
+    strictEqual(lines.includes('0024-0026    3  invalid: labels[1] -> 00ff (expected 0024..0027)'), true);
+
+    // A truncated record has no values
+    const truncated = inspectLayout(Person, person.buffer.subarray(0, 12)).split('\n');
+    strictEqual(truncated[1], 'truncated: expected at least 32 bytes');
+    strictEqual(truncated.includes('0001-0001    1  age: Uint8'), true);
+    strictEqual(truncated.includes('0010-0013    4  name -> ???? (missing)'), true);
+  });
+
+});
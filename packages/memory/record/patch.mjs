@@ -0,0 +1,18 @@
+import getSchemaType from './stream/getSchemaType.mjs';
+
+/**
+ * Applies a delta (see record/diff) to a record. The record is updated in
+ * place, its buffer is replaced if a dynamic value changes size.
+ *
+ * @param {Object} record - The record to update
+ * @param {Delta} delta - The delta
+ * @returns {Object} The record
+ * @throws {Error} If the delta was computed for another record type or is invalid
+ */
+export default function patch(record, delta) {
+  const Type = record?.constructor;
+  if(!(typeof Type?.patch === 'function' && delta.type === getSchemaType(Type.schema))) {
+    throw new Error(`The delta does not apply to the record (type=${Type?.name})`);
+  }
+  return Type.patch(record, delta.changes);
+};
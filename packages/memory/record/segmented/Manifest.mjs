@@ -0,0 +1,97 @@
+import Stream from '../Stream.mjs';
+import Record from '../../Record.mjs';
+import { kFileHeaderByteLength } from '../stream/FileHeader.mjs';
+
+/**
+ * A segment was created, it starts at a global position.
+ */
+export const SegmentCreated = Record('SegmentCreated', {
+  id: 'Uint32',
+  position: 'Float64',
+  createdAt: 'Float64'
+});
+
+/**
+ * A segment was removed (ex. by a retention policy).
+ */
+export const SegmentRemoved = Record('SegmentRemoved', {
+  id: 'Uint32'
+});
+
+/**
+ * Gets the offset of the positions in a segment file to the global positions
+ * (the first packet of a segment is after its file header).
+ * 
+ * @param {Object} segment - The segment { id, position, createdAt }
+ * @returns {number} The offset (global position = offset + position in the file)
+ */
+export const getSegmentOffset = segment => segment.position - kFileHeaderByteLength;
+
+/**
+ * The manifest of a SegmentedStream. It is a record stream itself, so it
+ * is checksummed and recovered like any other stream, and replaying it
+ * gives the current segments.
+ */
+export default class Manifest {
+
+  /**
+   * Creates a new Manifest instance.
+   * 
+   * @param {Object} native - The native stream implementation of the manifest file
+   * @param {Allocator} [allocator] - Memory allocator instance
+   */
+  constructor(native, allocator) {
+    this.segments = []; // { id, position, createdAt } ordered by id
+    this.stream = new Stream(native, this, allocator);
+  }
+
+  /**
+   * Projection: only the segment records are handled.
+   * 
+   * @param {Function} Type - The record type
+   * @returns {boolean} Whether the record is handled
+   */
+  match(Type) {
+    return Type === SegmentCreated || Type === SegmentRemoved;
+  }
+
+  /**
+   * Projection: applies a segment record.
+   * 
+   * @param {Object} record - SegmentCreated or SegmentRemoved
+   */
+  handle(record) {
+    const segments = this.segments;
+    if(record.constructor === SegmentCreated) {
+      const { id, position, createdAt } = record;
+      segments.push({ id, position, createdAt });
+      return;
+    }
+    const index = segments.findIndex(segment => segment.id === record.id);
+    if(index !== -1) {
+      segments.splice(index, 1);
+    }
+  }
+
+  /**
+   * Adds a segment.
+   * 
+   * @param {number} id - The segment id
+   * @param {number} position - The global position of the first record
+   * @param {number} createdAt - Creation time in milliseconds
+   * @returns {Object} The segment { id, position, createdAt }
+   */
+  add(id, position, createdAt) {
+    this.stream.writeOneSync(new SegmentCreated({ id, position, createdAt }));
+    return this.segments.at(-1);
+  }
+
+  /**
+   * Removes a segment.
+   * 
+   * @param {number} id - The segment id
+   */
+  remove(id) {
+    this.stream.writeOneSync(new SegmentRemoved({ id }));
+  }
+};
@@ -0,0 +1,179 @@
+import { getSegmentOffset } from './Manifest.mjs';
+import isThenable from '@staabler/core/isThenable.mjs';
+import toAsyncIterator from '@staabler/core/toAsyncIterator.mjs';
+
+/**
+ * A cursor over the segments of a SegmentedStream. The positions (of the
+ * filters and the yielded records) are global: the start of a segment
+ * plus the position in the segment file.
+ * 
+ * It moves to the next segment at the end of a segment (unless it is the
+ * last one) and starts at the oldest segment if its position was removed
+ * by a retention policy. A sealed segment is read by its own stream, it is
+ * opened once (strict, it is never truncated) and closed when the cursor
+ * moves on.
+ */
+export default class SegmentedCursor {
+
+  /**
+   * Creates a new SegmentedCursor instance.
+   * 
+   * @param {SegmentedStream} stream - The stream to iterate over
+   * @param {number} [position=0] - The starting global position
+   * @param {AbortSignal} [signal=null] - Optional abort signal for cancellation
+   */
+  constructor(stream, position = 0, signal = null) {
+    this._SegmentedCursor = {
+      stream,
+      signal,
+      position,
+      filters: [],
+      mappers: [],
+      skip: 0,
+      take: Infinity,
+      until: Infinity,
+    };
+  }
+
+  /**
+   * Adds a filter function to the cursor chain.
+   * 
+   * @param {Function} cb - Filter function that receives (Type, initial, end) and returns boolean
+   * @returns {SegmentedCursor} Returns this cursor for chaining
+   */
+  filter(cb) {
+    this._SegmentedCursor.filters.push(cb);
+    return this;
+  }
+
+  /**
+   * Adds a mapper function to the cursor chain.
+   * 
+   * @param {Function} cb - Mapper function that receives an instance and returns a transformed instance
+   * @returns {SegmentedCursor} Returns this cursor for chaining
+   */
+  map(cb) {
+    this._SegmentedCursor.mappers.push(cb);
+    return this;
+  }
+
+  /**
+   * Skips the first records (after the filters).
+   * 
+   * @param {number} n - Number of records to skip
+   * @returns {SegmentedCursor} Returns this cursor for chaining
+   */
+  skip(n) {
+    this._SegmentedCursor.skip = n;
+    return this;
+  }
+
+  /**
+   * Ends the cursor after a number of records (after the filters and skip).
+   * 
+   * @param {number} n - Maximum number of records
+   * @returns {SegmentedCursor} Returns this cursor for chaining
+   */
+  take(n) {
+    this._SegmentedCursor.take = n;
+    return this;
+  }
+
+  /**
+   * Ends the cursor at a global position, instead of waiting for new data.
+   * 
+   * @param {number} position - The end position (exclusive)
+   * @returns {SegmentedCursor} Returns this cursor for chaining
+   */
+  until(position) {
+    this._SegmentedCursor.until = position;
+    return this;
+  }
+
+  /**
+   * Creates an iterator that yields records from every segment.
+   * 
+   * @generator
+   * @yields {Promise|Array} Either a promise for async operations or [initial, mapped, position] for records
+   */
+  *iterator() {
+    const dataMap = this._SegmentedCursor;
+    const { stream, signal, filters, mappers, until } = dataMap;
+    let { position, skip, take } = dataMap;
+    let reader = null; // The stream of a sealed segment [id, stream]
+
+    /**
+     * Closes the stream of the sealed segment read so far (if any).
+     */
+    function closeReader() {
+      if(reader) {
+        stream.closeSegment(reader[1]);
+        reader = null;
+      }
+    }
+
+    try {
+      segments: while(!signal?.aborted && take && position < until) {
+        const segments = stream.manifest.segments;
+        const segment = segments.findLast(segment => segment.position <= position) ?? segments[0];
+        const base = getSegmentOffset(segment);
+        position = Math.max(position, segment.position);
+
+        if(segment.id !== segments.at(-1).id && reader?.[0] !== segment.id) {
+          closeReader();
+          reader = [segment.id, stream.openSegment(segment, undefined, true)];
+        }
+        const segmentStream = reader?.[0] === segment.id ? reader[1] : stream.active;
+        const cursor = segmentStream.createCursor(position - base, signal).until(until - base);
+        filters.forEach(cb => cursor.filter((Type, initial, end) => cb(Type, base + initial, base + end)));
+        mappers.forEach(cb => cursor.map(cb));
+
+        for(const item of cursor) {
+          if(!isThenable(item)) {
+            const [initial, record, next] = item;
+            position = base + next;
+            if(skip) {
+              --skip;
+              continue;
+            }
+            yield [base + initial, record, position];
+            if(--take) {
+              continue;
+            }
+            return;
+          }
+          const next = stream.manifest.segments.find(({ id }) => segment.id < id);
+          if(next) {
+            // The end of a sealed segment (the rest may be filtered out)
+            position = next.position;
+            continue segments;
+          }
+          // The last segment, a new segment is created without a write to this one
+          yield Promise.race([item, stream.rolled.promise]);
+        }
+        // The signal is aborted or the end position is reached
+        return;
+      }
+    } finally {
+      closeReader();
+    }
+  }
+
+  /**
+   * Returns an iterator for this cursor.
+   * 
+   * @returns {Iterator} An iterator that yields records from the stream
+   */
+  [Symbol.iterator]() {
+    return this.iterator();
+  }
+
+  /**
+   * Returns an async iterator for this cursor, it awaits new data.
+   * 
+   * @returns {AsyncIterator} An async iterator that yields [initial, mapped, position]
+   */
+  [Symbol.asyncIterator]() {
+    return toAsyncIterator(this.iterator());
+  }
+};
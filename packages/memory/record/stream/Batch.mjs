@@ -0,0 +1,31 @@
+import Record from '../../Record.mjs';
+
+/**
+ * Stream marker of an atomic batch: it is written before the packets of a
+ * multi-record write. The records of a batch are only visible once every
+ * packet is in the file, a partial batch is discarded by the recovery.
+ */
+const Batch = Record('Batch', {
+
+  /**
+   * Number of records (packets) in the batch.
+   */
+  count: 'Uint32',
+
+  /**
+   * Size of the packets after the marker in bytes (a batch is at most
+   * 4 GiB, like a packet).
+   */
+  byteLength: 'Uint32',
+});
+
+/**
+ * Reserved type of the marker packets, they have no schema block (they are
+ * never given to the projections or yielded by a cursor). A record type is
+ * a hash of its schema (see getSchemaType), a user Record named 'Batch' is
+ * an ordinary record.
+ * @type {bigint}
+ */
+export const kBatchType = 1n;
+
+export default Batch;
@@ -0,0 +1,97 @@
+import addEventListener from '@staabler/core/addEventListener.mjs';
+import toAsyncIterator from '@staabler/core/toAsyncIterator.mjs';
+
+/**
+ * A subscriber to the raw bytes of a stream (ex. to replicate a stream).
+ *
+ * As with the Cursor, for...of yields a promise when it runs out of data
+ * and for await...of awaits new data until the signal is aborted.
+ */
+export default class BinarySubscriber {
+
+  /**
+   * Creates a new BinarySubscriber instance.
+   *
+   * @param {Object} stream - The stream to read
+   * @param {number} [position=0] - Starting position in the stream
+   * @param {AbortSignal} [signal=null] - Optional abort signal for cancellation
+   * @param {number} [byteLength=2**16] - Maximum bytes to read per chunk
+   */
+  constructor(stream, position = 0, signal = null, byteLength = 2**16) {
+    this._BinarySubscriber = {
+      stream,
+      signal,
+      position,
+      byteLength,
+    };
+  }
+
+  /**
+   * Creates an iterator that yields chunks of the stream.
+   *
+   * @generator
+   * @yields {Uint8Array|Promise} Either binary data or a promise for async operations
+   */
+  *iterator() {
+    //  Its possible to create some other kind of the iterator, but this
+    //  way to it handle the flow control automatically as well as
+    //  cleanup - with the help of finally.
+    let resolver = null;
+    let watching = false;
+    const unsubscribers = [];
+    let { signal, position } = this._BinarySubscriber;
+    const { stream, byteLength } = this._BinarySubscriber;
+    const { native, generation } = stream;
+    if(signal) {
+      unsubscribers.push(addEventListener(signal, 'abort', () => resolver?.resolve()));
+    } else {
+      signal = { aborted: false };
+    }
+
+    try {
+      // A replaced file (ex. compact) ends the subscriber
+      while(!signal.aborted && generation === stream.generation) {
+        const buffer = native.peek(byteLength, position).subarray(0, byteLength);
+        const bufferByteLength = buffer.byteLength;
+        if(bufferByteLength) {
+          position += bufferByteLength;
+          yield buffer;
+          continue;
+        }
+
+        resolver = Promise.withResolvers();
+        const { promise } = resolver;
+        if(!watching) {
+          unsubscribers.push(native.watch(() => {
+            if(resolver) {
+              resolver.resolve();
+              resolver = null;
+            }
+          }));
+          watching = true;
+        }
+        yield promise;
+      }
+    } finally {
+      unsubscribers.forEach(cb => cb());
+    }
+  }
+
+  /**
+   * Returns an iterator for this subscriber.
+   *
+   * @returns {Iterator} An iterator that yields chunks of the stream
+   */
+  [Symbol.iterator]() {
+    return this.iterator();
+  }
+
+  /**
+   * Returns an async iterator for this subscriber, it awaits new data.
+   *
+   * @returns {AsyncIterator} An async iterator that yields chunks of the stream
+   */
+  [Symbol.asyncIterator]() {
+    return toAsyncIterator(this.iterator());
+  }
+};
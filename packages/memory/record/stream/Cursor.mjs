@@ -1,10 +1,14 @@
-
-import Header from './Header.mjs';
-import Record from '../../Record.mjs';
-import Utf8 from '../../types/Utf8.mjs';
+import crc32c from '@staabler/core/crc32c.mjs';
+import Header, { kChecksumByteOffset, kFlagsByteOffset, kKeyByteOffset, kTrailerByteLength } from './Header.mjs';
+import PacketDecoder from './PacketDecoder.mjs';
+import Batch, { kBatchType } from './Batch.mjs';
+import Dictionary, { kDictionaryType } from './Dictionary.mjs';
+import StreamCorruptionError from './StreamCorruptionError.mjs';
+import { kFileHeaderByteLength } from './FileHeader.mjs';
 import Uint32 from '../../types/Uint32.mjs';
 import BigUint64 from '../../types/BigUint64.mjs';
 import addEventListener from '@staabler/core/addEventListener.mjs';
+import toAsyncIterator from '@staabler/core/toAsyncIterator.mjs';
 // We want to be able to ignore some events.
 const getUint32Value = Uint32.getValue;
 const getBigUint64Value = BigUint64.getValue;
@@ -14,7 +18,17 @@ const getBigUint64Value = BigUint64.getValue;
  * 
  * The Cursor provides a way to traverse through records in a stream, applying filters
  * and transformations to the data as it's being read. It supports both synchronous
- * and asynchronous iteration patterns.
+ * and asynchronous iteration patterns:
+ * 
+ *  - for...of yields a promise when it runs out of data (the hot path, the
+ *    caller decides to await it or to stop).
+ * 
+ *  - for await...of awaits new data, it ends when the signal is aborted
+ *    (or at the end of take/until).
+ * 
+ *  for await (const [position, record] of stream.createCursor(0, signal).skip(10).take(5)) {
+ *    console.log(position, record);
+ *  }
  */
 export default class Cursor {
 
@@ -32,13 +46,16 @@ export default class Cursor {
       position,
       filters: [],
       mappers: [],
+      skip: 0,
+      take: Infinity,
+      until: Infinity,
     };
   }
 
   /**
    * Adds a filter function to the cursor chain.
    * 
-   * @param {Function} cb - Filter function that receives (Type, initial, end) and returns boolean
+   * @param {Function} cb - Filter function that receives (Type, initial, end) and returns boolean (Type is the current version if the stream has an upcaster)
    * @returns {Cursor} Returns this cursor for chaining
    */
   filter(cb) {
@@ -57,6 +74,40 @@ export default class Cursor {
     return this;
   }
 
+  /**
+   * Skips the first records (after the filters).
+   * 
+   * @param {number} n - Number of records to skip
+   * @returns {Cursor} Returns this cursor for chaining
+   */
+  skip(n) {
+    this._Cursor.skip = n;
+    return this;
+  }
+
+  /**
+   * Ends the cursor after a number of records (after the filters and skip).
+   * 
+   * @param {number} n - Maximum number of records
+   * @returns {Cursor} Returns this cursor for chaining
+   */
+  take(n) {
+    this._Cursor.take = n;
+    return this;
+  }
+
+  /**
+   * Ends the cursor at a position, instead of waiting for new data (ex.
+   * until(stream.position) only reads the records written so far).
+   * 
+   * @param {number} position - The end position (exclusive)
+   * @returns {Cursor} Returns this cursor for chaining
+   */
+  until(position) {
+    this._Cursor.until = position;
+    return this;
+  }
+
   /**
    * Creates an iterator that yields records from the stream.
    * 
@@ -75,8 +126,11 @@ export default class Cursor {
     const unsubscribers = [];
     const dataMap = this._Cursor;
     
-    let { signal, position } = dataMap;
-    const { stream, filters, mappers } = dataMap;
+    let { signal, position, skip, take } = dataMap;
+    const { stream, filters, mappers, until } = dataMap;
+    const { generation } = stream;
+    // The packets start after the file header
+    position = Math.max(position, kFileHeaderByteLength);
 
     if(signal) {
       unsubscribers.push(addEventListener(signal, 'abort', () => resolver?.resolve()));
@@ -86,8 +140,30 @@ export default class Cursor {
     
     const native = stream.native;
     const registry = stream.registry;
+    const upcaster = stream.upcaster;
+    const decoder = new PacketDecoder(stream);
     const headerByteLength = Header.BYTES_PER_ELEMENT;
     
+    /**
+     * Creates a promise resolved when the stream changes.
+     * 
+     * @returns {Promise} The promise
+     */
+    function wait() {
+      resolver = Promise.withResolvers();
+      const { promise } = resolver;
+      if(!watching) {
+        unsubscribers.push(native.watch(() => {
+          if(resolver) {
+            resolver.resolve();
+            resolver = null;
+          }
+        }));
+        watching = true;
+      }
+      return promise;
+    }
+
     /**
      * Reads a specified number of bytes from the stream.
      * 
@@ -95,30 +171,21 @@ export default class Cursor {
      * @returns {Array} [buffer, promise] - Either the buffer or a promise if not enough data
      */
     function read(byteLength) {
-      const buffer = native.peek(byteLength, position);
+      // A peeked buffer may be longer than the requested length
+      const buffer = native.peek(byteLength, position).subarray(0, byteLength);
       if(buffer.byteLength !== byteLength) {
-        resolver = Promise.withResolvers();
-        const { promise } = resolver;
-        if(!watching) {
-          unsubscribers.push(native.watch(() => {
-            if(resolver) {
-              resolver.resolve();
-              resolver = null;
-            }
-          }));
-          watching = true;
-        }
-        return [null, promise];
+        return [null, wait()];
       }
       position += byteLength;
       return [buffer, null];
     }
     
     try {
-      while(!signal.aborted) {
+      // A replaced file (ex. compact) ends the cursor
+      while(!signal.aborted && take && position < until && generation === stream.generation) {
         
         const initial = position;
-        const [header, headerPromise] = read(headerByteLength, position);
+        const [header, headerPromise] = read(headerByteLength);
         if(headerPromise) {
           yield headerPromise;
           continue;
@@ -127,53 +194,101 @@ export default class Cursor {
         const type = getBigUint64Value(header, 0);
         const bodyByteLength = getUint32Value(header, 8);
         const schemaByteLength = getUint32Value(header, 12);
+        const flags = getUint32Value(header, kFlagsByteOffset);
+        const keyId = getUint32Value(header, kKeyByteOffset);
+        const expectedChecksum = getUint32Value(header, kChecksumByteOffset);
+        // The header is authenticated with the encrypted blocks
+        const aad = keyId ? header.slice(0, kChecksumByteOffset) : null;
+        // The checksum is verified when the body is read (a read buffer is
+        // only valid until the next read)
+        let checksum = crc32c(header.subarray(0, kChecksumByteOffset));
         
-        let Type = registry.get(type);
+        // A control packet has a reserved type and no schema
+        const isBatch = type === kBatchType;
+        const isDictionary = type === kDictionaryType;
+        let Type = isBatch ? Batch : isDictionary ? Dictionary : registry.get(type);
         
         if(schemaByteLength) {
-          if(Type) {
-            position += schemaByteLength;
-          } else {
-            while(true) {
-              const [buffer, bufferPromise] = read(schemaByteLength);
-              if(bufferPromise) {
-                yield bufferPromise;
-                continue;
+          while(true) {
+            const [buffer, bufferPromise] = read(schemaByteLength);
+            if(bufferPromise) {
+              yield bufferPromise;
+              // The rest of the packet may never be written
+              if(signal.aborted) {
+                return;
               }
-              const bufferAsString = Utf8.getValue(buffer, 0, schemaByteLength);
-              const [name, schema] = JSON.parse(bufferAsString);
-              Type = Record(name,schema);
-              registry.set(type, Type);
-              break;
+              continue;
             }
+            checksum = crc32c(buffer, checksum);
+            Type = decoder.getType(type, buffer, keyId, aad, initial);
+            break;
           }
-
         }
 
         if(!Type) {
           throw new Error(`Unknown type (type=${type}, position=${position})`);
         }
         
-        const filtered = filters.every(cb => cb(Type, initial, position + bodyByteLength));
+        // Filters and mappers only see the current version of a record (and
+        // never a batch marker or a dictionary)
+        const Current = upcaster ? upcaster.getType(Type) : Type;
+        const packetByteLength = bodyByteLength + kTrailerByteLength;
+        const filtered = isBatch || isDictionary || filters.every(cb => cb(Current, initial, position + packetByteLength));
         if(!filtered) {
-          position += bodyByteLength;
+          position += packetByteLength;
           continue;
         }
 
         let body = null;
         
         while(true) {
-          const [buffer, bufferPromise] = read(bodyByteLength);
+          // The trailer is read with the body (a record is complete with it)
+          const [buffer, bufferPromise] = read(packetByteLength);
           if(bufferPromise) {
             yield bufferPromise;
+            if(signal.aborted) {
+              return;
+            }
             continue;
           }
-          body = buffer;
+          body = buffer.subarray(0, bodyByteLength);
           break;
         }
+        if(crc32c(body, checksum) !== expectedChecksum) {
+          throw new StreamCorruptionError(initial, 'checksum mismatch');
+        }
+        if(keyId) {
+          body = decoder.decrypt(body, keyId, aad, initial);
+        }
+
+        // The records of a batch are only visible once the whole batch is written
+        if(isBatch) {
+          const end = position + Batch.readOnly(body).byteLength;
+          while(native.statSync().size < end) {
+            yield wait();
+            if(signal.aborted) {
+              return;
+            }
+          }
+          continue;
+        }
+        if(isDictionary) {
+          decoder.addDictionary(body);
+          continue;
+        }
+        if(skip) {
+          --skip;
+          continue;
+        }
+        if(flags) {
+          body = decoder.decompress(flags, body, initial);
+        }
 
-        const instance = new Type(body);
+        // The body may be shared (ex. a file cache), writing copies it
+        const record = Type.copyOnWrite(body);
+        const instance = Current === Type ? record : upcaster.upcast(record);
         const mapped = mappers.reduce((instance, cb) => cb(instance), instance);
+        --take;
         yield [initial, mapped, position];
       }
     } finally {
@@ -189,4 +304,13 @@ export default class Cursor {
   [Symbol.iterator]() {
     return this.iterator();
   }
+
+  /**
+   * Returns an async iterator for this cursor, it awaits new data.
+   * 
+   * @returns {AsyncIterator} An async iterator that yields [initial, mapped, position]
+   */
+  [Symbol.asyncIterator]() {
+    return toAsyncIterator(this.iterator());
+  }
 }
\ No newline at end of file
@@ -0,0 +1,27 @@
+import Record from '../../Record.mjs';
+
+/**
+ * Stream packet of a shared compression dictionary. The compressed packets
+ * after it refer to it by id (see Header flags), it is never compressed.
+ */
+const Dictionary = Record('Dictionary', {
+
+  /**
+   * Id of the dictionary (unique in a stream, not 0).
+   */
+  id: 'Uint32',
+
+  /**
+   * The dictionary bytes.
+   */
+  bytes: 'Bytes',
+});
+
+/**
+ * Reserved type of the dictionary packets, they have no schema block (they
+ * are never given to the projections or yielded by a cursor, see kBatchType).
+ * @type {bigint}
+ */
+export const kDictionaryType = 2n;
+
+export default Dictionary;
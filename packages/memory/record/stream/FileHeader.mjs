@@ -0,0 +1,40 @@
+import Record from '../../Record.mjs';
+
+/**
+ * The first bytes of a stream file: the format of the packets after it.
+ * It is written with the first write, a stream with another magic or
+ * version (ex. written before the header existed) is never recovered (see
+ * Stream.upgrade).
+ */
+const FileHeader = Record('FileHeader', {
+
+  /**
+   * "STRM" (see kMagic).
+   */
+  magic: 'Uint32',
+
+  /**
+   * Version of the packet format (see kVersion).
+   */
+  version: 'Uint32',
+});
+
+/**
+ * Magic number of a stream file ("STRM" in the file).
+ * @type {number}
+ */
+export const kMagic = 0x4d525453;
+
+/**
+ * Version of the packet format ([Header][schema][body][trailer]).
+ * @type {number}
+ */
+export const kVersion = 1;
+
+/**
+ * Byte length of the file header, the position of the first packet.
+ * @type {number}
+ */
+export const kFileHeaderByteLength = FileHeader.BYTES_PER_ELEMENT;
+
+export default FileHeader;
@@ -3,11 +3,15 @@ import Record from '../../Record.mjs';
 /**
  * Stream header record for packet messages.
  * Used to send and receive any kind of records with metadata.
+ * 
+ * A packet is [Header][schema][body][trailer], the trailer is the byte
+ * length of the rest of the packet (see kTrailerByteLength).
  */
-export default Record({
+const Header = Record({
   
   /**
-   * Schema ID/Hash of the schema.
+   * Schema ID/Hash of the schema, or the reserved type of a control packet
+   * (see Batch and Dictionary).
    */
   type: 'BigUint64',
   
@@ -20,4 +24,50 @@ export default Record({
    * Size of the schema in bytes.
    */
   schema: 'Uint32',
-});
\ No newline at end of file
+
+  /**
+   * The compression of the body: the algorithm id (the low byte, 0 if the
+   * body is raw) and the dictionary id (the other bytes, 0 if none).
+   */
+  flags: 'Uint32',
+
+  /**
+   * Id of the encryption key of the schema and the body (0 if they are not
+   * encrypted).
+   */
+  key: 'Uint32',
+
+  /**
+   * CRC-32C of the header (the bytes before the checksum), the schema and
+   * the body.
+   */
+  checksum: 'Uint32',
+});
+
+/**
+ * Byte offset of the checksum (the checksum covers the bytes before it).
+ * @type {number}
+ */
+export const kChecksumByteOffset = Header.layout.find(entry => entry.name === 'checksum').byteOffset;
+
+/**
+ * Byte offset of the flags.
+ * @type {number}
+ */
+export const kFlagsByteOffset = Header.layout.find(entry => entry.name === 'flags').byteOffset;
+
+/**
+ * Byte offset of the key id.
+ * @type {number}
+ */
+export const kKeyByteOffset = Header.layout.find(entry => entry.name === 'key').byteOffset;
+
+/**
+ * Byte length of the packet trailer, a Uint32 with the byte length of the
+ * header, the schema and the body. It links a packet to the previous one
+ * (ex. for a reverse cursor).
+ * @type {number}
+ */
+export const kTrailerByteLength = 4;
+
+export default Header;
\ No newline at end of file
@@ -0,0 +1,97 @@
+/**
+ * A key provider of the stream encryption (see record/Stream): the current
+ * key encrypts the writes and every key of the ring decrypts, so the keys
+ * can rotate while the old packets (ex. old segments) stay readable.
+ * 
+ * Any object with getCurrentKey() and getKey(id) is a key provider, ex. one
+ * backed by a key management service.
+ * 
+ *  const keys = new KeyRing({ 1: oldKey, 2: newKey });
+ *  keys.rotate(3, crypto.randomBytes(32));
+ */
+export default class KeyRing {
+
+  /**
+   * Creates a new KeyRing instance.
+   * 
+   * @param {Object} [keys={}] - Keys (32 bytes) by id (a positive integer)
+   * @param {number} [currentId] - Id of the current key (the highest by default)
+   */
+  constructor(keys = {}, currentId = Math.max(0, ...Object.keys(keys).map(Number))) {
+    this.keys = new Map();
+    this.currentId = 0;
+    Object.entries(keys).forEach(([id, key]) => this.add(Number(id), key));
+    if(currentId) {
+      this.use(currentId);
+    }
+  }
+
+  /**
+   * Adds a key.
+   * 
+   * @param {number} id - The key id
+   * @param {Uint8Array} key - The key (32 bytes)
+   * @returns {KeyRing} Returns this key ring for chaining
+   * @throws {Error} If the id or the key is invalid
+   */
+  add(id, key) {
+    if(!(Number.isInteger(id) && 0 < id && id < 2**32)) {
+      throw new Error(`Invalid key id ${id} (expected a positive Uint32)`);
+    }
+    if(!(key instanceof Uint8Array && key.byteLength === 32)) {
+      throw new Error(`Invalid key ${id} (expected 32 bytes)`);
+    }
+    this.keys.set(id, key);
+    return this;
+  }
+
+  /**
+   * Makes a key the current one.
+   * 
+   * @param {number} id - The key id
+   * @returns {KeyRing} Returns this key ring for chaining
+   * @throws {Error} If the key is unknown
+   */
+  use(id) {
+    if(!this.keys.has(id)) {
+      throw new Error(`Unknown key ${id}`);
+    }
+    this.currentId = id;
+    return this;
+  }
+
+  /**
+   * Adds a key and makes it the current one.
+   * 
+   * @param {number} id - The key id
+   * @param {Uint8Array} key - The key (32 bytes)
+   * @returns {KeyRing} Returns this key ring for chaining
+   */
+  rotate(id, key) {
+    return this.add(id, key).use(id);
+  }
+
+  /**
+   * Gets the key of the writes.
+   * 
+   * @returns {Object} { id, key }
+   * @throws {Error} If there is no key
+   */
+  getCurrentKey() {
+    const id = this.currentId;
+    if(!id) {
+      throw new Error('The key ring has no key');
+    }
+    return { id, key: this.keys.get(id) };
+  }
+
+  /**
+   * Gets a key by id.
+   * 
+   * @param {number} id - The key id
+   * @returns {Uint8Array|null} The key (null if unknown)
+   */
+  getKey(id) {
+    return this.keys.get(id) ?? null;
+  }
+};
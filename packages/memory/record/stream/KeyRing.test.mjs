@@ -0,0 +1,29 @@
+import KeyRing from './KeyRing.mjs';
+import { randomBytes } from 'node:crypto';
+import { strictEqual, throws } from 'node:assert';
+import getPackageName from '@staabler/core/getPackageName.mjs';
+
+describe(getPackageName(import.meta.url), function() {
+
+  it('should support basic usage', function() {
+    const [first, second, third] = [randomBytes(32), randomBytes(32), randomBytes(32)];
+    const keys = new KeyRing({ 1: first, 2: second });
+    strictEqual(keys.getCurrentKey().id, 2);
+    strictEqual(keys.getCurrentKey().key, second);
+    strictEqual(keys.getKey(1), first);
+    strictEqual(keys.getKey(3), null);
+
+    keys.rotate(3, third);
+    strictEqual(keys.getCurrentKey().id, 3);
+    strictEqual(keys.use(1).getCurrentKey().key, first);
+    strictEqual(new KeyRing({ 1: first, 2: second }, 1).getCurrentKey().id, 1);
+  });
+
+  it('should only accept valid keys', function() {
+    throws(() => new KeyRing().getCurrentKey());
+    throws(() => new KeyRing({ 1: randomBytes(16) }));
+    throws(() => new KeyRing().add(0, randomBytes(32)));
+    throws(() => new KeyRing().use(1));
+  });
+
+});
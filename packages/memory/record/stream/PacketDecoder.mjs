@@ -0,0 +1,102 @@
+import Record from '../../Record.mjs';
+import Utf8 from '../../types/Utf8.mjs';
+import Dictionary from './Dictionary.mjs';
+import { decrypt } from './encryption.mjs';
+import { decompress } from './compression.mjs';
+import StreamDecryptionError from './StreamDecryptionError.mjs';
+
+/**
+ * Decodes the blocks of the packets of a stream (see Cursor and
+ * ReverseCursor): it decrypts the schemas and the bodies, registers the
+ * schemas and the compression dictionaries of the stream and decompresses
+ * the bodies. Reading the packets and verifying their checksum is left to
+ * the cursors.
+ */
+export default class PacketDecoder {
+
+  /**
+   * Creates a new PacketDecoder instance.
+   *
+   * @param {Object} stream - The stream of the packets
+   */
+  constructor(stream) {
+    this.stream = stream;
+  }
+
+  /**
+   * Decrypts a block (a schema or a body) of an encrypted packet.
+   *
+   * @param {Uint8Array} block - The encrypted block
+   * @param {number} keyId - The key id of the packet
+   * @param {Uint8Array} aad - The authenticated bytes of the header
+   * @param {number} initial - Position of the packet
+   * @returns {Uint8Array} The decrypted block
+   * @throws {StreamDecryptionError} If the key is unknown or the authentication fails
+   */
+  decrypt(block, keyId, aad, initial) {
+    const keyProvider = this.stream.keyProvider;
+    if(!keyProvider) {
+      throw new StreamDecryptionError(initial, keyId, 'no key provider');
+    }
+    const key = keyProvider.getKey(keyId);
+    if(!key) {
+      throw new StreamDecryptionError(initial, keyId, 'unknown key');
+    }
+    const plaintext = decrypt(key, block, aad);
+    if(!plaintext) {
+      throw new StreamDecryptionError(initial, keyId, 'authentication failed');
+    }
+    return plaintext;
+  }
+
+  /**
+   * Gets the Record class of a packet type, the schema block of the packet
+   * (if any) registers it.
+   *
+   * @param {bigint} type - The packet type
+   * @param {Uint8Array|null} block - The schema block (null if the packet has no schema)
+   * @param {number} keyId - The key id of the packet (0 if it is not encrypted)
+   * @param {Uint8Array|null} aad - The authenticated bytes of the header (if encrypted)
+   * @param {number} initial - Position of the packet
+   * @returns {Function|undefined} The Record class (undefined if the type is unknown)
+   */
+  getType(type, block, keyId, aad, initial) {
+    const registry = this.stream.registry;
+    let Type = registry.get(type);
+    if(!Type && block) {
+      const schema = keyId ? this.decrypt(block, keyId, aad, initial) : block;
+      // [name, schema] or [name, schema, options]
+      Type = Record(...JSON.parse(Utf8.getValue(schema, 0, schema.byteLength)));
+      registry.set(type, Type);
+    }
+    return Type;
+  }
+
+  /**
+   * Registers the compression dictionary of a dictionary packet.
+   *
+   * @param {Uint8Array} body - The (decrypted) body of the packet
+   */
+  addDictionary(body) {
+    const { id, bytes } = Dictionary.readOnly(body);
+    this.stream.dictionaries.set(id, bytes);
+  }
+
+  /**
+   * Decompresses the (decrypted) body of a compressed packet.
+   *
+   * @param {number} flags - The flags of the packet (see Header)
+   * @param {Uint8Array} body - The compressed body
+   * @param {number} initial - Position of the packet
+   * @returns {Uint8Array} The body
+   * @throws {Error} If the dictionary of the packet is unknown
+   */
+  decompress(flags, body, initial) {
+    const dictionaryId = flags >>> 8;
+    const dictionary = dictionaryId ? this.stream.dictionaries.get(dictionaryId) : null;
+    if(dictionary === undefined) {
+      throw new Error(`Unknown dictionary (id=${dictionaryId}, position=${initial})`);
+    }
+    return decompress(flags & 0xff, body, dictionary);
+  }
+};
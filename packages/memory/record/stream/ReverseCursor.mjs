@@ -0,0 +1,282 @@
+import crc32c from '@staabler/core/crc32c.mjs';
+import Header, { kChecksumByteOffset, kFlagsByteOffset, kKeyByteOffset, kTrailerByteLength } from './Header.mjs';
+import PacketDecoder from './PacketDecoder.mjs';
+import { kBatchType } from './Batch.mjs';
+import { kDictionaryType } from './Dictionary.mjs';
+import StreamCorruptionError from './StreamCorruptionError.mjs';
+import { kFileHeaderByteLength } from './FileHeader.mjs';
+import Uint32 from '../../types/Uint32.mjs';
+import BigUint64 from '../../types/BigUint64.mjs';
+import toAsyncIterator from '@staabler/core/toAsyncIterator.mjs';
+
+/**
+ * A cursor reading the records of a stream backwards, ex. the last records
+ * of an entity without reading the whole stream:
+ *
+ *  stream.createCursor(null, null, 'reverse').filter(Type => Type === Order).take(10);
+ *
+ * The trailer of each packet (see Header) is the byte length of the packet,
+ * the cursor follows the trailers from its position (a packet boundary, the
+ * end of the stream by default) to the start and decodes each packet (see
+ * PacketDecoder). The filters, the yielded records and positions are the
+ * same as with a forward cursor, in reverse order.
+ *
+ * A packet without a schema uses the registry of the stream (a schema is only
+ * written with the first packet of a type). If a schema or a compression
+ * dictionary is unknown (ex. written by another stream since this one was
+ * opened) the packets from the start of the stream are scanned until it is
+ * found: only their headers are read, and the packets of the unknown schemas
+ * and the dictionaries. The next scan resumes where the last one stopped.
+ *
+ * It never waits for new data, it ends at the start of the stream (or at
+ * the until position).
+ */
+export default class ReverseCursor {
+
+  /**
+   * Creates a new ReverseCursor instance.
+   *
+   * @param {Object} stream - The stream to iterate over
+   * @param {number} position - The position to read backwards from (exclusive)
+   * @param {AbortSignal} [signal=null] - Optional abort signal for cancellation
+   */
+  constructor(stream, position, signal = null) {
+    this._ReverseCursor = {
+      stream,
+      signal,
+      position,
+      filters: [],
+      mappers: [],
+      skip: 0,
+      take: Infinity,
+      until: 0,
+    };
+  }
+
+  /**
+   * Adds a filter function to the cursor chain.
+   *
+   * @param {Function} cb - Filter function that receives (Type, initial, end) and returns boolean
+   * @returns {ReverseCursor} Returns this cursor for chaining
+   */
+  filter(cb) {
+    this._ReverseCursor.filters.push(cb);
+    return this;
+  }
+
+  /**
+   * Adds a mapper function to the cursor chain.
+   *
+   * @param {Function} cb - Mapper function that receives an instance and returns a transformed instance
+   * @returns {ReverseCursor} Returns this cursor for chaining
+   */
+  map(cb) {
+    this._ReverseCursor.mappers.push(cb);
+    return this;
+  }
+
+  /**
+   * Skips the last records (after the filters).
+   *
+   * @param {number} n - Number of records to skip
+   * @returns {ReverseCursor} Returns this cursor for chaining
+   */
+  skip(n) {
+    this._ReverseCursor.skip = n;
+    return this;
+  }
+
+  /**
+   * Ends the cursor after a number of records (after the filters and skip).
+   *
+   * @param {number} n - Maximum number of records
+   * @returns {ReverseCursor} Returns this cursor for chaining
+   */
+  take(n) {
+    this._ReverseCursor.take = n;
+    return this;
+  }
+
+  /**
+   * Ends the cursor at a position, the records before it are not read.
+   *
+   * @param {number} position - The start position (inclusive)
+   * @returns {ReverseCursor} Returns this cursor for chaining
+   */
+  until(position) {
+    this._ReverseCursor.until = position;
+    return this;
+  }
+
+  /**
+   * Creates an iterator that yields records from the end of the stream.
+   *
+   * @generator
+   * @yields {Array} [initial, mapped, position] for records
+   * @throws {StreamCorruptionError} If a trailer does not match its packet
+   */
+  *iterator() {
+    const dataMap = this._ReverseCursor;
+    const { stream, signal, filters, mappers, until } = dataMap;
+    let { position, skip, take } = dataMap;
+    const native = stream.native;
+    const registry = stream.registry;
+    const dictionaries = stream.dictionaries;
+    const upcaster = stream.upcaster;
+    const decoder = new PacketDecoder(stream);
+    const headerByteLength = Header.BYTES_PER_ELEMENT;
+    // The start of the stream is scanned up to this position
+    let scanned = kFileHeaderByteLength;
+
+    /**
+     * Reads the header of a packet (a peeked buffer is only valid until the
+     * next peek, the fields are copied).
+     *
+     * @param {number} initial - Position of the packet
+     * @returns {Object|null} The fields of the header (null if it is truncated)
+     */
+    function readHeader(initial) {
+      const header = native.peek(headerByteLength, initial).subarray(0, headerByteLength);
+      if(header.byteLength !== headerByteLength) {
+        return null;
+      }
+      const schemaByteLength = Uint32.getValue(header, 12);
+      const bodyByteLength = Uint32.getValue(header, 8);
+      return {
+        type: BigUint64.getValue(header, 0),
+        schemaByteLength,
+        bodyByteLength,
+        flags: Uint32.getValue(header, kFlagsByteOffset),
+        keyId: Uint32.getValue(header, kKeyByteOffset),
+        checksum: Uint32.getValue(header, kChecksumByteOffset),
+        // The header is authenticated with the encrypted blocks
+        aad: header.slice(0, kChecksumByteOffset),
+        packetByteLength: headerByteLength + schemaByteLength + bodyByteLength
+      };
+    }
+
+    /**
+     * Reads the schema and the body of a packet and verifies its checksum.
+     *
+     * @param {number} initial - Position of the packet
+     * @param {Object} header - The fields of the header
+     * @returns {Array} [schema, body] (as stored, valid until the next peek)
+     * @throws {StreamCorruptionError} If the checksum does not match
+     */
+    function readBlocks(initial, header) {
+      const { packetByteLength, schemaByteLength, aad } = header;
+      const packet = native.peek(packetByteLength, initial).subarray(0, packetByteLength);
+      const blocks = packet.subarray(headerByteLength);
+      if(packet.byteLength !== packetByteLength || crc32c(blocks, crc32c(aad)) !== header.checksum) {
+        throw new StreamCorruptionError(initial, 'checksum mismatch');
+      }
+      return [blocks.subarray(0, schemaByteLength), blocks.subarray(schemaByteLength)];
+    }
+
+    /**
+     * Reads the packets after the scanned position until a schema or a
+     * dictionary is known (they are written before the packets using them),
+     * only the packets with an unknown schema and the dictionaries are read.
+     *
+     * @param {Function} isKnown - Returns true once the schema or the dictionary is known
+     * @param {number} end - Position of the packet using it
+     */
+    function scan(isKnown, end) {
+      while(!isKnown() && scanned < end) {
+        const initial = scanned;
+        const header = readHeader(initial);
+        if(!header) {
+          throw new StreamCorruptionError(initial, 'truncated packet');
+        }
+        const { type, keyId, aad, schemaByteLength } = header;
+        const isDictionary = type === kDictionaryType;
+        if(isDictionary) {
+          const [, body] = readBlocks(initial, header);
+          decoder.addDictionary(keyId ? decoder.decrypt(body, keyId, aad, initial) : body);
+        } else if(schemaByteLength && !registry.has(type)) {
+          const [schema] = readBlocks(initial, header);
+          decoder.getType(type, schema, keyId, aad, initial);
+        }
+        scanned = initial + header.packetByteLength + kTrailerByteLength;
+      }
+    }
+
+    // The packets start after the file header
+    while(!signal?.aborted && take && Math.max(until, kFileHeaderByteLength) < position) {
+      // A peeked buffer is only valid until the next peek
+      const trailer = kTrailerByteLength <= position ? native.peek(kTrailerByteLength, position - kTrailerByteLength).subarray(0, kTrailerByteLength) : null;
+      const packetByteLength = trailer?.byteLength === kTrailerByteLength ? Uint32.getValue(trailer, 0) : NaN;
+      const initial = position - kTrailerByteLength - packetByteLength;
+      const header = 0 <= initial ? readHeader(initial) : null;
+      if(header?.packetByteLength !== packetByteLength) {
+        throw new StreamCorruptionError(position, 'trailer mismatch');
+      }
+
+      const end = position;
+      position = initial;
+      const { type, schemaByteLength, flags, keyId, aad } = header;
+      // A batch marker and a dictionary are never yielded (a dictionary is
+      // only needed by the packets after it, read before it), their types
+      // are reserved
+      if(type === kBatchType || type === kDictionaryType) {
+        continue;
+      }
+      if(!schemaByteLength) {
+        scan(() => registry.has(type), initial);
+      }
+      let blocks = (schemaByteLength && !registry.has(type)) ? readBlocks(initial, header) : null;
+      const Type = decoder.getType(type, blocks?.[0], keyId, aad, initial);
+      if(!Type) {
+        throw new Error(`Unknown type (type=${type}, position=${initial})`);
+      }
+      const Current = upcaster ? upcaster.getType(Type) : Type;
+      if(!filters.every(cb => cb(Current, initial, end))) {
+        continue;
+      }
+      const dictionaryId = flags >>> 8;
+      if(dictionaryId && !dictionaries.has(dictionaryId)) {
+        scan(() => dictionaries.has(dictionaryId), initial);
+        // The blocks read for the schema are no longer valid
+        blocks = null;
+      }
+
+      blocks ??= readBlocks(initial, header);
+      let body = blocks[1];
+      if(keyId) {
+        body = decoder.decrypt(body, keyId, aad, initial);
+      }
+      if(skip) {
+        --skip;
+        continue;
+      }
+      if(flags) {
+        body = decoder.decompress(flags, body, initial);
+      }
+
+      // The body may be shared (ex. a file cache), writing copies it
+      const record = Type.copyOnWrite(body);
+      const instance = Current === Type ? record : upcaster.upcast(record);
+      const mapped = mappers.reduce((instance, cb) => cb(instance), instance);
+      --take;
+      yield [initial, mapped, end];
+    }
+  }
+
+  /**
+   * Returns an iterator for this cursor.
+   *
+   * @returns {Iterator} An iterator that yields records from the end of the stream
+   */
+  [Symbol.iterator]() {
+    return this.iterator();
+  }
+
+  /**
+   * Returns an async iterator for this cursor.
+   *
+   * @returns {AsyncIterator} An async iterator that yields [initial, mapped, position]
+   */
+  [Symbol.asyncIterator]() {
+    return toAsyncIterator(this.iterator());
+  }
+};
@@ -0,0 +1,247 @@
+import Stream from '../Stream.mjs';
+import Record from '../../Record.mjs';
+import isThenable from '@staabler/core/isThenable.mjs';
+
+/**
+ * An entry of the index: the ordinal (0 for the first record of the log),
+ * the byte position and the key of a record.
+ */
+export const IndexEntry = Record('IndexEntry', [
+  ['ordinal', 'Float64'],
+  ['position', 'Float64'],
+  ['key?', 'Float64']
+]);
+
+const defaultOptions = {
+  interval: 2**10,
+  getKey: null,
+  createTemporary: null
+};
+
+/**
+ * Reads the record starting at a position of a log (its checksum is verified).
+ * 
+ * @param {Stream} stream - The log
+ * @param {number} position - The position
+ * @returns {Array|null} [position, record, next] (null if no record starts at the position)
+ */
+function readRecord(stream, position) {
+  try {
+    for(const item of stream.createCursor(position).until(stream.position).take(1)) {
+      return (isThenable(item) || item[0] !== position) ? null : item;
+    }
+  } catch {
+    // Not the start of a packet (ex. an entry of another log)
+  }
+  return null;
+}
+
+/**
+ * Finds the last entry matching a predicate (the entries are sorted).
+ * 
+ * @param {Array<Object>} entries - The entries
+ * @param {Function} isBefore - Whether an entry is before (or at) the target
+ * @returns {Object|null} The last matching entry
+ */
+function findLast(entries, isBefore) {
+  let low = 0;
+  let high = entries.length;
+  while(low < high) {
+    const middle = (low + high) >>> 1;
+    if(isBefore(entries[middle])) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low ? entries[low - 1] : null;
+}
+
+/**
+ * A sparse index of a record stream, stored in a sidecar file: every K-th
+ * record (the interval) has an entry with its ordinal, position and an
+ * optional key (ex. a timestamp, the keys must not decrease).
+ * 
+ * The index file is a record stream itself and it is checked against the
+ * log when the log is opened (see Stream#init), a missing or stale index
+ * (ex. a crash between the log and the index writes) is rebuilt. A rebuilt
+ * index is written to a temporary file that replaces the index file (the
+ * index file is written again if there is no temporary file).
+ * 
+ *  const index = new SparseIndex(new Cache(File.construct(`${filename}.index`, 'a+')), {
+ *    getKey: record => record.createdAt,
+ *    createTemporary: () => new Cache(File.construct(`${filename}.index.tmp`, 'a+'))
+ *  });
+ *  const stream = new Stream(native, projection, undefined, null, { index });
+ *  stream.createCursor(stream.seekToKey(Date.now() - 60000));
+ */
+export default class SparseIndex {
+
+  /**
+   * Creates a new SparseIndex instance.
+   * 
+   * @param {Object} native - The native stream implementation of the index file
+   * @param {Object} [options=defaultOptions] - { interval: number, getKey: Function|null, createTemporary: Function|null } (getKey is record => number, createTemporary returns the native stream implementation of an empty temporary file)
+   */
+  constructor(native, options = defaultOptions) {
+    const { interval = defaultOptions.interval, getKey = null, createTemporary = null } = options;
+    this.native = native;
+    this.interval = interval;
+    this.getKey = getKey;
+    this.createTemporary = createTemporary;
+    this.count = 0; // Number of records in the log
+    this.entries = []; // { ordinal, position, key }
+    this.stream = new Stream(native, this);
+  }
+
+  /**
+   * Projection: only the index entries are handled.
+   * 
+   * @param {Function} Type - The record type
+   * @returns {boolean} Whether the record is handled
+   */
+  match(Type) {
+    return Type === IndexEntry;
+  }
+
+  /**
+   * Projection: adds an index entry.
+   * 
+   * @param {Object} record - An IndexEntry
+   */
+  handle(record) {
+    const { ordinal, position, key } = record;
+    this.entries.push({ ordinal, position, key });
+  }
+
+  /**
+   * Indexes the records written to the log.
+   * 
+   * @param {Array<Array>} written - [record, position] in the log order
+   */
+  add(written) {
+    const { interval, getKey } = this;
+    const entries = [];
+    written.forEach(([record, position]) => {
+      if(this.count % interval === 0) {
+        entries.push(new IndexEntry({ ordinal: this.count, position, key: getKey ? getKey(record) : null }));
+      }
+      ++this.count;
+    });
+    this.stream.writeManySync(entries);
+  }
+
+  /**
+   * Checks the index against the log: the record of every entry is read
+   * (it must start at the position and have the key), the log is only read
+   * after the last valid entry. The entries after the first invalid one are
+   * rebuilt.
+   * 
+   * @param {Stream} stream - The log
+   * @returns {boolean} Whether the index was written (entries added or rebuilt)
+   */
+  sync(stream) {
+    const { interval, getKey, entries } = this;
+    let valid = 0;
+    let previous = -1;
+    while(valid < entries.length) {
+      const { ordinal, position, key } = entries[valid];
+      const item = (ordinal === valid*interval && previous < position) ? readRecord(stream, position) : null;
+      if(!item || (getKey && getKey(item[1]) !== key)) {
+        break;
+      }
+      previous = position;
+      ++valid;
+    }
+
+    const added = this.scan(stream, entries[valid - 1] ?? null);
+    if(valid === entries.length) {
+      // The log was written without the index (the entries are appended)
+      this.stream.writeManySync(added.map(entry => new IndexEntry(entry)));
+      return added.length !== 0;
+    }
+    this.replace(entries.slice(0, valid).concat(added));
+    return true;
+  }
+
+  /**
+   * Rebuilds every entry from the log (ex. after a compaction, the positions
+   * may match while the records do not).
+   * 
+   * @param {Stream} stream - The log
+   */
+  rebuild(stream) {
+    this.replace(this.scan(stream, null));
+  }
+
+  /**
+   * Reads the log after an entry (every record, so their checksum is
+   * verified) and counts its records.
+   * 
+   * @param {Stream} stream - The log
+   * @param {Object|null} last - The last valid entry (null to read the whole log)
+   * @returns {Array<Object>} The entries after the last entry
+   */
+  scan(stream, last) {
+    const { interval, getKey } = this;
+    const entries = [];
+    let ordinal = last ? last.ordinal : 0;
+    for(const item of stream.createCursor(last ? last.position : 0).until(stream.position)) {
+      if(isThenable(item)) {
+        break;
+      }
+      const [position, record] = item;
+      if(ordinal % interval === 0 && ordinal !== last?.ordinal) {
+        entries.push({ ordinal, position, key: getKey ? getKey(record) : null });
+      }
+      ++ordinal;
+    }
+    this.count = ordinal;
+    return entries;
+  }
+
+  /**
+   * Replaces the index file with the entries. They are written to a
+   * temporary file first, so a crash leaves either index file (a stale
+   * one is rebuilt when the log is opened again).
+   * 
+   * @param {Array<Object>} entries - The entries { ordinal, position, key }
+   */
+  replace(entries) {
+    const records = entries.map(entry => new IndexEntry(entry));
+    const temporary = this.createTemporary?.() ?? null;
+    if(temporary) {
+      temporary.truncateSync(0);
+      new Stream(temporary).writeManySync(records);
+      temporary.fdatasyncSync();
+      this.native.replaceSync(temporary);
+    } else {
+      this.native.truncateSync(0);
+    }
+    this.entries = [];
+    this.stream = new Stream(this.native, this);
+    if(!temporary) {
+      this.stream.writeManySync(records);
+    }
+  }
+
+  /**
+   * Finds the closest entry at or before an ordinal.
+   * 
+   * @param {number} ordinal - The ordinal of a record
+   * @returns {Object|null} The entry { ordinal, position, key }
+   */
+  findByOrdinal(ordinal) {
+    return findLast(this.entries, entry => entry.ordinal <= ordinal);
+  }
+
+  /**
+   * Finds the last entry before a key (the first record with the key is after it).
+   * 
+   * @param {number} key - The key
+   * @returns {Object|null} The entry { ordinal, position, key }
+   */
+  findByKey(key) {
+    return findLast(this.entries, entry => entry.key < key);
+  }
+};
@@ -0,0 +1,123 @@
+import Stream from '../Stream.mjs';
+import Record from '../../Record.mjs';
+import { strictEqual, throws } from 'node:assert';
+import SparseIndex from './SparseIndex.mjs';
+import File from '@staabler/filesystem/File.mjs';
+import isThenable from '@staabler/core/isThenable.mjs';
+import Cache from '@staabler/filesystem/file/Cache.mjs';
+import getPackageName from '@staabler/core/getPackageName.mjs';
+
+describe(getPackageName(import.meta.url), function() {
+
+  const Event = Record('Event', { id: 'Uint32', time: 'Float64', name: 'Utf8' });
+  const getKey = record => record.time;
+
+  const readFirst = (stream, position) => {
+    for(const item of stream.createCursor(position)) {
+      return isThenable(item) ? null : item[1].id;
+    }
+  };
+
+  const createEvents = (from, to) => Array.from({ length: to - from }, (_, i) => new Event({ id: from + i, time: (from + i)*10, name: `event ${from + i}` }));
+
+  it('should seek by ordinal and key', function() {
+    const log = File.construct(':memory:');
+    const file = File.construct(':memory:');
+    const index = new SparseIndex(new Cache(file), { interval: 4, getKey });
+    const stream = new Stream(new Cache(log), undefined, undefined, null, { index });
+    stream.writeManySync(createEvents(0, 10));
+    stream.writeManySync(createEvents(10, 21));
+    strictEqual(index.count, 21);
+    strictEqual(index.entries.map(entry => entry.ordinal).join(), '0,4,8,12,16,20');
+    strictEqual(index.entries.map(entry => entry.key).join(), '0,40,80,120,160,200');
+
+    strictEqual(readFirst(stream, stream.seekToOrdinal(0)), 0);
+    strictEqual(readFirst(stream, stream.seekToOrdinal(13)), 13);
+    strictEqual(readFirst(stream, stream.seekToOrdinal(20)), 20);
+    strictEqual(stream.seekToOrdinal(21), stream.position);
+    strictEqual(readFirst(stream, stream.seekToKey(0)), 0);
+    strictEqual(readFirst(stream, stream.seekToKey(125)), 13);
+    strictEqual(readFirst(stream, stream.seekToKey(160)), 16);
+    strictEqual(stream.seekToKey(1000), stream.position);
+
+    // Seeking by ordinal does not need an index
+    const plain = new Stream(new Cache(log));
+    strictEqual(plain.seekToOrdinal(13), stream.seekToOrdinal(13));
+    throws(() => plain.seekToKey(125));
+
+    // The index is read back
+    const reopened = new SparseIndex(new Cache(file), { interval: 4, getKey });
+    new Stream(new Cache(log), undefined, undefined, null, { index: reopened });
+    strictEqual(JSON.stringify(reopened.entries), JSON.stringify(index.entries));
+    strictEqual(reopened.count, 21);
+
+    // Only the records of the entries and the records after the last entry are read
+    const positions = [];
+    const opened = new Stream(new Cache(log));
+    opened.createCursor = (position, ...args) => {
+      positions.push(position);
+      return Stream.prototype.createCursor.call(opened, position, ...args);
+    };
+    strictEqual(reopened.sync(opened), false);
+    strictEqual(positions.join(), index.entries.map(entry => entry.position).concat(index.entries.at(-1).position).join());
+    strictEqual(reopened.count, 21);
+  });
+
+  it('should rebuild a missing or stale index', function() {
+    const log = File.construct(':memory:');
+    new Stream(new Cache(log)).writeManySync(createEvents(0, 10));
+
+    // Missing
+    const file = File.construct(':memory:');
+    const index = new SparseIndex(new Cache(file), { interval: 4, getKey });
+    const stream = new Stream(new Cache(log), undefined, undefined, null, { index });
+    strictEqual(index.entries.map(entry => entry.key).join(), '0,40,80');
+    strictEqual(readFirst(stream, stream.seekToKey(45)), 5);
+
+    // Stale (the log was written without the index), the entries are appended
+    const temporaries = [];
+    const createTemporary = () => {
+      temporaries.push(file.buffer.byteLength);
+      return new Cache(File.construct(':memory:'));
+    };
+    new Stream(new Cache(log)).writeManySync(createEvents(10, 13));
+    const stale = new SparseIndex(new Cache(file), { interval: 4, getKey, createTemporary });
+    strictEqual(stale.entries.length, 3);
+    new Stream(new Cache(log), undefined, undefined, null, { index: stale });
+    strictEqual(stale.entries.map(entry => entry.ordinal).join(), '0,4,8,12');
+    strictEqual(stale.count, 13);
+    strictEqual(new SparseIndex(new Cache(file), { interval: 4, getKey }).entries.length, 4);
+    strictEqual(temporaries.length, 0);
+
+    // A key that does not match its record, the index file is replaced (it is intact until then)
+    const rewritten = File.construct(':memory:');
+    new Stream(new Cache(rewritten)).writeManySync(createEvents(0, 4).concat(createEvents(5, 14)));
+    const byteLength = file.buffer.byteLength;
+    const replaced = new SparseIndex(new Cache(file), { interval: 4, getKey, createTemporary });
+    new Stream(new Cache(rewritten), undefined, undefined, null, { index: replaced });
+    strictEqual(replaced.entries.map(entry => entry.key).join(), '0,50,90,130');
+    strictEqual(JSON.stringify(temporaries), JSON.stringify([byteLength]));
+    strictEqual(new SparseIndex(new Cache(file), { interval: 4, getKey }).entries.map(entry => entry.key).join(), '0,50,90,130');
+
+    // Entries after the end of the log (ex. a torn log write)
+    const other = File.construct(':memory:');
+    new Stream(new Cache(other)).writeManySync(createEvents(0, 6));
+    const ahead = new SparseIndex(new Cache(file), { interval: 4 });
+    strictEqual(ahead.sync(new Stream(new Cache(other))), true);
+    strictEqual(ahead.entries.map(entry => entry.ordinal).join(), '0,4');
+    strictEqual(ahead.sync(new Stream(new Cache(other))), false);
+  });
+
+  it('should be updated by a compaction', async function() {
+    const index = new SparseIndex(new Cache(File.construct(':memory:')), { interval: 2, getKey });
+    const stream = new Stream(new Cache(File.construct(':memory:')), undefined, undefined, null, { index });
+    stream.writeManySync(createEvents(0, 6));
+    stream.writeManySync(createEvents(0, 3));
+    strictEqual(index.count, 9);
+    await stream.compact(new Cache(File.construct(':memory:')), record => record.id);
+    strictEqual(index.count, 6);
+    strictEqual(index.entries.map(entry => entry.key).join(), '30,50,10');
+    strictEqual(readFirst(stream, stream.seekToOrdinal(5)), 2);
+  });
+
+});
@@ -0,0 +1,21 @@
+/**
+ * Error thrown when a stream contains a packet that is partial (ex. a torn
+ * write after a crash) or does not match its checksum.
+ */
+export default class StreamCorruptionError extends Error {
+
+  /**
+   * Creates a new StreamCorruptionError instance.
+   * 
+   * @param {number} [position=0] - Position of the corrupt packet
+   * @param {string} [reason=''] - What is wrong with the packet
+   */
+  constructor(position = 0, reason = '') {
+    super(`Corrupt stream packet at position ${position} (${reason})`);
+    if(Error.captureStackTrace) {
+      Error.captureStackTrace(this, StreamCorruptionError);
+    }
+    this.name = "StreamCorruptionError";
+    this.position = position;
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Error thrown when an encrypted stream packet cannot be decrypted (ex. an
+ * unknown key or an authentication failure of a tampered packet).
+ */
+export default class StreamDecryptionError extends Error {
+
+  /**
+   * Creates a new StreamDecryptionError instance.
+   * 
+   * @param {number} position - Position of the packet in the stream
+   * @param {number} keyId - Id of the key of the packet
+   * @param {string} reason - Why the packet cannot be decrypted
+   */
+  constructor(position, keyId, reason) {
+    super(`Cannot decrypt stream packet at position ${position} with key ${keyId} (${reason})`);
+    if(Error.captureStackTrace) {
+      Error.captureStackTrace(this, StreamDecryptionError);
+    }
+    this.name = "StreamDecryptionError";
+    this.position = position;
+    this.keyId = keyId;
+  }
+};
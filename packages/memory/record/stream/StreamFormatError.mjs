@@ -0,0 +1,26 @@
+/**
+ * Error thrown when a stream file does not start with the file header of
+ * the current format (ex. a file of an older version), the file is left
+ * as it is. A stream written before the file header can be upgraded (see
+ * Stream.upgrade).
+ */
+export default class StreamFormatError extends Error {
+
+  /**
+   * Creates a new StreamFormatError instance.
+   * 
+   * @param {number} magic - The magic number of the file
+   * @param {number} version - The format version of the file
+   * @param {boolean} [legacy=false] - True if the stream was written before the file header
+   */
+  constructor(magic, version, legacy = false) {
+    super(`Unknown stream format (magic=0x${magic.toString(16)}, version=${version})${legacy ? ', the stream was written before the file header (see Stream.upgrade)' : ''}`);
+    if(Error.captureStackTrace) {
+      Error.captureStackTrace(this, StreamFormatError);
+    }
+    this.name = "StreamFormatError";
+    this.magic = magic;
+    this.version = version;
+    this.legacy = legacy;
+  }
+};
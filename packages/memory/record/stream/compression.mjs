@@ -0,0 +1,127 @@
+/**
+ * Per-packet compression of the record streams (see record/Stream) and
+ * messages (see record/Encoder). The algorithm of a packet is stored with
+ * the packet, so a reader decompresses it without any configuration.
+ */
+import * as zlib from 'node:zlib';
+
+/**
+ * The algorithms (zstd depends on the node version). The id is stored in
+ * the packets and must never change.
+ * @type {Object}
+ */
+const algorithms = {
+  deflate: {
+    id: 1,
+    compress: (buffer, dictionary) => zlib.deflateRawSync(buffer, dictionary ? { dictionary } : {}),
+    decompress: (buffer, dictionary) => zlib.inflateRawSync(buffer, dictionary ? { dictionary } : {}),
+    dictionary: true
+  },
+  brotli: {
+    id: 2,
+    compress: buffer => zlib.brotliCompressSync(buffer),
+    decompress: buffer => zlib.brotliDecompressSync(buffer),
+    dictionary: false
+  },
+  ...(zlib.zstdCompressSync ? {
+    zstd: {
+      id: 3,
+      compress: (buffer, dictionary) => zlib.zstdCompressSync(buffer, dictionary ? { dictionary } : {}),
+      decompress: (buffer, dictionary) => zlib.zstdDecompressSync(buffer, dictionary ? { dictionary } : {}),
+      dictionary: true
+    }
+  } : {})
+};
+
+/**
+ * The algorithms by id.
+ * @type {Map<number, Object>}
+ */
+const byId = new Map(Object.values(algorithms).map(algorithm => [algorithm.id, algorithm]));
+
+/**
+ * Converts a node Buffer to a plain Uint8Array (a Record needs one).
+ * 
+ * @param {Buffer} buffer - The buffer
+ * @returns {Uint8Array} The same memory
+ */
+const toUint8Array = buffer => new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+
+/**
+ * The names of the available algorithms, ex. ['deflate', 'brotli', 'zstd'].
+ * @type {Array<string>}
+ */
+export const kCompressionAlgorithms = Object.freeze(Object.keys(algorithms));
+
+/**
+ * Gets an available algorithm by name.
+ * 
+ * @param {string} name - The algorithm name
+ * @param {boolean} [withDictionary=false] - Whether the algorithm must support a dictionary
+ * @returns {Object} The algorithm { id, compress, decompress, dictionary }
+ * @throws {Error} If the algorithm is not available
+ */
+export function getCompressionAlgorithm(name, withDictionary = false) {
+  const algorithm = algorithms[name];
+  if(!algorithm) {
+    throw new Error(`Unknown compression algorithm "${name}" (available: ${kCompressionAlgorithms.join(', ')})`);
+  }
+  if(withDictionary && !algorithm.dictionary) {
+    throw new Error(`The compression algorithm "${name}" does not support a dictionary`);
+  }
+  return algorithm;
+}
+
+/**
+ * Compresses a buffer.
+ * 
+ * @param {string} name - The algorithm name
+ * @param {Uint8Array} buffer - The buffer
+ * @param {Uint8Array} [dictionary=null] - A shared dictionary
+ * @returns {Uint8Array} The compressed buffer
+ */
+export function compress(name, buffer, dictionary = null) {
+  return toUint8Array(getCompressionAlgorithm(name, !!dictionary).compress(buffer, dictionary));
+}
+
+/**
+ * Decompresses a buffer.
+ * 
+ * @param {number} id - The algorithm id (as stored in a packet)
+ * @param {Uint8Array} buffer - The compressed buffer
+ * @param {Uint8Array} [dictionary=null] - The dictionary of the compression
+ * @returns {Uint8Array} The buffer
+ * @throws {Error} If the algorithm is not available
+ */
+export function decompress(id, buffer, dictionary = null) {
+  const algorithm = byId.get(id);
+  if(!algorithm) {
+    throw new Error(`Unknown compression algorithm (id=${id})`);
+  }
+  return toUint8Array(algorithm.decompress(buffer, dictionary));
+}
+
+/**
+ * Builds a dictionary from samples (ex. record buffers): the most recent
+ * samples are kept, at the end of the dictionary (deflate and zstd favour
+ * the end of a raw dictionary).
+ * 
+ * @param {Array<Uint8Array>} samples - The samples
+ * @param {number} [byteLength=2**15] - The maximum dictionary size
+ * @returns {Uint8Array} The dictionary
+ */
+export function trainDictionary(samples, byteLength = 2**15) {
+  const kept = [];
+  let total = 0;
+  for(let i = samples.length - 1; 0 <= i && total < byteLength; --i) {
+    const sample = samples[i].subarray(Math.max(0, samples[i].byteLength - (byteLength - total)));
+    kept.unshift(sample);
+    total += sample.byteLength;
+  }
+  const dictionary = new Uint8Array(total);
+  kept.reduce((offset, sample) => {
+    dictionary.set(sample, offset);
+    return offset + sample.byteLength;
+  }, 0);
+  return dictionary;
+}
@@ -0,0 +1,39 @@
+import { strictEqual, throws } from 'node:assert';
+import getPackageName from '@staabler/core/getPackageName.mjs';
+import { compress, decompress, getCompressionAlgorithm, kCompressionAlgorithms, trainDictionary } from './compression.mjs';
+
+describe(getPackageName(import.meta.url), function() {
+
+  const encoder = new TextEncoder();
+  const text = encoder.encode('{"name":"John","email":"john@example.com","status":"active"}');
+
+  it('should support basic usage', function() {
+    strictEqual(kCompressionAlgorithms.includes('deflate'), true);
+    strictEqual(kCompressionAlgorithms.includes('brotli'), true);
+    kCompressionAlgorithms.forEach(name => {
+      const buffer = encoder.encode('a repetitive text '.repeat(100));
+      const compressed = compress(name, buffer);
+      strictEqual(compressed.constructor, Uint8Array);
+      strictEqual(compressed.byteLength < buffer.byteLength, true);
+      const decompressed = decompress(getCompressionAlgorithm(name).id, compressed);
+      strictEqual(decompressed.constructor, Uint8Array);
+      strictEqual(Buffer.compare(decompressed, buffer), 0);
+    });
+    throws(() => compress('lz4', text));
+    throws(() => decompress(0xff, text));
+  });
+
+  it('should support a shared dictionary', function() {
+    const samples = Array.from({ length: 10 }, () => text);
+    const dictionary = trainDictionary(samples, 100);
+    strictEqual(dictionary.byteLength, 100);
+    strictEqual(Buffer.compare(dictionary.subarray(-text.byteLength), text), 0);
+    strictEqual(trainDictionary([text]).byteLength, text.byteLength);
+
+    const compressed = compress('deflate', text, dictionary);
+    strictEqual(compressed.byteLength < compress('deflate', text).byteLength/2, true);
+    strictEqual(Buffer.compare(decompress(getCompressionAlgorithm('deflate').id, compressed, dictionary), text), 0);
+    throws(() => compress('brotli', text, dictionary));
+  });
+
+});
@@ -0,0 +1,69 @@
+/**
+ * AES-256-GCM encryption of the stream packets (see record/Stream). A block
+ * (a schema or a body) is stored as [iv][tag][ciphertext] and the header of
+ * the packet is authenticated with it.
+ */
+import crypto from 'node:crypto';
+
+/**
+ * Byte length of the initialization vector (random for every block).
+ * @type {number}
+ */
+export const kIvByteLength = 12;
+
+/**
+ * Byte length of the authentication tag.
+ * @type {number}
+ */
+export const kTagByteLength = 16;
+
+/**
+ * Byte length added to an encrypted block.
+ * @type {number}
+ */
+export const kEncryptionOverhead = kIvByteLength + kTagByteLength;
+
+/**
+ * Encrypts a block.
+ * 
+ * @param {Uint8Array} key - The 32 bytes key
+ * @param {Uint8Array} plaintext - The block
+ * @param {Uint8Array} aad - Additional authenticated data (ex. the header)
+ * @returns {Uint8Array} [iv][tag][ciphertext]
+ */
+export function encrypt(key, plaintext, aad) {
+  const iv = crypto.randomBytes(kIvByteLength);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(aad);
+  const ciphertext = cipher.update(plaintext);
+  cipher.final();
+  const block = new Uint8Array(kEncryptionOverhead + plaintext.byteLength);
+  block.set(iv, 0);
+  block.set(cipher.getAuthTag(), kIvByteLength);
+  block.set(ciphertext, kEncryptionOverhead);
+  return block;
+}
+
+/**
+ * Decrypts a block.
+ * 
+ * @param {Uint8Array} key - The 32 bytes key
+ * @param {Uint8Array} block - [iv][tag][ciphertext]
+ * @param {Uint8Array} aad - Additional authenticated data (ex. the header)
+ * @returns {Uint8Array|null} The plaintext (null if the authentication failed)
+ */
+export function decrypt(key, block, aad) {
+  if(block.byteLength < kEncryptionOverhead) {
+    return null;
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, block.subarray(0, kIvByteLength));
+  decipher.setAAD(aad);
+  decipher.setAuthTag(block.subarray(kIvByteLength, kEncryptionOverhead));
+  const plaintext = decipher.update(block.subarray(kEncryptionOverhead));
+  try {
+    decipher.final();
+  } catch(e) {
+    return null;
+  }
+  return new Uint8Array(plaintext.buffer, plaintext.byteOffset, plaintext.byteLength);
+}
@@ -0,0 +1,23 @@
+/**
+ * Error thrown when a record cannot be migrated from one schema to another.
+ * The schemas are identified by their type (see getSchemaType).
+ */
+export default class SchemaMigrationError extends Error {
+
+  /**
+   * Creates a new SchemaMigrationError instance.
+   *
+   * @param {string} reason - Why the migration is not possible
+   * @param {bigint} from - Schema type of the source record
+   * @param {bigint} to - Schema type of the target record
+   */
+  constructor(reason, from, to) {
+    super(`${reason} (from=${from}, to=${to})`);
+    if(Error.captureStackTrace) {
+      Error.captureStackTrace(this, SchemaMigrationError);
+    }
+    this.name = "SchemaMigrationError";
+    this.from = from;
+    this.to = to;
+  }
+};
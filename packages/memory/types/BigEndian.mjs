@@ -0,0 +1,83 @@
+import withCache from '@staabler/core/withCache.mjs';
+
+/**
+ * Creates a big-endian (network byte order) variant of a fixed size type.
+ *
+ * The builtin types store values in little-endian byte order, so the
+ * variant reads/writes the value through a scratch buffer with the bytes
+ * reversed. Single byte types are returned as is.
+ *
+ * @param {Function} Type - Type to convert (must have a BYTES_PER_ELEMENT)
+ * @returns {Function} Big-endian type with getValue/setValue
+ */
+export default withCache(new WeakMap(), Type => {
+  const { BYTES_PER_ELEMENT } = Type;
+  if(!(1 < BYTES_PER_ELEMENT)) {
+    return Type;
+  }
+
+  const scratch = new Uint8Array(BYTES_PER_ELEMENT);
+  const last = BYTES_PER_ELEMENT - 1;
+
+  return class BigEndian {
+
+    /**
+     * The little-endian type.
+     * @type {Function}
+     */
+    static Type = Type;
+
+    /**
+     * Number of bytes required to store the value.
+     * @type {number}
+     */
+    static BYTES_PER_ELEMENT = BYTES_PER_ELEMENT;
+
+    /**
+     * Compares two values (if the type has a custom order).
+     * @type {Function|undefined}
+     */
+    static compare = Type.compare;
+
+    /**
+     * Checks a value (if the type has a custom check).
+     * @type {Function|undefined}
+     */
+    static check = Type.check;
+
+    /**
+     * Gets the JSON Schema of a value (if the type has a custom one).
+     * @type {Function|undefined}
+     */
+    static toJSONSchema = Type.toJSONSchema;
+
+    /**
+     * Reads a big-endian value from a buffer at the specified offset.
+     *
+     * @param {Uint8Array} buffer - The buffer to read from
+     * @param {number} [byteOffset=0] - Byte offset within the buffer
+     * @returns {*} The value
+     */
+    static getValue(buffer, byteOffset = 0) {
+      for(let i = 0; i < BYTES_PER_ELEMENT; ++i) {
+        scratch[i] = buffer[byteOffset + last - i];
+      }
+      return Type.getValue(scratch, 0);
+    }
+
+    /**
+     * Writes a big-endian value to a buffer at the specified offset.
+     *
+     * @param {Uint8Array} buffer - The buffer to write to
+     * @param {number} byteOffset - Byte offset within the buffer
+     * @param {*} value - The value to write
+     */
+    static setValue(buffer, byteOffset, value) {
+      Type.setValue(scratch, 0, value);
+      for(let i = 0; i < BYTES_PER_ELEMENT; ++i) {
+        buffer[byteOffset + last - i] = scratch[i];
+      }
+    }
+
+  };
+});
@@ -53,4 +53,14 @@ export default class BigInt64 {
     Int32.setValue(buffer, byteOffset + 4, high);
   }
   
+  /**
+   * Gets the JSON Schema of the JSON form of a value.
+   * 
+   * @returns {Object} JSON Schema (a decimal string, a JSON number is only
+   * exact up to 2^53)
+   */
+  static toJSONSchema() {
+    return { type: 'string', pattern: '^-?\\d+$' };
+  }
+
 };
\ No newline at end of file
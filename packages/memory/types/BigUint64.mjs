@@ -48,4 +48,14 @@ export default class BigUint64 {
     Uint32.setValue(buffer, byteOffset + 4, high);
   }
 
+  /**
+   * Gets the JSON Schema of the JSON form of a value.
+   * 
+   * @returns {Object} JSON Schema (a decimal string, a JSON number is only
+   * exact up to 2^53)
+   */
+  static toJSONSchema() {
+    return { type: 'string', pattern: '^\\d+$' };
+  }
+
 };
\ No newline at end of file
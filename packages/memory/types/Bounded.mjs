@@ -0,0 +1,187 @@
+import Utf8 from './Utf8.mjs';
+import Bytes, { fromJSONBytes, isJSONBytes } from './Bytes.mjs';
+import Uint8 from './Uint8.mjs';
+import Uint16 from './Uint16.mjs';
+import Uint32 from './Uint32.mjs';
+import withCache from '@staabler/core/withCache.mjs';
+
+/**
+ * Supported overflow policies.
+ * @type {string[]}
+ */
+const overflowPolicies = ['throw', 'truncate'];
+
+/**
+ * Gets the length of the longest prefix of a string that fits the capacity,
+ * without splitting a character (nor a surrogate pair).
+ *
+ * @param {string} value - The string to truncate
+ * @param {number} capacity - Maximum number of bytes
+ * @returns {number} Number of UTF-16 code units to keep
+ */
+function getTruncatedLength(value, capacity) {
+  let byteLength = 0;
+  let i = 0;
+  const len = value.length;
+  while(i < len) {
+    const code = value.charCodeAt(i);
+    const isPair = 0xD800 <= code && code <= 0xDBFF && i + 1 < len;
+    const units = isPair ? 2 : 1;
+    const bytes = Utf8.getByteLengthOf(value.slice(i, i + units));
+    if(capacity < byteLength + bytes) {
+      break;
+    }
+    byteLength += bytes;
+    i += units;
+  }
+  return i;
+}
+
+/**
+ * Creates a bounded (fixed capacity) variant of Utf8 or Bytes.
+ *
+ * The value is stored inline as a length prefix (Uint8, Uint16 or Uint32
+ * depending on the capacity) followed by capacity bytes, so a Record using
+ * it keeps a fixed size. Unused bytes are zeroed.
+ *
+ * @param {Function} Type - Utf8 or Bytes
+ * @param {number} capacity - Maximum number of bytes
+ * @param {string} [overflow='throw'] - What to do with larger values ('throw' or 'truncate')
+ * @returns {Function} Bounded type with getValue/setValue
+ * @throws {Error} If the arguments are invalid
+ */
+export default function Bounded(Type, capacity, overflow = 'throw') {
+  if(!(Type === Utf8 || Type === Bytes)) {
+    throw new Error(`Bounded types require Utf8 or Bytes (got=${Type?.name})`);
+  }
+  if(!(Number.isSafeInteger(capacity) && 0 < capacity)) {
+    throw new Error(`Invalid capacity (got=${capacity})`);
+  }
+  if(!overflowPolicies.includes(overflow)) {
+    throw new Error(`Invalid overflow policy (got=${overflow})`);
+  }
+  return create(`${Type.name}(${capacity}):${overflow}`);
+}
+
+/**
+ * Creates (once) the bounded type for a key.
+ *
+ * @param {string} key - ex. "Utf8(32):throw"
+ * @returns {Function} Bounded type
+ */
+const create = withCache(new Map(), key => {
+  const [, typeName, capacityAsString, overflow] = key.match(/^(\w+)\((\d+)\):(\w+)$/);
+  const Type = typeName === 'Utf8' ? Utf8 : Bytes;
+  const capacity = Number(capacityAsString);
+  const Prefix = capacity <= 0xFF ? Uint8 : capacity <= 0xFFFF ? Uint16 : Uint32;
+  const prefixByteLength = Prefix.BYTES_PER_ELEMENT;
+  const isString = Type === Utf8;
+
+  /**
+   * Fits a value to the capacity according to the overflow policy.
+   *
+   * @param {string|Uint8Array} value - The value to write (the bytes may be a base64 string)
+   * @returns {string|Uint8Array} The value to write
+   */
+  const fit = value => {
+    value = isString ? value : fromJSONBytes(value);
+    const byteLength = Type.getByteLengthOf(value);
+    if(byteLength <= capacity) {
+      return value;
+    }
+    if(overflow === 'throw') {
+      throw new Error(`Value exceeds the capacity of ${typeName}(${capacity}) (got=${byteLength} bytes)`);
+    }
+    return isString ? value.slice(0, getTruncatedLength(value, capacity)) : value.subarray(0, capacity);
+  };
+
+  return class Bounded {
+
+    /**
+     * The unbounded type (Utf8 or Bytes).
+     * @type {Function}
+     */
+    static Type = Type;
+
+    /**
+     * Maximum number of bytes of a value.
+     * @type {number}
+     */
+    static capacity = capacity;
+
+    /**
+     * Number of bytes required to store a value (length prefix and capacity).
+     * @type {number}
+     */
+    static BYTES_PER_ELEMENT = prefixByteLength + capacity;
+
+    /**
+     * Alignment of the type within a record (the length prefix).
+     * @type {number}
+     */
+    static ALIGNMENT = prefixByteLength;
+
+    /**
+     * Reads the value stored at the specified offset.
+     *
+     * @param {Uint8Array} buffer - The buffer to read from
+     * @param {number} [byteOffset=0] - Byte offset within the buffer
+     * @returns {string|Uint8Array} The value (Bytes are a view of the buffer)
+     */
+    static getValue(buffer, byteOffset = 0) {
+      const byteLength = Math.min(Prefix.getValue(buffer, byteOffset), capacity);
+      return Type.getValue(buffer, byteOffset + prefixByteLength, byteLength);
+    }
+
+    /**
+     * Writes a value to the buffer at the specified offset.
+     *
+     * @param {Uint8Array} buffer - The buffer to write to
+     * @param {number} byteOffset - Byte offset within the buffer
+     * @param {string|Uint8Array} value - The value to write (the bytes may be a base64 string)
+     * @throws {Error} If the value exceeds the capacity and the policy is 'throw'
+     * @throws {TypeError} If the bytes are a string but not a base64 string
+     */
+    static setValue(buffer, byteOffset, value) {
+      const fitted = fit(value);
+      const byteLength = Type.getByteLengthOf(fitted);
+      const begin = byteOffset + prefixByteLength;
+      Prefix.setValue(buffer, byteOffset, byteLength);
+      Type.setValue(buffer, begin, fitted, byteLength);
+      buffer.fill(0, begin + byteLength, begin + capacity);
+    }
+
+    /**
+     * Checks a value (used by strict records).
+     *
+     * @param {*} value - The value to check
+     * @returns {string} Why the value is invalid (empty string if valid)
+     */
+    static check(value) {
+      if(isString ? typeof value !== 'string' : !(value?.constructor === Uint8Array || isJSONBytes(value))) {
+        return isString ? 'expected a string' : 'expected a Uint8Array or a base64 string';
+      }
+      value = isString ? value : fromJSONBytes(value);
+      if(overflow === 'throw' && capacity < Type.getByteLengthOf(value)) {
+        return `expected at most ${capacity} bytes`;
+      }
+      return '';
+    }
+
+    /**
+     * Gets the JSON Schema of the JSON form of a value.
+     *
+     * The capacity is a number of bytes (UTF-8 or decoded base64): maxLength
+     * (a number of characters) only bounds it, maxByteLength is the capacity
+     * (validated by @staabler/schema).
+     *
+     * @returns {Object} JSON Schema (a string, or the base64 string of the bytes)
+     */
+    static toJSONSchema() {
+      return isString ?
+        { type: 'string', maxLength: capacity, maxByteLength: capacity } :
+        { type: 'string', contentEncoding: 'base64', maxLength: 4 * Math.ceil(capacity / 3), maxByteLength: capacity };
+    }
+
+  };
+});
@@ -1,3 +1,38 @@
+/**
+ * Matches a base64 string (the JSON form of bytes).
+ * @type {RegExp}
+ */
+const kBase64Pattern = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+/**
+ * Converts the JSON form of bytes (a base64 string, see Record#toJSON) to
+ * a Uint8Array.
+ *
+ * @param {*} value - The value
+ * @returns {*} A Uint8Array for a string, the value otherwise
+ * @throws {TypeError} If the string is not base64
+ */
+export function fromJSONBytes(value) {
+  if(typeof value !== 'string') {
+    return value;
+  }
+  if(!kBase64Pattern.test(value)) {
+    throw new TypeError(`Expected a base64 string (got=${JSON.stringify(value)})`);
+  }
+  const buffer = Buffer.from(value, 'base64');
+  return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+}
+
+/**
+ * Checks if a value is the JSON form of bytes (a base64 string).
+ *
+ * @param {*} value - The value
+ * @returns {boolean} True if it is a base64 string
+ */
+export function isJSONBytes(value) {
+  return typeof value === 'string' && kBase64Pattern.test(value);
+}
+
 /**
  * Raw bytes type implementation.
  * Provides efficient handling of binary data as Uint8Array views.
@@ -21,21 +56,21 @@ export default class Bytes {
    * 
    * @param {Uint8Array} buffer - The buffer to write to
    * @param {number} byteOffset - Byte offset within the buffer
-   * @param {Uint8Array} value - The bytes to write
+   * @param {Uint8Array|string} value - The bytes to write (or their base64 string)
    * @param {number} [byteLength=0] - Number of bytes to write
    */
   static setValue(buffer, byteOffset, value, byteLength = 0) {
-    Bytes.getValue(buffer, byteOffset, byteLength).set(value);
+    Bytes.getValue(buffer, byteOffset, byteLength).set(fromJSONBytes(value));
   }
   
   /**
    * Gets the byte length of a value.
    * 
-   * @param {Uint8Array} value - The value to get the byte length for
+   * @param {Uint8Array|string} value - The value to get the byte length for (or its base64 string)
    * @returns {number} The byte length of the value
    */
   static getByteLengthOf(value) {
-    return value.byteLength;
+    return fromJSONBytes(value).byteLength;
   }
   
 };
\ No newline at end of file
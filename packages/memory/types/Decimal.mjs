@@ -0,0 +1,183 @@
+import BigInt64 from './BigInt64.mjs';
+import withCache from '@staabler/core/withCache.mjs';
+
+/**
+ * Maximum precision (number of digits) that fits a 64-bit signed integer.
+ * @type {number}
+ */
+const kMaxPrecision = 18;
+
+/**
+ * Matches a decimal string (ex. "-12.345").
+ * @type {RegExp}
+ */
+const kDecimalPattern = /^([+-]?)(\d*)(?:\.(\d*))?$/;
+
+/**
+ * Creates a fixed-point decimal type (ex. Decimal(10, 2) for money amounts).
+ *
+ * The value is stored as a scaled 64-bit signed integer (value * 10^scale)
+ * and exposed as a string, so it is never rounded by floating point math.
+ *
+ * @param {number} precision - Total number of digits (1-18)
+ * @param {number} [scale=0] - Number of digits after the decimal point (0-precision)
+ * @returns {Function} Decimal type with getValue/setValue/getByteLengthOf
+ * @throws {Error} If the precision or scale is invalid
+ */
+export default function Decimal(precision, scale = 0) {
+  if(!(Number.isInteger(precision) && 1 <= precision && precision <= kMaxPrecision)) {
+    throw new Error(`Invalid decimal precision (got=${precision})`);
+  }
+  if(!(Number.isInteger(scale) && 0 <= scale && scale <= precision)) {
+    throw new Error(`Invalid decimal scale (got=${scale})`);
+  }
+  return create(`${precision},${scale}`);
+}
+
+/**
+ * Creates (once) the decimal type for a precision and scale.
+ *
+ * @param {string} key - "precision,scale"
+ * @returns {Function} Decimal type
+ */
+const create = withCache(new Map(), key => {
+  const [precision, scale] = key.split(',').map(Number);
+  const factor = 10n ** BigInt(scale);
+  const limit = 10n ** BigInt(precision);
+  const pattern = `^-?\\d{1,${Math.max(precision - scale, 1)}}${scale ? `\\.\\d{${scale}}` : ''}$`;
+
+  /**
+   * Converts a value to a scaled integer.
+   *
+   * @param {string|number|bigint} value - The value
+   * @returns {bigint|string} The scaled integer, or why the value is invalid
+   */
+  const parse = value => {
+    if(typeof value === 'bigint') {
+      value = value.toString();
+    } else if(typeof value === 'number') {
+      if(!Number.isFinite(value)) {
+        return 'expected a finite number';
+      }
+      value = value.toFixed(scale);
+    }
+    const match = typeof value === 'string' ? value.match(kDecimalPattern) : null;
+    if(!match || !(match[2] || match[3])) {
+      return 'expected a decimal';
+    }
+    const [, sign, integer, fraction = ''] = match;
+    if(scale < fraction.length) {
+      return `expected at most ${scale} decimals`;
+    }
+    const scaled = BigInt((integer || '0') + fraction.padEnd(scale, '0'));
+    if(limit <= scaled) {
+      return `expected at most ${precision} digits`;
+    }
+    return sign === '-' ? -scaled : scaled;
+  };
+
+  /**
+   * Converts a value to a scaled integer.
+   *
+   * @param {string|number|bigint} value - The value
+   * @returns {bigint} The scaled integer
+   * @throws {Error} If the value is invalid
+   */
+  const toScaled = value => {
+    const scaled = parse(value);
+    if(typeof scaled !== 'bigint') {
+      throw new Error(`Invalid Decimal(${precision}, ${scale}) value: ${scaled} (got=${value})`);
+    }
+    return scaled;
+  };
+
+  return class Decimal {
+
+    /**
+     * Total number of digits.
+     * @type {number}
+     */
+    static precision = precision;
+
+    /**
+     * Number of digits after the decimal point.
+     * @type {number}
+     */
+    static scale = scale;
+
+    /** Number of bytes required to store a decimal */
+    static BYTES_PER_ELEMENT = 8;
+
+    /**
+     * Reads a decimal from a buffer at the specified byte offset.
+     *
+     * @param {Uint8Array} buffer - The buffer to read from
+     * @param {number} [byteOffset=0] - The byte offset to read from
+     * @returns {string} The decimal (ex. "-12.30")
+     */
+    static getValue(buffer, byteOffset = 0) {
+      const scaled = BigInt64.getValue(buffer, byteOffset);
+      const negative = scaled < 0n;
+      const abs = negative ? -scaled : scaled;
+      const integer = (abs / factor).toString();
+      const fraction = scale ? `.${(abs % factor).toString().padStart(scale, '0')}` : '';
+      return `${negative ? '-' : ''}${integer}${fraction}`;
+    }
+
+    /**
+     * Writes a decimal to a buffer at the specified byte offset.
+     * Numbers are rounded to the scale, strings and bigints must be exact.
+     *
+     * @param {Uint8Array} buffer - The buffer to write to
+     * @param {number} byteOffset - The byte offset to write to
+     * @param {string|number|bigint} value - The decimal
+     * @throws {Error} If the value is invalid or does not fit the precision/scale
+     */
+    static setValue(buffer, byteOffset, value) {
+      BigInt64.setValue(buffer, byteOffset, toScaled(value));
+    }
+
+    /**
+     * Gets the number of bytes required to store a decimal.
+     *
+     * @returns {number} The byte length of a decimal
+     */
+    static getByteLengthOf() {
+      return Decimal.BYTES_PER_ELEMENT;
+    }
+
+    /**
+     * Compares two decimals numerically.
+     *
+     * @param {string|number|bigint} a - First decimal
+     * @param {string|number|bigint} b - Second decimal
+     * @returns {number} Comparison result (-1, 0, or 1)
+     */
+    static compare(a, b) {
+      const x = toScaled(a);
+      const y = toScaled(b);
+      return x < y ? -1 : y < x ? 1 : 0;
+    }
+
+    /**
+     * Checks a value (used by strict records).
+     *
+     * @param {*} value - The value to check
+     * @returns {string} Why the value is invalid (empty string if valid)
+     */
+    static check(value) {
+      const scaled = parse(value);
+      return typeof scaled === 'bigint' ? '' : scaled;
+    }
+
+    /**
+     * Gets the JSON Schema of the JSON form of a value.
+     *
+     * @returns {Object} JSON Schema (a decimal string)
+     */
+    static toJSONSchema() {
+      return { type: 'string', pattern };
+    }
+
+  };
+});
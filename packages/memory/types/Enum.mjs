@@ -0,0 +1,150 @@
+import Uint8 from './Uint8.mjs';
+import Uint16 from './Uint16.mjs';
+import createEnum from '@staabler/core/Enum.mjs';
+import withCache from '@staabler/core/withCache.mjs';
+
+/**
+ * Matches a valid enum value (lowercase, the core Enum is case insensitive).
+ * @type {RegExp}
+ */
+const kValuePattern = /^[a-z_][a-z0-9_]*$/;
+
+/**
+ * Checks the names of an enum or flags type.
+ *
+ * @param {string[]} names - The names
+ * @param {number} max - Maximum number of names
+ * @throws {Error} If a name is invalid or duplicated
+ */
+export function assertNames(names, max) {
+  if(!(0 < names.length && names.length <= max)) {
+    throw new Error(`Expected between 1 and ${max} values (got=${names.length})`);
+  }
+  names.forEach((name, index) => {
+    if(!(typeof name === 'string' && kValuePattern.test(name))) {
+      throw new Error(`Invalid value: "${name}" (expected a lowercase identifier)`);
+    }
+    if(names.indexOf(name) !== index) {
+      throw new Error(`Duplicated value: "${name}"`);
+    }
+  });
+}
+
+/**
+ * Creates an enum type (ex. Enum('open', 'closed')).
+ *
+ * The index of the value is stored as a small integer (Uint8, or Uint16 for
+ * more than 256 values) and the value is read/written as the symbolic string.
+ * Values are converted with the core Enum, so unknown values throw a BadValue
+ * error. A zeroed record reads the first value.
+ *
+ * @param {...string} values - The enum values (lowercase identifiers)
+ * @returns {Function} Enum type with getValue/setValue/getByteLengthOf
+ * @throws {Error} If the values are invalid
+ */
+export default function Enum(...values) {
+  assertNames(values, 0x10000);
+  return create(values.join());
+}
+
+/**
+ * Creates (once) the enum type for a list of values.
+ *
+ * @param {string} key - Comma separated values
+ * @returns {Function} Enum type
+ */
+const create = withCache(new Map(), key => {
+  const values = key.split(',');
+  const Values = createEnum(values);
+  const Index = values.length <= 0x100 ? Uint8 : Uint16;
+
+  /**
+   * Gets the index of a value.
+   *
+   * @param {string} value - The value
+   * @returns {number} The index
+   * @throws {Error} BadValue if the value is unknown
+   */
+  const toIndex = value => values.indexOf(Values.from(String(value)));
+
+  return class Enum {
+
+    /**
+     * The core Enum of the values (ex. Type.Enum.open).
+     * @type {Function}
+     */
+    static Enum = Values;
+
+    /**
+     * The values (in index order).
+     * @type {string[]}
+     */
+    static values = values;
+
+    /** Number of bytes required to store the index */
+    static BYTES_PER_ELEMENT = Index.BYTES_PER_ELEMENT;
+
+    /**
+     * Reads an enum value from a buffer at the specified byte offset.
+     *
+     * @param {Uint8Array} buffer - The buffer to read from
+     * @param {number} [byteOffset=0] - The byte offset to read from
+     * @returns {string} The value
+     */
+    static getValue(buffer, byteOffset = 0) {
+      return values[Index.getValue(buffer, byteOffset)];
+    }
+
+    /**
+     * Writes an enum value to a buffer at the specified byte offset.
+     *
+     * @param {Uint8Array} buffer - The buffer to write to
+     * @param {number} byteOffset - The byte offset to write to
+     * @param {string} value - The value (case insensitive)
+     * @throws {Error} BadValue if the value is unknown
+     */
+    static setValue(buffer, byteOffset, value) {
+      Index.setValue(buffer, byteOffset, toIndex(value));
+    }
+
+    /**
+     * Gets the number of bytes required to store an enum value.
+     *
+     * @returns {number} The byte length of the index
+     */
+    static getByteLengthOf() {
+      return Enum.BYTES_PER_ELEMENT;
+    }
+
+    /**
+     * Compares two values by declaration order.
+     *
+     * @param {string} a - First value
+     * @param {string} b - Second value
+     * @returns {number} Comparison result (negative, 0, or positive)
+     */
+    static compare(a, b) {
+      return toIndex(a) - toIndex(b);
+    }
+
+    /**
+     * Checks a value (used by strict records).
+     *
+     * @param {*} value - The value to check
+     * @returns {string} Why the value is invalid (empty string if valid)
+     */
+    static check(value) {
+      return (typeof value === 'string' && values.includes(value.toLowerCase())) ? '' : `expected one of ${key}`;
+    }
+
+    /**
+     * Gets the JSON Schema of the JSON form of a value.
+     *
+     * @returns {Object} JSON Schema (one of the values)
+     */
+    static toJSONSchema() {
+      return { type: 'string', enum: [...values] };
+    }
+
+  };
+});
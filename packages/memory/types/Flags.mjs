@@ -0,0 +1,151 @@
+import Uint8 from './Uint8.mjs';
+import Uint16 from './Uint16.mjs';
+import Uint32 from './Uint32.mjs';
+import getBit from '../getBit.mjs';
+import setBit from '../setBit.mjs';
+import { assertNames } from './Enum.mjs';
+import createEnum from '@staabler/core/Enum.mjs';
+import withCache from '@staabler/core/withCache.mjs';
+import isObjectLiteral from '@staabler/core/isObjectLiteral.mjs';
+
+/**
+ * Creates a bit-flags type (ex. Flags('read', 'write', 'exec')).
+ *
+ * The flags are packed in a single integer (Uint8, Uint16 or Uint32
+ * depending on the number of flags), one bit per flag in declaration order.
+ * The value is read as an object of booleans ({ read: true, write: false,
+ * exec: true }) and written from such an object (missing flags are cleared)
+ * or from an array of the set flags. Unknown flags throw a BadValue error.
+ *
+ * @param {...string} names - The flag names (lowercase identifiers, at most 32)
+ * @returns {Function} Flags type with getValue/setValue/getByteLengthOf
+ * @throws {Error} If the names are invalid
+ */
+export default function Flags(...names) {
+  assertNames(names, 32);
+  return create(names.join());
+}
+
+/**
+ * Creates (once) the flags type for a list of names.
+ *
+ * @param {string} key - Comma separated names
+ * @returns {Function} Flags type
+ */
+const create = withCache(new Map(), key => {
+  const names = key.split(',');
+  const Names = createEnum(names);
+  const Bits = names.length <= 8 ? Uint8 : names.length <= 16 ? Uint16 : Uint32;
+
+  /**
+   * Packs flags in an integer.
+   *
+   * @param {Object|string[]} value - Object of booleans or array of the set flags
+   * @returns {number} The packed flags
+   * @throws {Error} If the value is not an object or an array, BadValue if a flag is unknown
+   */
+  const pack = value => {
+    const set = Array.isArray(value) ? value :
+                isObjectLiteral(value) ? Object.keys(value).filter(name => value[name]) :
+                null;
+    if(!set) {
+      throw new Error(`Invalid flags (got=${value})`);
+    }
+    return set.reduce((bits, name) => setBit(bits, names.indexOf(Names.from(String(name)))), 0) >>> 0;
+  };
+
+  return class Flags {
+
+    /**
+     * The core Enum of the flag names (ex. Type.Enum.read).
+     * @type {Function}
+     */
+    static Enum = Names;
+
+    /**
+     * The flag names (in bit order).
+     * @type {string[]}
+     */
+    static names = names;
+
+    /** Number of bytes required to store the flags */
+    static BYTES_PER_ELEMENT = Bits.BYTES_PER_ELEMENT;
+
+    /**
+     * Reads the flags from a buffer at the specified byte offset.
+     *
+     * @param {Uint8Array} buffer - The buffer to read from
+     * @param {number} [byteOffset=0] - The byte offset to read from
+     * @returns {Object} Object of booleans (one per flag)
+     */
+    static getValue(buffer, byteOffset = 0) {
+      const bits = Bits.getValue(buffer, byteOffset);
+      const value = {};
+      names.forEach((name, pos) => value[name] = getBit(bits, pos) === 1);
+      return value;
+    }
+
+    /**
+     * Writes the flags to a buffer at the specified byte offset.
+     *
+     * @param {Uint8Array} buffer - The buffer to write to
+     * @param {number} byteOffset - The byte offset to write to
+     * @param {Object|string[]} value - Object of booleans or array of the set flags
+     * @throws {Error} If the value is invalid, BadValue if a flag is unknown
+     */
+    static setValue(buffer, byteOffset, value) {
+      Bits.setValue(buffer, byteOffset, pack(value));
+    }
+
+    /**
+     * Gets the number of bytes required to store the flags.
+     *
+     * @returns {number} The byte length of the flags
+     */
+    static getByteLengthOf() {
+      return Flags.BYTES_PER_ELEMENT;
+    }
+
+    /**
+     * Compares two values by their packed integer.
+     *
+     * @param {Object|string[]} a - First value
+     * @param {Object|string[]} b - Second value
+     * @returns {number} Comparison result (negative, 0, or positive)
+     */
+    static compare(a, b) {
+      return pack(a) - pack(b);
+    }
+
+    /**
+     * Checks a value (used by strict records).
+     *
+     * @param {*} value - The value to check
+     * @returns {string} Why the value is invalid (empty string if valid)
+     */
+    static check(value) {
+      const set = Array.isArray(value) ? value :
+                  isObjectLiteral(value) ? Object.keys(value) :
+                  null;
+      if(!set) {
+        return 'expected an object or an array of flags';
+      }
+      const unknown = set.find(name => !(typeof name === 'string' && names.includes(name.toLowerCase())));
+      return unknown === undefined ? '' : `unknown flag "${unknown}" (expected ${key})`;
+    }
+
+    /**
+     * Gets the JSON Schema of the JSON form of a value.
+     *
+     * @returns {Object} JSON Schema (an object of booleans)
+     */
+    static toJSONSchema() {
+      return {
+        type: 'object',
+        properties: Object.fromEntries(names.map(name => [name, { type: 'boolean' }])),
+        additionalProperties: false
+      };
+    }
+
+  };
+});
@@ -0,0 +1,99 @@
+import withCache from '@staabler/core/withCache.mjs';
+
+/**
+ * Creates a field type for embedding a Record class inside another Record.
+ *
+ * A fixed-size Record is stored inline (BYTES_PER_ELEMENT bytes) while a
+ * dynamic Record is stored like Bytes, with an offset header and its buffer
+ * at the end of the parent record.
+ *
+ * @param {Function} Record - The Record class to embed
+ * @returns {Function} Nested type with getValue/setValue/getByteLengthOf/view
+ */
+export default withCache(new WeakMap(), Record => {
+  const { BYTES_PER_ELEMENT } = Record;
+
+  /**
+   * Converts a value to a record buffer.
+   *
+   * @param {Object|Uint8Array} value - Record instance, buffer or object literal
+   * @returns {Uint8Array} The record buffer
+   */
+  function toBuffer(value) {
+    if(value?.constructor === Uint8Array) {
+      return value;
+    }
+    if(value instanceof Record) {
+      return value.buffer;
+    }
+    // An object literal may be changed between two calls, it is never cached
+    return new Record(value).buffer;
+  }
+
+  return class Nested {
+
+    /**
+     * The embedded Record class.
+     * @type {Function}
+     */
+    static Record = Record;
+
+    /**
+     * Number of bytes required to store the record (undefined if dynamic).
+     * @type {number|undefined}
+     */
+    static BYTES_PER_ELEMENT = BYTES_PER_ELEMENT;
+
+    /**
+     * Reads a detached copy of the record stored at the specified offset.
+     *
+     * @param {Uint8Array} buffer - The buffer to read from
+     * @param {number} [byteOffset=0] - Byte offset within the buffer
+     * @param {number} [byteLength=BYTES_PER_ELEMENT] - Number of bytes to read
+     * @returns {Object} A record instance
+     */
+    static getValue(buffer, byteOffset = 0, byteLength = BYTES_PER_ELEMENT) {
+      return new Record(buffer.slice(byteOffset, byteOffset + byteLength));
+    }
+
+    /**
+     * Writes a record to the buffer at the specified offset.
+     *
+     * @param {Uint8Array} buffer - The buffer to write to
+     * @param {number} byteOffset - Byte offset within the buffer
+     * @param {Object|Uint8Array} value - Record instance, buffer or object literal
+     */
+    static setValue(buffer, byteOffset, value) {
+      buffer.set(toBuffer(value), byteOffset);
+    }
+
+    /**
+     * Gets the number of bytes required to store a record.
+     *
+     * @param {Object|Uint8Array} value - Record instance, buffer or object literal
+     * @returns {number} The byte length of the record
+     */
+    static getByteLengthOf(value) {
+      return toBuffer(value).byteLength;
+    }
+
+    /**
+     * Creates a live record view over memory owned by someone else. The view
+     * never stores a buffer, it always asks the owner for the current one.
+     *
+     * @param {Function} getBuffer - Returns the current record buffer
+     * @param {Function} setBuffer - Replaces the record buffer (used when a dynamic value is resized)
+     * @returns {Object} A record instance
+     */
+    static view(getBuffer, setBuffer) {
+      const instance = Object.create(Record.prototype);
+      Object.defineProperty(instance, 'buffer', {
+        get: getBuffer,
+        set: setBuffer,
+        enumerable: true
+      });
+      return instance;
+    }
+
+  };
+});
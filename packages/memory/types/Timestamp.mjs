@@ -0,0 +1,154 @@
+import BigInt64 from './BigInt64.mjs';
+import tryCatch from '@staabler/core/tryCatch.mjs';
+
+/**
+ * Number of nanoseconds per millisecond.
+ * @type {bigint}
+ */
+const kNanosecondsPerMillisecond = 1_000_000n;
+
+/**
+ * Range of the stored nanoseconds (a 64-bit signed integer).
+ * @type {bigint}
+ */
+const kMinNanoseconds = -(2n**63n);
+const kMaxNanoseconds = 2n**63n - 1n;
+const kOutOfRange = 'expected a timestamp between 1677-09-21T00:12:43.145224192Z and 2262-04-11T23:47:16.854775807Z';
+
+/**
+ * The Temporal API (if available).
+ * @type {Object|undefined}
+ */
+const Temporal = globalThis.Temporal;
+
+/**
+ * Matches an ISO 8601 date-time string (ex. "2024-05-01T12:34:56.789Z").
+ * @type {string}
+ */
+const kISOPattern = '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}(\\.\\d+)?(Z|[+-]\\d{2}:\\d{2})$';
+const kISORegExp = new RegExp(kISOPattern);
+
+/**
+ * Converts a timestamp value to nanoseconds since the epoch.
+ *
+ * @param {Date|Object|number|bigint|string} value - Date, Temporal.Instant, milliseconds (number), nanoseconds (bigint) or ISO string
+ * @returns {bigint} Nanoseconds since the epoch
+ * @throws {Error} If the value is not a valid timestamp
+ */
+function toEpochNanoseconds(value) {
+  if(typeof value === 'bigint') {
+    return value;
+  }
+  if(typeof value?.epochNanoseconds === 'bigint') {
+    return value.epochNanoseconds;
+  }
+  if(typeof value === 'string' && kISORegExp.test(value)) {
+    return Temporal ? Temporal.Instant.from(value).epochNanoseconds : toEpochNanoseconds(Date.parse(value));
+  }
+  const ms = value instanceof Date ? value.getTime() : value;
+  if(!Number.isFinite(ms)) {
+    throw new Error(`Invalid timestamp (got=${value})`);
+  }
+  return BigInt(Math.trunc(ms)) * kNanosecondsPerMillisecond;
+}
+
+/**
+ * Converts a timestamp value to the stored nanoseconds (a Date or an Instant
+ * may be out of the range of a 64-bit signed integer, ex. after 2262).
+ *
+ * @param {Date|Object|number|bigint|string} value - Date, Temporal.Instant, milliseconds (number), nanoseconds (bigint) or ISO string
+ * @returns {bigint} Nanoseconds since the epoch
+ * @throws {Error} If the value is not a valid timestamp or is out of range
+ */
+function toStoredNanoseconds(value) {
+  const ns = toEpochNanoseconds(value);
+  if(!(kMinNanoseconds <= ns && ns <= kMaxNanoseconds)) {
+    throw new Error(`Invalid timestamp: ${kOutOfRange} (got=${value})`);
+  }
+  return ns;
+}
+
+/**
+ * Timestamp type implementation.
+ *
+ * Stores nanoseconds since the epoch as a 64-bit signed integer and exposes
+ * it as a Temporal.Instant where available, otherwise as a Date (millisecond
+ * precision).
+ */
+export default class Timestamp {
+
+  /** Number of bytes required to store a timestamp */
+  static BYTES_PER_ELEMENT = 8;
+
+  /**
+   * Reads a timestamp from a buffer at the specified byte offset.
+   *
+   * @param {Uint8Array} buffer - The buffer to read from
+   * @param {number} [byteOffset=0] - The byte offset to read from
+   * @returns {Date|Object} A Date or a Temporal.Instant
+   */
+  static getValue(buffer, byteOffset = 0) {
+    const ns = BigInt64.getValue(buffer, byteOffset);
+    return Temporal ?
+      Temporal.Instant.fromEpochNanoseconds(ns) :
+      new Date(Number(ns / kNanosecondsPerMillisecond));
+  }
+
+  /**
+   * Writes a timestamp to a buffer at the specified byte offset.
+   *
+   * @param {Uint8Array} buffer - The buffer to write to
+   * @param {number} byteOffset - The byte offset to write to
+   * @param {Date|Object|number|bigint|string} value - Date, Temporal.Instant, milliseconds (number), nanoseconds (bigint) or ISO string
+   * @throws {Error} If the value is not a valid timestamp or is out of range
+   */
+  static setValue(buffer, byteOffset, value) {
+    BigInt64.setValue(buffer, byteOffset, toStoredNanoseconds(value));
+  }
+
+  /**
+   * Gets the number of bytes required to store a timestamp.
+   *
+   * @returns {number} The byte length of a timestamp
+   */
+  static getByteLengthOf() {
+    return Timestamp.BYTES_PER_ELEMENT;
+  }
+
+  /**
+   * Compares two timestamps (Date and Temporal.Instant can not be compared with "<").
+   *
+   * @param {Date|Object} a - First timestamp
+   * @param {Date|Object} b - Second timestamp
+   * @returns {number} Comparison result (-1, 0, or 1)
+   */
+  static compare(a, b) {
+    const x = toEpochNanoseconds(a);
+    const y = toEpochNanoseconds(b);
+    return x < y ? -1 : y < x ? 1 : 0;
+  }
+
+  /**
+   * Checks a value (used by strict records).
+   *
+   * @param {*} value - The value to check
+   * @returns {string} Why the value is invalid (empty string if valid)
+   */
+  static check(value) {
+    const [ns] = tryCatch(() => toEpochNanoseconds(value));
+    if(typeof ns !== 'bigint') {
+      return 'expected a Date, Temporal.Instant, milliseconds, nanoseconds (bigint) or an ISO string';
+    }
+    return (kMinNanoseconds <= ns && ns <= kMaxNanoseconds) ? '' : kOutOfRange;
+  }
+
+  /**
+   * Gets the JSON Schema of the JSON form of a value.
+   *
+   * @returns {Object} JSON Schema (an ISO string, as Date and Temporal.Instant toJSON)
+   */
+  static toJSONSchema() {
+    return { type: 'string', pattern: kISOPattern };
+  }
+
+};
@@ -0,0 +1,102 @@
+/**
+ * Matches a UUID string (with or without hyphens).
+ * @type {RegExp}
+ */
+const kUUIDPattern = /^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i;
+
+/**
+ * Matches a canonical UUID string (the JSON form, JSON Schema patterns have no flags).
+ * @type {string}
+ */
+const kCanonicalPattern = '^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$';
+
+/**
+ * Hexadecimal representation of each byte.
+ * @type {string[]}
+ */
+const hex = Array.from({ length: 256 }, (_, i) => i.toString(16).padStart(2, '0'));
+
+/**
+ * UUID type implementation.
+ * Stores the 16 bytes of a UUID and exposes it as a canonical (lowercase,
+ * hyphenated) string.
+ */
+export default class UUID {
+
+  /** Number of bytes required to store a UUID */
+  static BYTES_PER_ELEMENT = 16;
+
+  /** Bytes have no alignment requirement */
+  static ALIGNMENT = 1;
+
+  /**
+   * Reads a UUID from a buffer at the specified byte offset.
+   *
+   * @param {Uint8Array} buffer - The buffer to read from
+   * @param {number} [byteOffset=0] - The byte offset to read from
+   * @returns {string} The canonical UUID string
+   */
+  static getValue(buffer, byteOffset = 0) {
+    let str = '';
+    for(let i = 0; i < 16; ++i) {
+      if(i === 4 || i === 6 || i === 8 || i === 10) {
+        str += '-';
+      }
+      str += hex[buffer[byteOffset + i]];
+    }
+    return str;
+  }
+
+  /**
+   * Writes a UUID to a buffer at the specified byte offset.
+   *
+   * @param {Uint8Array} buffer - The buffer to write to
+   * @param {number} byteOffset - The byte offset to write to
+   * @param {string|Uint8Array} value - A UUID string or its 16 bytes
+   * @throws {Error} If the value is not a valid UUID
+   */
+  static setValue(buffer, byteOffset, value) {
+    if(value?.constructor === Uint8Array && value.byteLength === 16) {
+      buffer.set(value, byteOffset);
+      return;
+    }
+    if(!(typeof value === 'string' && kUUIDPattern.test(value))) {
+      throw new Error(`Invalid UUID (got=${value})`);
+    }
+    const digits = value.replaceAll('-', '');
+    for(let i = 0; i < 16; ++i) {
+      buffer[byteOffset + i] = parseInt(digits.slice(i*2, i*2 + 2), 16);
+    }
+  }
+
+  /**
+   * Gets the number of bytes required to store a UUID.
+   *
+   * @returns {number} The byte length of a UUID
+   */
+  static getByteLengthOf() {
+    return UUID.BYTES_PER_ELEMENT;
+  }
+
+  /**
+   * Checks a value (used by strict records).
+   *
+   * @param {*} value - The value to check
+   * @returns {string} Why the value is invalid (empty string if valid)
+   */
+  static check(value) {
+    const isValid = (typeof value === 'string' && kUUIDPattern.test(value)) ||
+      (value?.constructor === Uint8Array && value.byteLength === 16);
+    return isValid ? '' : 'expected a UUID';
+  }
+
+  /**
+   * Gets the JSON Schema of the JSON form of a value.
+   *
+   * @returns {Object} JSON Schema (a canonical UUID string)
+   */
+  static toJSONSchema() {
+    return { type: 'string', pattern: kCanonicalPattern };
+  }
+
+};
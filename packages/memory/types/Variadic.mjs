@@ -0,0 +1,114 @@
+import Int8 from './Int8.mjs';
+import Int16 from './Int16.mjs';
+import Int32 from './Int32.mjs';
+import Uint8 from './Uint8.mjs';
+import Uint16 from './Uint16.mjs';
+import Uint32 from './Uint32.mjs';
+import BigInt64 from './BigInt64.mjs';
+import BigUint64 from './BigUint64.mjs';
+import Float8 from './Float8.mjs';
+import Float16 from './Float16.mjs';
+import Float32 from './Float32.mjs';
+import Float64 from './Float64.mjs';
+import { isLittleEndian } from '../endianness.mjs';
+import withCache from '@staabler/core/withCache.mjs';
+
+/**
+ * Array constructors used for each element type. A typed array is native
+ * if its memory layout is identical to the stored one (little endian).
+ * @type {Map}
+ */
+const arrayTypes = new Map([
+  [Int8, [Int8Array, true]],
+  [Int16, [Int16Array, isLittleEndian]],
+  [Int32, [Int32Array, isLittleEndian]],
+  [Uint8, [Uint8Array, true]],
+  [Uint16, [Uint16Array, isLittleEndian]],
+  [Uint32, [Uint32Array, isLittleEndian]],
+  [BigInt64, [BigInt64Array, isLittleEndian]],
+  [BigUint64, [BigUint64Array, isLittleEndian]],
+  [Float8, [Float32Array, false]],
+  [Float16, [Float32Array, false]],
+  [Float32, [Float32Array, isLittleEndian]],
+  [Float64, [Float64Array, isLittleEndian]]
+]);
+
+/**
+ * Creates a variable-length array type for a fixed-size element type.
+ *
+ * The returned type has no BYTES_PER_ELEMENT, so a Record treats it like any
+ * other dynamic value (Utf8/Bytes): an offset header and the elements stored
+ * back-to-back at the end of the record.
+ *
+ * @param {Function} Type - Element type (must have a BYTES_PER_ELEMENT)
+ * @returns {Function} Variadic type with getValue/setValue/getByteLengthOf
+ * @throws {Error} If the element type does not have a fixed size
+ */
+export default withCache(new WeakMap(), Type => {
+  const { BYTES_PER_ELEMENT } = Type;
+  if(!BYTES_PER_ELEMENT) {
+    throw new Error(`Variadic types require a fixed size element type (got=${Type.name})`);
+  }
+
+  const [ArrayType, native] = arrayTypes.get(Type) ?? [Array, false];
+
+  return class Variadic {
+
+    /**
+     * The element type.
+     * @type {Function}
+     */
+    static Type = Type;
+
+    /**
+     * Reads all elements stored at the specified offset.
+     * The result is a copy, assign it back to the record to persist changes.
+     *
+     * @param {Uint8Array} buffer - The buffer to read from
+     * @param {number} [byteOffset=0] - Byte offset within the buffer
+     * @param {number} [byteLength=0] - Number of bytes to read
+     * @returns {TypedArray|Array} The elements
+     */
+    static getValue(buffer, byteOffset = 0, byteLength = 0) {
+      const length = Math.floor(byteLength/BYTES_PER_ELEMENT);
+      if(native) {
+        // slice() gives us a properly aligned copy
+        return new ArrayType(buffer.slice(byteOffset, byteOffset + length*BYTES_PER_ELEMENT).buffer);
+      }
+      const array = new ArrayType(length);
+      for(let i = 0; i < length; ++i) {
+        array[i] = Type.getValue(buffer, byteOffset + i*BYTES_PER_ELEMENT);
+      }
+      return array;
+    }
+
+    /**
+     * Writes all elements to the buffer at the specified offset.
+     *
+     * @param {Uint8Array} buffer - The buffer to write to
+     * @param {number} byteOffset - Byte offset within the buffer
+     * @param {TypedArray|Array} value - The elements to write
+     */
+    static setValue(buffer, byteOffset, value) {
+      if(native && value instanceof ArrayType) {
+        buffer.set(new Uint8Array(value.buffer, value.byteOffset, value.byteLength), byteOffset);
+        return;
+      }
+      const length = value.length;
+      for(let i = 0; i < length; ++i) {
+        Type.setValue(buffer, byteOffset + i*BYTES_PER_ELEMENT, value[i]);
+      }
+    }
+
+    /**
+     * Gets the number of bytes required to store the elements.
+     *
+     * @param {TypedArray|Array} [value=[]] - The elements
+     * @returns {number} The byte length of the elements
+     */
+    static getByteLengthOf(value = []) {
+      return value.length*BYTES_PER_ELEMENT;
+    }
+
+  };
+});
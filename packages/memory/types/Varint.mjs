@@ -0,0 +1,201 @@
+import BigUint64 from './BigUint64.mjs';
+
+/**
+ * Largest number of bytes decoded without BigInt (7 bits per byte).
+ * @type {number}
+ */
+const kMaxNumberByteLength = 7;
+
+/**
+ * Gets the number of bytes of an unsigned LEB128 value.
+ *
+ * @param {number|bigint} value - A non-negative integer
+ * @returns {number} Number of bytes
+ */
+export function getVarintByteLength(value) {
+  let length = 1;
+  if(typeof value === 'bigint') {
+    while(0x80n <= value) {
+      value >>= 7n;
+      ++length;
+    }
+    return length;
+  }
+  while(0x80 <= value) {
+    value = Math.floor(value / 0x80);
+    ++length;
+  }
+  return length;
+}
+
+/**
+ * Writes an unsigned LEB128 value.
+ *
+ * @param {Uint8Array} buffer - The buffer to write to
+ * @param {number} byteOffset - Byte offset within the buffer
+ * @param {number|bigint} value - A non-negative integer
+ * @returns {number} Number of bytes written
+ */
+export function setVarint(buffer, byteOffset, value) {
+  let pos = byteOffset;
+  if(typeof value === 'bigint') {
+    while(0x80n <= value) {
+      buffer[pos++] = Number(value & 0x7Fn) | 0x80;
+      value >>= 7n;
+    }
+  } else {
+    while(0x80 <= value) {
+      buffer[pos++] = (value % 0x80) | 0x80;
+      value = Math.floor(value / 0x80);
+    }
+  }
+  buffer[pos++] = Number(value);
+  return pos - byteOffset;
+}
+
+/**
+ * Reads an unsigned LEB128 value.
+ *
+ * @param {Uint8Array} buffer - The buffer to read from
+ * @param {number} byteOffset - Byte offset within the buffer
+ * @param {number} byteLength - Number of bytes of the value
+ * @returns {number|bigint} The value (a bigint if it is not a safe integer)
+ */
+export function getVarint(buffer, byteOffset, byteLength) {
+  if(byteLength <= kMaxNumberByteLength) {
+    let value = 0;
+    for(let i = byteLength - 1; 0 <= i; --i) {
+      value = value * 0x80 + (buffer[byteOffset + i] & 0x7F);
+    }
+    return value;
+  }
+  let value = 0n;
+  for(let i = byteLength - 1; 0 <= i; --i) {
+    value = (value << 7n) | BigInt(buffer[byteOffset + i] & 0x7F);
+  }
+  return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+}
+
+/**
+ * Reads an unsigned LEB128 value of unknown length (ex. in a byte stream).
+ *
+ * @param {Uint8Array} buffer - The buffer to read from
+ * @param {number} byteOffset - Byte offset within the buffer
+ * @returns {Array} [value, byteLength]
+ * @throws {Error} If the value is truncated
+ */
+export function readVarint(buffer, byteOffset) {
+  let end = byteOffset;
+  while(end < buffer.byteLength && (buffer[end] & 0x80)) {
+    ++end;
+  }
+  if(!(end < buffer.byteLength)) {
+    throw new Error(`Truncated varint (byteOffset=${byteOffset})`);
+  }
+  const byteLength = end - byteOffset + 1;
+  return [getVarint(buffer, byteOffset, byteLength), byteLength];
+}
+
+/**
+ * Matches a decimal integer string (the JSON form of a bigint).
+ * @type {RegExp}
+ */
+const kIntegerPattern = /^-?\d+$/;
+
+/**
+ * Converts the JSON form of an integer (a decimal string, see toJSONSchema)
+ * to a bigint.
+ *
+ * @param {*} value - The value
+ * @returns {*} A bigint for a decimal string, the value otherwise
+ */
+export function fromJSONInteger(value) {
+  return (typeof value === 'string' && kIntegerPattern.test(value)) ? BigInt(value) : value;
+}
+
+/**
+ * Throws if a value can not be stored.
+ *
+ * @param {*} value - The value to check
+ * @throws {Error} If the value is invalid
+ */
+function assertValue(value) {
+  const reason = Varint.check(value);
+  if(reason) {
+    throw new Error(`Invalid Varint value: ${reason} (got=${value})`);
+  }
+}
+
+/**
+ * Unsigned variable-length integer type (LEB128).
+ *
+ * A dynamic type: small values use fewer bytes (1 byte up to 127, 2 bytes up
+ * to 16383 etc.). Values up to 2^64-1 are supported, they are read as numbers
+ * if they are safe integers and as bigints otherwise.
+ */
+export default class Varint {
+
+  /**
+   * Reads a varint from a buffer.
+   *
+   * @param {Uint8Array} buffer - The buffer to read from
+   * @param {number} [byteOffset=0] - Byte offset within the buffer
+   * @param {number} [byteLength=0] - Number of bytes of the value
+   * @returns {number|bigint} The value
+   */
+  static getValue(buffer, byteOffset = 0, byteLength = 0) {
+    return getVarint(buffer, byteOffset, byteLength);
+  }
+
+  /**
+   * Writes a varint to a buffer.
+   *
+   * @param {Uint8Array} buffer - The buffer to write to
+   * @param {number} byteOffset - Byte offset within the buffer
+   * @param {number|bigint|string} value - A non-negative integer (or its decimal string)
+   * @returns {number} Number of bytes written
+   * @throws {Error} If the value is not a non-negative integer
+   */
+  static setValue(buffer, byteOffset, value) {
+    value = fromJSONInteger(value);
+    assertValue(value);
+    return setVarint(buffer, byteOffset, value);
+  }
+
+  /**
+   * Gets the number of bytes required to store a varint.
+   *
+   * @param {number|bigint|string} [value=0] - A non-negative integer (or its decimal string)
+   * @returns {number} Number of bytes
+   * @throws {Error} If the value is invalid
+   */
+  static getByteLengthOf(value = 0) {
+    value = fromJSONInteger(value);
+    assertValue(value);
+    return getVarintByteLength(value);
+  }
+
+  /**
+   * Checks a value (used by strict records).
+   *
+   * @param {*} value - The value to check
+   * @returns {string} Why the value is invalid (empty string if valid)
+   */
+  static check(value) {
+    value = fromJSONInteger(value);
+    const isValid = typeof value === 'bigint' ?
+      (0n <= value && value < 2n**64n) :
+      (Number.isSafeInteger(value) && 0 <= value);
+    return isValid ? '' : 'expected a non-negative safe integer or a bigint below 2^64';
+  }
+
+  /**
+   * Gets the JSON Schema of the JSON form of a value.
+   *
+   * @returns {Object} JSON Schema (a bigint is a decimal string)
+   */
+  static toJSONSchema() {
+    return { anyOf: [{ type: 'integer', minimum: 0, maximum: Number.MAX_SAFE_INTEGER }, BigUint64.toJSONSchema()] };
+  }
+
+};
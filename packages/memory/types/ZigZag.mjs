@@ -0,0 +1,128 @@
+import { getVarint, setVarint, getVarintByteLength, fromJSONInteger } from './Varint.mjs';
+import BigInt64 from './BigInt64.mjs';
+
+/**
+ * Range of the numbers encoded without BigInt.
+ * @type {number}
+ */
+const kMaxNumber = 2**51;
+const kMinNumber = -kMaxNumber;
+
+/**
+ * Maps a signed integer to an unsigned one (0, -1, 1, -2... to 0, 1, 2, 3...).
+ *
+ * @param {number|bigint} value - A signed integer
+ * @returns {number|bigint} The unsigned integer
+ */
+function encode(value) {
+  if(typeof value === 'bigint') {
+    return value < 0n ? -2n * value - 1n : 2n * value;
+  }
+  if(!(kMinNumber <= value && value <= kMaxNumber)) {
+    // The result would not be a safe integer
+    return encode(BigInt(value));
+  }
+  return value < 0 ? -2 * value - 1 : 2 * value;
+}
+
+/**
+ * Maps an unsigned integer back to the signed one.
+ *
+ * @param {number|bigint} value - The unsigned integer
+ * @returns {number|bigint} The signed integer (a bigint if it is not a safe integer)
+ */
+function decode(value) {
+  if(typeof value === 'bigint') {
+    const result = (value & 1n) ? -(value + 1n) / 2n : value / 2n;
+    const isSafe = BigInt(Number.MIN_SAFE_INTEGER) <= result && result <= BigInt(Number.MAX_SAFE_INTEGER);
+    return isSafe ? Number(result) : result;
+  }
+  return (value % 2) ? -(value + 1) / 2 : value / 2;
+}
+
+/**
+ * Throws if a value can not be stored.
+ *
+ * @param {*} value - The value to check
+ * @throws {Error} If the value is invalid
+ */
+function assertValue(value) {
+  const reason = ZigZag.check(value);
+  if(reason) {
+    throw new Error(`Invalid ZigZag value: ${reason} (got=${value})`);
+  }
+}
+
+/**
+ * Signed variable-length integer type (ZigZag encoded LEB128).
+ *
+ * A dynamic type: values close to zero (positive or negative) use fewer
+ * bytes. Values between -2^63 and 2^63-1 are supported, they are read as
+ * numbers if they are safe integers and as bigints otherwise.
+ */
+export default class ZigZag {
+
+  /**
+   * Reads a zigzag integer from a buffer.
+   *
+   * @param {Uint8Array} buffer - The buffer to read from
+   * @param {number} [byteOffset=0] - Byte offset within the buffer
+   * @param {number} [byteLength=0] - Number of bytes of the value
+   * @returns {number|bigint} The value
+   */
+  static getValue(buffer, byteOffset = 0, byteLength = 0) {
+    return decode(getVarint(buffer, byteOffset, byteLength));
+  }
+
+  /**
+   * Writes a zigzag integer to a buffer.
+   *
+   * @param {Uint8Array} buffer - The buffer to write to
+   * @param {number} byteOffset - Byte offset within the buffer
+   * @param {number|bigint|string} value - An integer (or its decimal string)
+   * @returns {number} Number of bytes written
+   * @throws {Error} If the value is not an integer
+   */
+  static setValue(buffer, byteOffset, value) {
+    value = fromJSONInteger(value);
+    assertValue(value);
+    return setVarint(buffer, byteOffset, encode(value));
+  }
+
+  /**
+   * Gets the number of bytes required to store a zigzag integer.
+   *
+   * @param {number|bigint|string} [value=0] - An integer (or its decimal string)
+   * @returns {number} Number of bytes
+   * @throws {Error} If the value is invalid
+   */
+  static getByteLengthOf(value = 0) {
+    value = fromJSONInteger(value);
+    assertValue(value);
+    return getVarintByteLength(encode(value));
+  }
+
+  /**
+   * Checks a value (used by strict records).
+   *
+   * @param {*} value - The value to check
+   * @returns {string} Why the value is invalid (empty string if valid)
+   */
+  static check(value) {
+    value = fromJSONInteger(value);
+    const isValid = typeof value === 'bigint' ?
+      (-(2n**63n) <= value && value < 2n**63n) :
+      Number.isSafeInteger(value);
+    return isValid ? '' : 'expected a safe integer or a bigint between -2^63 and 2^63-1';
+  }
+
+  /**
+   * Gets the JSON Schema of the JSON form of a value.
+   *
+   * @returns {Object} JSON Schema (a bigint is a decimal string)
+   */
+  static toJSONSchema() {
+    return { anyOf: [{ type: 'integer', minimum: Number.MIN_SAFE_INTEGER, maximum: Number.MAX_SAFE_INTEGER }, BigInt64.toJSONSchema()] };
+  }
+
+};
@@ -3,4 +3,16 @@ import withCache from '@staabler/core/withCache.mjs';
 
 const ajv = new Ajv();
 
-export default withCache(new WeakMap(), schema => ajv.compile(schema));
\ No newline at end of file
+// The capacity of a bounded string of a Record type (ex. Utf8(32), Bytes(16))
+// is a number of UTF-8 (or decoded base64) bytes, maxLength counts the characters
+ajv.addKeyword({
+  keyword: 'maxByteLength',
+  type: 'string',
+  schemaType: 'number',
+  validate: (maxByteLength, data, parentSchema) => Buffer.byteLength(data, parentSchema.contentEncoding === 'base64' ? 'base64' : 'utf8') <= maxByteLength
+});
+
+// A Record type (@staabler/memory) is compiled from its JSON Schema
+const toJSONSchema = schema => typeof schema === 'function' ? schema.toJSONSchema() : schema;
+
+export default withCache(new WeakMap(), schema => ajv.compile(toJSONSchema(schema)));
\ No newline at end of file
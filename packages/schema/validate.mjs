@@ -3,9 +3,12 @@ import compile from './compile.mjs';
 
 const { ValidationError } = ajv;
 
+// A record (@staabler/memory) is validated in its JSON form
+const isRecord = value => typeof value?.constructor?.toJSONSchema === 'function' && typeof value.toJSON === 'function';
+
 export default function validate(schema, value, defaultValue) {
   const validator = compile(schema);
-  const isValid = validator(value);
+  const isValid = validator(isRecord(value) ? value.toJSON() : value);
   if(isValid) {
     return value;
   }
@@ -1,4 +1,5 @@
 import validate from './validate.mjs';
+import Record from '@staabler/memory/Record.mjs';
 import { strictEqual } from 'node:assert';
 import tryCatch from '@staabler/core/tryCatch.mjs';
 import getPackageName from '@staabler/core/getPackageName.mjs';
@@ -18,4 +19,34 @@ describe(getPackageName(import.meta.url), function() {
     strictEqual(validate(schema, '', 'My default value'), 'My default value');
   });
 
+  it('should support Record types and records', async function() {
+    const Person = Record('Person', { age: 'Uint8', name: 'Utf8(8)', id: 'BigUint64', 'email?': 'Utf8' });
+    const body = { age: 42, name: 'Ada', id: '1' };
+    strictEqual(validate(Person, body), body);
+    strictEqual(validate(Person, { ...body, age: 256 }, null), null);
+    strictEqual(validate(Person, { ...body, name: 'Too long name' }, null), null);
+    // The capacity is a number of bytes (3 characters, 9 bytes)
+    strictEqual(validate(Person, { ...body, name: '€€€' }, null), null);
+    strictEqual(validate(Person, { ...body, id: 1 }, null), null);
+    strictEqual(validate(Person, { ...body, unknown: true }, null), null);
+    strictEqual(validate(Person, { age: 42 }, null), null);
+
+    // A record is validated in its JSON form (ex. bigints are strings)
+    const person = new Person({ ...body, id: 2n });
+    strictEqual(validate(Person, person), person);
+    strictEqual(validate(Person.toJSONSchema(), person), person);
+    const [_1, error] = tryCatch(() => validate({ type: 'object', properties: { id: { type: 'integer' } } }, person));
+    strictEqual(!!_1, false);
+    strictEqual(!!error, true);
+  });
+
+  it('should load a validated body into a record', async function() {
+    const File = Record('File', { hash: 'Bytes(4)', data: 'Bytes' });
+    const body = { hash: 'AQIDBA==', data: 'AQI=' };
+    strictEqual(validate(File, body), body);
+    strictEqual(JSON.stringify(new File(body)), JSON.stringify(body));
+    // The capacity is a number of decoded bytes (5 bytes in 8 characters)
+    strictEqual(validate(File, { ...body, hash: 'AQIDBAU=' }, null), null);
+  });
+
 });
\ No newline at end of file